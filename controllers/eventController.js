@@ -2,8 +2,200 @@ const Event = require('../models/eventModel');
 const User = require('../models/userModel');
 const { uploadPoster, uploadAlbumImage, deleteFile, getFileUrl } = require('../utils/fileUpload');
 const { invalidateEventCache, invalidateUserCache } = require('../utils/cacheHelpers');
-const { sendAutomaticEventNotification } = require('./fcmController');
+const { sendAutomaticEventNotification, sendWaitlistPromotionNotification } = require('./fcmController');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
+const { normalizeRecurrence, parseDateKey, isOccurrenceOf, getOccurrenceStatus } = require('../utils/recurrence');
+const { isValidTimeZone, getDateKeyInTimeZone } = require('../utils/timezone');
+const { buildCalendar } = require('../utils/ics');
+const { ASSIGNABLE_ROLES, toIdString, findParticipant, getEventRole, hasEventPermission } = require('../utils/eventPermissions');
+const { sendGuestRsvpEmail } = require('../services/emailService');
+const { validateAnswers, aggregateAnswers } = require('../utils/rsvpQuestions');
+const { createTicketCode, findTicketParticipant } = require('../utils/tickets');
+const { renderQrCodePng } = require('../utils/qrCode');
+const { FORECAST_HORIZON_DAYS, fetchEventForecast, buildWeatherSnapshot } = require('../services/weatherService');
+const { parseSearchTerms, buildSearchCandidateFilter, scoreEvent, buildHighlights } = require('../utils/search');
+const { EVENT_CATEGORIES, normalizeTags, normalizeCategories } = require('../utils/categories');
+const { buildInterestProfile, scoreFeedEvent } = require('../utils/recommendations');
+const { parseSort, toSortObject, parseLimit, decodeCursor, buildCursorFilter, buildPage } = require('../utils/pagination');
+const { normalizeOffsets } = require('../utils/reminders');
+const { buildPublicUrl } = require('../utils/publicUrl');
+const notificationScheduler = require('../services/notificationScheduler');
+const { scheduleTimeZoneLookup, cancelTimeZoneLookup } = require('../services/eventTimeZone');
+
+// Event details hosts can edit; participants, roles, the waitlist, the album, todos and
+// per-occurrence overrides change only through their own endpoints
+const EDITABLE_EVENT_FIELDS = [
+  'title',
+  'description',
+  'location',
+  'startDate',
+  'startTime',
+  'endDate',
+  'endTime',
+  'timezone',
+  'recurrence',
+  'dressCode',
+  'category',
+  'tags',
+  'reminderOffsets',
+  'spotifyPlaylist',
+  'isPublic',
+  'rsvpRequired',
+  'isOutdoor',
+  'maxParticipants',
+  'plusOneLimit',
+  'isAlbumImageEnable',
+  'status'
+];
+
+// Keep the queued reminder jobs in step with the event; the request itself has already succeeded
+const syncEventReminders = async (event) => {
+  try {
+    await notificationScheduler.scheduleEventReminders(event);
+  } catch (reminderError) {
+    console.log('Reminder scheduling failed for event:', reminderError.message);
+  }
+};
+
+// A participant with a personal reminder schedule may need jobs the event does not have yet
+const syncPersonalReminders = async (event, user) => {
+  const offsets = user.notificationSettings && user.notificationSettings.reminderOffsets;
+  if (offsets && offsets.length > 0) {
+    await syncEventReminders(event);
+  }
+};
+
+// Parse a recurrence field that may arrive as a JSON string, an RRULE string or an object
+const parseRecurrenceInput = (input, startDate) => {
+  let value = input;
+  if (typeof value === 'string' && value.trim().startsWith('{')) {
+    value = JSON.parse(value);
+  }
+
+  const recurrence = normalizeRecurrence(value);
+  if (recurrence && recurrence.until && startDate && recurrence.until < new Date(startDate)) {
+    throw new Error('Recurrence until date must be on or after the event start date');
+  }
+  return recurrence;
+};
+
+// Normalize category and tags, which may arrive as form fields; returns an error message or null
+const parseCategoryInput = (body) => {
+  if (body.category === '') {
+    body.category = null;
+  }
+  if (body.tags === undefined) return null;
+
+  try {
+    body.tags = normalizeTags(body.tags);
+    return null;
+  } catch (tagError) {
+    return tagError.message;
+  }
+};
+
+// Normalize the host's reminder schedule; an empty list (or null) turns the event's reminders off
+const parseReminderOffsetsInput = (body) => {
+  if (body.reminderOffsets === undefined) return null;
+
+  try {
+    body.reminderOffsets = body.reminderOffsets === null || body.reminderOffsets === ''
+      ? []
+      : normalizeOffsets(body.reminderOffsets);
+    return null;
+  } catch (offsetError) {
+    return offsetError.message;
+  }
+};
+
+// Finish a waitlist promotion after the event has been saved
+const handleWaitlistPromotions = async (event, promotedUserIds) => {
+  if (!promotedUserIds || promotedUserIds.length === 0) return;
+
+  await User.updateMany(
+    { _id: { $in: promotedUserIds } },
+    { $addToSet: { joinedEvents: event._id } }
+  );
+  promotedUserIds.forEach(userId => {
+    invalidateUserCache(userId.toString(), ['user:.*:joinedEvents']);
+  });
+
+  // Send FCM + in-app notification to promoted users (non-blocking)
+  try {
+    await sendWaitlistPromotionNotification(event._id, promotedUserIds);
+  } catch (fcmError) {
+    console.log('Waitlist promotion notification failed:', fcmError.message);
+  }
+};
+
+exports.handleWaitlistPromotions = handleWaitlistPromotions;
+
+// Read plus-ones from an RSVP body and check them against the event's plus-one limit
+// Returns { party: null } when the body doesn't mention plus-ones
+const parsePartyInput = (body, event) => {
+  const { plusOnes, plusOneNames } = body || {};
+  if (plusOnes === undefined && plusOneNames === undefined) return { party: null };
+
+  const names = plusOneNames === undefined ? [] : plusOneNames;
+  if (!Array.isArray(names) || !names.every(name => typeof name === 'string')) {
+    return { error: 'plusOneNames must be an array of names' };
+  }
+  const trimmedNames = names.map(name => name.trim()).filter(Boolean);
+
+  const count = plusOnes === undefined ? trimmedNames.length : Number(plusOnes);
+  if (!Number.isInteger(count) || count < 0) {
+    return { error: 'plusOnes must be a whole number of 0 or more' };
+  }
+  if (count > (event.plusOneLimit || 0)) {
+    return {
+      error: event.plusOneLimit
+        ? `You can bring at most ${event.plusOneLimit} plus-one(s) to this event`
+        : 'This event does not allow plus-ones'
+    };
+  }
+  if (trimmedNames.length > count) {
+    return { error: 'You listed more plus-one names than plus-ones' };
+  }
+
+  return { party: { plusOnes: count, plusOneNames: trimmedNames } };
+};
+
+// Validate questionnaire answers from an RSVP body, merged over the participant's existing answers
+// Required questions only apply to people who are (maybe) coming
+const parseAnswersInput = (body, event, status, existing = []) => {
+  return validateAnswers(event.rsvpQuestions, (body || {}).answers, {
+    existing,
+    requireAll: status !== 'no'
+  });
+};
+
+// Queue a user (with their plus-ones and answers) for a full event or occurrence and send the waitlist response
+const respondWaitlisted = async (res, event, userId, rsvp = null, occurrenceDate = null) => {
+  const position = event.getWaitlistPosition(userId, occurrenceDate);
+  if (!position) {
+    event.waitlist.push({ user: userId, occurrenceDate, ...rsvp });
+    await event.save();
+    invalidateEventCache(event._id.toString());
+  } else if (rsvp) {
+    event.getWaitlistQueue(occurrenceDate)[position - 1].set(rsvp);
+    await event.save();
+  }
+
+  return res.status(200).json({
+    status: 'success',
+    message: occurrenceDate
+      ? 'This occurrence has reached maximum participants. You have been added to its waitlist.'
+      : 'Event has reached maximum participants. You have been added to the waitlist.',
+    data: {
+      waitlisted: true,
+      waitlistPosition: event.getWaitlistPosition(userId, occurrenceDate),
+      ...(occurrenceDate && { occurrenceDate }),
+      event
+    }
+  });
+};
 
 // Create new event
 exports.createEvent = async (req, res) => {
@@ -20,6 +212,9 @@ exports.createEvent = async (req, res) => {
       if (req.body.todoItems && typeof req.body.todoItems === 'string') {
         req.body.todoItems = JSON.parse(req.body.todoItems);
       }
+      if (req.body.rsvpQuestions && typeof req.body.rsvpQuestions === 'string') {
+        req.body.rsvpQuestions = JSON.parse(req.body.rsvpQuestions);
+      }
       if (req.body.spotifyPlaylist && typeof req.body.spotifyPlaylist === 'string') {
         req.body.spotifyPlaylist = JSON.parse(req.body.spotifyPlaylist);
         console.log('📤 Backend: Parsed spotifyPlaylist from FormData:', req.body.spotifyPlaylist);
@@ -31,6 +226,15 @@ exports.createEvent = async (req, res) => {
       });
     }
 
+    // Public events are visible to everyone, so they need a confirmed email (events are public by default)
+    const wantsPublic = req.body.isPublic === undefined || req.body.isPublic === true || req.body.isPublic === 'true';
+    if (wantsPublic && !req.user.hasVerifiedEmail()) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'Please verify your email address before creating public events'
+      });
+    }
+
     // Validate location data
     if (!req.body.location || !req.body.location.name || !req.body.location.address || 
         !req.body.location.coordinates || !req.body.location.coordinates.lat || !req.body.location.coordinates.lon) {
@@ -64,6 +268,46 @@ exports.createEvent = async (req, res) => {
       });
     }
 
+    // Validate recurrence rule for repeating events
+    if (req.body.recurrence !== undefined) {
+      try {
+        req.body.recurrence = parseRecurrenceInput(req.body.recurrence, req.body.startDate) || undefined;
+      } catch (recurrenceError) {
+        return res.status(400).json({
+          status: 'fail',
+          message: recurrenceError.message
+        });
+      }
+    }
+    delete req.body.occurrenceOverrides;
+    delete req.body.waitlist;
+    delete req.body.roles;
+    delete req.body.weather;
+
+    const categoryError = parseCategoryInput(req.body);
+    if (categoryError) {
+      return res.status(400).json({
+        status: 'fail',
+        message: categoryError
+      });
+    }
+
+    const reminderError = parseReminderOffsetsInput(req.body);
+    if (reminderError) {
+      return res.status(400).json({
+        status: 'fail',
+        message: reminderError
+      });
+    }
+
+    // Validate explicit time zone if provided
+    if (req.body.timezone && !isValidTimeZone(req.body.timezone)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Time zone must be a valid IANA time zone name (e.g., Europe/Berlin)'
+      });
+    }
+
     // Validate poster upload
     if (!req.file) {
       return res.status(400).json({
@@ -87,79 +331,42 @@ exports.createEvent = async (req, res) => {
     const newEvent = await Event.create({
       ...req.body,
       location,
+      timezone: req.body.timezone || null,
       poster: posterResult,
       creator: req.user._id
     });
 
+    // Infer the time zone from the coordinates in the background when the client did not set one
+    if (!newEvent.timezone) {
+      try {
+        await scheduleTimeZoneLookup(newEvent);
+      } catch (timeZoneError) {
+        console.log('Time zone lookup scheduling failed for event:', timeZoneError.message);
+      }
+    }
+
     // Add event to user's createdEvents
     await User.findByIdAndUpdate(req.user._id, {
       $push: { createdEvents: newEvent._id }
     });
 
+    await syncEventReminders(newEvent);
+
     // Invalidate cache after successful event creation
     invalidateEventCache(null, ['user:.*:my-events']);
     invalidateUserCache(req.user._id.toString(), ['user:.*:my-events']);
 
-    // Try to fetch weather data if event is within 10 days
+    // Try to fetch weather data if event is within 10 days (measured in the event's time zone)
     try {
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
+      const today = parseDateKey(getDateKeyInTimeZone(new Date(), newEvent.timezone));
       const maxDate = new Date(today);
-      maxDate.setDate(today.getDate() + 10);
+      maxDate.setUTCDate(today.getUTCDate() + FORECAST_HORIZON_DAYS);
 
       if (newEvent.startDate <= maxDate) {
-        const axios = require('axios');
-        const startDate = newEvent.startDate.toISOString().split('T')[0];
-        const endDate = newEvent.endDate ? newEvent.endDate.toISOString().split('T')[0] : startDate;
-
-        const weatherResponse = await axios.get('https://api.open-meteo.com/v1/forecast', {
-          params: {
-            latitude: newEvent.location.coordinates.lat,
-            longitude: newEvent.location.coordinates.lon,
-            start_date: startDate,
-            end_date: endDate,
-            hourly: 'temperature_2m,relative_humidity_2m,precipitation_probability,weather_code,wind_speed_10m',
-            daily: 'temperature_2m_max,temperature_2m_min,precipitation_probability_max,weather_code',
-            timezone: 'auto'
-          }
-        });
-
-        // Transform weather data
-        const weatherData = {
-          location: {
-            lat: newEvent.location.coordinates.lat,
-            lon: newEvent.location.coordinates.lon
-          },
-          dateRange: {
-            start: startDate,
-            end: endDate
-          },
-          daily: weatherResponse.data.daily?.time?.map((date, index) => ({
-            date: date,
-            maxTemp: weatherResponse.data.daily.temperature_2m_max[index],
-            minTemp: weatherResponse.data.daily.temperature_2m_min[index],
-            precipitationProbability: weatherResponse.data.daily.precipitation_probability_max[index],
-            weatherCode: weatherResponse.data.daily.weather_code[index]
-          })) || [],
-          hourly: weatherResponse.data.hourly?.time?.map((time, index) => ({
-            time: time,
-            temperature: weatherResponse.data.hourly.temperature_2m[index],
-            humidity: weatherResponse.data.hourly.relative_humidity_2m[index],
-            precipitationProbability: weatherResponse.data.hourly.precipitation_probability[index],
-            weatherCode: weatherResponse.data.hourly.weather_code[index],
-            windSpeed: weatherResponse.data.hourly.wind_speed_10m[index]
-          })) || []
-        };
+        const weatherData = await fetchEventForecast(newEvent);
 
         // Update event with weather data
-        newEvent.weather = {
-          forecast: weatherData,
-          lastUpdated: new Date(),
-          location: {
-            lat: newEvent.location.coordinates.lat,
-            lon: newEvent.location.coordinates.lon
-          }
-        };
+        newEvent.weather = buildWeatherSnapshot(newEvent, weatherData);
         await newEvent.save();
       }
     } catch (weatherError) {
@@ -198,12 +405,40 @@ exports.createEvent = async (req, res) => {
   }
 };
 
+// Most candidates a search scores; the database returns those sharing the most trigrams with the query
+const SEARCH_CANDIDATE_LIMIT = 500;
+
+// Pipeline stages keeping only search candidates (run after a stage that selects candidates by searchTokens)
+const getSearchCandidateStages = (trigrams, minOverlap, sortByOverlap) => [
+  { $addFields: { searchOverlap: { $size: { $setIntersection: ['$searchTokens', trigrams] } } } },
+  { $match: { searchOverlap: { $gte: minOverlap } } },
+  ...(sortByOverlap ? [{ $sort: { searchOverlap: -1 } }] : []),
+  { $limit: SEARCH_CANDIDATE_LIMIT },
+  { $project: { searchTokens: 0, searchOverlap: 0 } }
+];
+
+// Ranked search results are ordered by score, then _id
+const SEARCH_SORT = [
+  { field: 'score', direction: -1 },
+  { field: '_id', direction: 1 }
+];
+
+// Turn raw aggregation results back into populated documents, as returned by find() in getAllEvents
+const hydrateEvents = async (results) => {
+  const events = results.map(result => Event.hydrate(result));
+  await Event.populate(events, [
+    { path: 'creator', select: 'name email' },
+    { path: 'participants.user', select: 'name email' }
+  ]);
+  return events;
+};
+
 // Get all events
 exports.getAllEvents = async (req, res) => {
   try {
     // Build query
     const queryObj = { ...req.query };
-    const excludedFields = ['page', 'sort', 'limit', 'fields'];
+    const excludedFields = ['page', 'sort', 'limit', 'fields', 'cursor', 'search', 'includePrivate', 'category', 'tags'];
     excludedFields.forEach(el => delete queryObj[el]);
 
     // Advanced filtering
@@ -219,43 +454,91 @@ exports.getAllEvents = async (req, res) => {
         ] }
       : { isPublic: true };
 
-    // Search filter across title and description (case-insensitive)
+    // Category and tag filters take comma-separated lists and match any of the values
     const andClauses = [baseFilter, visibilityFilter];
-    if (req.query.search) {
-      andClauses.push({
-        $or: [
-          { title: { $regex: req.query.search, $options: 'i' } },
-          { description: { $regex: req.query.search, $options: 'i' } }
-        ]
+    try {
+      if (req.query.category) {
+        andClauses.push({ category: { $in: normalizeCategories(req.query.category) } });
+      }
+      if (req.query.tags) {
+        andClauses.push({ tags: { $in: normalizeTags(req.query.tags) } });
+      }
+    } catch (filterError) {
+      return res.status(400).json({
+        status: 'fail',
+        message: filterError.message
       });
     }
 
     const finalFilter = { $and: andClauses };
 
-    let query = Event.find(finalFilter)
-      .populate('creator', 'name email')
-      .populate('participants.user', 'name email');
+    // Pagination: a cursor continues after the last event of the previous page; page/limit still works without one
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseLimit(req.query.limit);
+    const skip = req.query.cursor ? 0 : (page - 1) * limit;
+
+    // Search across title, description, location and dress code, ranked by relevance
+    const terms = req.query.search ? parseSearchTerms(req.query.search) : [];
+    if (terms.length > 0) {
+      const { filter: tokenFilter, trigrams, minOverlap } = buildSearchCandidateFilter(terms);
+      const candidates = await Event.aggregate([
+        { $match: Event.find().cast(Event, { $and: [finalFilter, tokenFilter] }) },
+        ...getSearchCandidateStages(trigrams, minOverlap, true)
+      ]);
+
+      let ranked = candidates
+        .map(candidate => ({ candidate, _id: candidate._id, score: scoreEvent(candidate, terms) }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score || String(a._id).localeCompare(String(b._id)));
+
+      if (req.query.cursor) {
+        const [lastScore, lastId] = decodeCursor(req.query.cursor, SEARCH_SORT);
+        ranked = ranked.filter(({ score, _id }) => score < lastScore || (score === lastScore && String(_id) > String(lastId)));
+      }
 
-    // Sorting
-    if (req.query.sort) {
-      const sortBy = req.query.sort.split(',').join(' ');
-      query = query.sort(sortBy);
-    } else {
-      query = query.sort('-createdAt');
+      const { items: pageItems, hasMore, nextCursor } = buildPage(ranked.slice(skip, skip + limit + 1), limit, SEARCH_SORT);
+      const events = await hydrateEvents(pageItems.map(({ candidate }) => candidate));
+
+      return res.status(200).json({
+        status: 'success',
+        results: events.length,
+        pagination: {
+          hasMore,
+          nextCursor
+        },
+        data: {
+          events: events.map((event, index) => ({
+            ...event.toJSON(),
+            score: pageItems[index].score,
+            highlights: buildHighlights(pageItems[index].candidate, terms)
+          }))
+        }
+      });
     }
 
-    // Pagination
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const skip = (page - 1) * limit;
+    // Sorting, with _id breaking ties so pages never overlap
+    const sort = parseSort(req.query.sort);
+    const cursorFilter = buildCursorFilter(req.query.cursor, sort);
+    if (cursorFilter) {
+      finalFilter.$and.push(cursorFilter);
+    }
 
-    query = query.skip(skip).limit(limit);
+    const results = await Event.find(finalFilter)
+      .populate('creator', 'name email')
+      .populate('participants.user', 'name email')
+      .sort(toSortObject(sort))
+      .skip(skip)
+      .limit(limit + 1);
 
-    const events = await query;
+    const { items: events, hasMore, nextCursor } = buildPage(results, limit, sort);
 
     res.status(200).json({
       status: 'success',
       results: events.length,
+      pagination: {
+        hasMore,
+        nextCursor
+      },
       data: {
         events
       }
@@ -273,7 +556,7 @@ exports.getMyEvents = async (req, res) => {
   try {
     // Build query for user's created events
     const queryObj = { ...req.query };
-    const excludedFields = ['page', 'sort', 'limit', 'fields'];
+    const excludedFields = ['page', 'sort', 'limit', 'fields', 'cursor'];
     excludedFields.forEach(el => delete queryObj[el]);
 
     // Base filter: only events created by the user
@@ -284,29 +567,26 @@ exports.getMyEvents = async (req, res) => {
     queryStr = queryStr.replace(/\b(gte|gt|lte|lt)\b/g, match => `$${match}`);
     const additionalFilters = JSON.parse(queryStr);
 
-    // Combine filters
-    const finalFilter = { $and: [baseFilter, additionalFilters] };
-
-    let query = Event.find(finalFilter)
-      .populate('creator', 'name email')
-      .populate('participants.user', 'name email');
+    // Sorting, with _id breaking ties so pages never overlap
+    const sort = parseSort(req.query.sort);
+    const cursorFilter = buildCursorFilter(req.query.cursor, sort);
 
-    // Sorting
-    if (req.query.sort) {
-      const sortBy = req.query.sort.split(',').join(' ');
-      query = query.sort(sortBy);
-    } else {
-      query = query.sort('-createdAt');
-    }
+    // Combine filters
+    const finalFilter = { $and: [baseFilter, additionalFilters, ...(cursorFilter ? [cursorFilter] : [])] };
 
-    // Pagination
+    // Pagination: a cursor continues after the last event of the previous page; page/limit still works without one
     const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const skip = (page - 1) * limit;
+    const limit = parseLimit(req.query.limit);
+    const skip = req.query.cursor ? 0 : (page - 1) * limit;
 
-    query = query.skip(skip).limit(limit);
+    const results = await Event.find(finalFilter)
+      .populate('creator', 'name email')
+      .populate('participants.user', 'name email')
+      .sort(toSortObject(sort))
+      .skip(skip)
+      .limit(limit + 1);
 
-    const events = await query;
+    const { items: events, hasMore, nextCursor } = buildPage(results, limit, sort);
 
     res.status(200).json({
       status: 'success',
@@ -315,8 +595,10 @@ exports.getMyEvents = async (req, res) => {
         currentPage: page,
         totalPages: Math.ceil(events.length / limit),
         totalEvents: events.length,
-        hasNextPage: events.length === limit,
-        hasPrevPage: page > 1
+        hasNextPage: hasMore,
+        hasPrevPage: page > 1,
+        hasMore,
+        nextCursor
       },
       data: {
         events
@@ -335,7 +617,7 @@ exports.getJoinedEvents = async (req, res) => {
   try {
     // Build query for user's joined events
     const queryObj = { ...req.query };
-    const excludedFields = ['page', 'sort', 'limit', 'fields'];
+    const excludedFields = ['page', 'sort', 'limit', 'fields', 'cursor'];
     excludedFields.forEach(el => delete queryObj[el]);
 
     // Base filter: only events where the user is a participant
@@ -346,32 +628,29 @@ exports.getJoinedEvents = async (req, res) => {
     queryStr = queryStr.replace(/\b(gte|gt|lte|lt)\b/g, match => `$${match}`);
     const additionalFilters = JSON.parse(queryStr);
 
+    // Sorting, with _id breaking ties so pages never overlap
+    const sort = parseSort(req.query.sort);
+    const cursorFilter = buildCursorFilter(req.query.cursor, sort);
+
     // Combine filters
-    const finalFilter = { $and: [baseFilter, additionalFilters] };
+    const finalFilter = { $and: [baseFilter, additionalFilters, ...(cursorFilter ? [cursorFilter] : [])] };
+
+    // Pagination: a cursor continues after the last event of the previous page; page/limit still works without one
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseLimit(req.query.limit);
+    const skip = req.query.cursor ? 0 : (page - 1) * limit;
 
-    let query = Event.find(finalFilter)
+    const results = await Event.find(finalFilter)
       .populate('creator', 'name email avatar')
       .populate('participants.user', 'name email avatar')
       .populate('todoList.createdBy', 'name email')
       .populate('todoList.assignedTo', 'name email')
-      .populate('imageAlbum.uploadedBy', 'name email');
-
-    // Sorting
-    if (req.query.sort) {
-      const sortBy = req.query.sort.split(',').join(' ');
-      query = query.sort(sortBy);
-    } else {
-      query = query.sort('-createdAt');
-    }
-
-    // Pagination
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const skip = (page - 1) * limit;
-
-    query = query.skip(skip).limit(limit);
+      .populate('imageAlbum.uploadedBy', 'name email')
+      .sort(toSortObject(sort))
+      .skip(skip)
+      .limit(limit + 1);
 
-    const events = await query;
+    const { items: events, hasMore, nextCursor } = buildPage(results, limit, sort);
 
     // Enhance events with additional data
     const enhancedEvents = events.map(event => {
@@ -420,8 +699,10 @@ exports.getJoinedEvents = async (req, res) => {
         currentPage: page,
         totalPages: Math.ceil(enhancedEvents.length / limit),
         totalEvents: enhancedEvents.length,
-        hasNextPage: enhancedEvents.length === limit,
-        hasPrevPage: page > 1
+        hasNextPage: hasMore,
+        hasPrevPage: page > 1,
+        hasMore,
+        nextCursor
       },
       data: {
         events: enhancedEvents
@@ -439,8 +720,1581 @@ exports.getJoinedEvents = async (req, res) => {
 exports.getEvent = async (req, res) => {
   try {
     const event = await Event.findById(req.params.id)
-      .populate('creator', 'name email')
-      .populate('participants.user', 'name email');
+      .populate('creator', 'name email')
+      .populate('participants.user', 'name email');
+
+    if (!event) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Event not found'
+      });
+    }
+
+    // Enforce private visibility: only members (any event role) can view a private event by ID
+    if (!event.isPublic) {
+      if (!hasEventPermission(event, req.user._id, 'event:view')) {
+        return res.status(403).json({
+          status: 'fail',
+          message: 'This event is private. Access requires an invite link or membership.'
+        });
+      }
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        event
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// Update event
+exports.updateEvent = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Event not found'
+      });
+    }
+
+    // Owners and co-hosts can edit event details
+    if (!hasEventPermission(event, req.user._id, 'event:update')) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'You are not authorized to update this event'
+      });
+    }
+
+    req.body = Object.fromEntries(
+      Object.entries(req.body || {}).filter(([field]) => EDITABLE_EVENT_FIELDS.includes(field))
+    );
+
+    // Validate recurrence rule; null clears it and turns the event back into a one-off
+    if (req.body.recurrence !== undefined) {
+      try {
+        const recurrence = parseRecurrenceInput(req.body.recurrence, req.body.startDate || event.startDate);
+        req.body.recurrence = recurrence || { frequency: null, interval: 1, byWeekday: [], until: null, count: null };
+      } catch (recurrenceError) {
+        return res.status(400).json({
+          status: 'fail',
+          message: recurrenceError.message
+        });
+      }
+    }
+    const makesPublic = (req.body.isPublic === true || req.body.isPublic === 'true') && !event.isPublic;
+    if (makesPublic && !req.user.hasVerifiedEmail()) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'Please verify your email address before making an event public'
+      });
+    }
+
+    const categoryError = parseCategoryInput(req.body);
+    if (categoryError) {
+      return res.status(400).json({
+        status: 'fail',
+        message: categoryError
+      });
+    }
+
+    const reminderError = parseReminderOffsetsInput(req.body);
+    if (reminderError) {
+      return res.status(400).json({
+        status: 'fail',
+        message: reminderError
+      });
+    }
+
+    if (req.body.timezone && !isValidTimeZone(req.body.timezone)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Time zone must be a valid IANA time zone name (e.g., Europe/Berlin)'
+      });
+    }
+
+    const coordinates = req.body.location && req.body.location.coordinates;
+    const coordinatesChanged = coordinates &&
+      (Number(coordinates.lat) !== event.location.coordinates.lat ||
+       Number(coordinates.lon) !== event.location.coordinates.lon);
+
+    // The stored forecast was for the old location; the next weather request fetches a new one
+    if (coordinatesChanged) {
+      event.weather = { forecast: [], lastUpdated: null, location: { lat: null, lon: null } };
+    }
+
+    // Save through the document so startsAt and the end-after-start check are recomputed
+    event.set(req.body);
+    // Raising maxParticipants may free seats for waitlisted users
+    const promotedUserIds = event.promoteFromWaitlist();
+    const updatedEvent = await event.save();
+    await handleWaitlistPromotions(updatedEvent, promotedUserIds);
+    await syncEventReminders(updatedEvent);
+
+    // Re-infer the time zone in the background when the event moves and the client did not pick one;
+    // a time zone the host sets wins over a lookup still queued
+    try {
+      if (req.body.timezone !== undefined) {
+        await cancelTimeZoneLookup(updatedEvent._id);
+      } else if (coordinatesChanged) {
+        await scheduleTimeZoneLookup(updatedEvent);
+      }
+    } catch (timeZoneError) {
+      console.log('Time zone lookup scheduling failed for event:', timeZoneError.message);
+    }
+
+    // Invalidate cache after successful event update
+    invalidateEventCache(req.params.id, [
+      'user:.*:my-events',
+      ...(coordinatesChanged ? [`weather:.*:${req.params.id}:.*`] : [])
+    ]);
+    invalidateUserCache(req.user._id.toString(), ['user:.*:my-events']);
+
+    // Send FCM notification to event participants (non-blocking)
+    try {
+      await sendAutomaticEventNotification(req.params.id, 'event_updated');
+    } catch (fcmError) {
+      console.log('FCM notification failed for event update:', fcmError.message);
+      // Don't fail the event update if FCM notification fails
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        event: updatedEvent
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// Delete event
+exports.deleteEvent = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Event not found'
+      });
+    }
+
+    // Only the owner can delete the event
+    if (!hasEventPermission(event, req.user._id, 'event:delete')) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'You are not authorized to delete this event'
+      });
+    }
+
+    await Event.findByIdAndDelete(req.params.id);
+
+    try {
+      await notificationScheduler.cancelEventReminders(event._id);
+    } catch (reminderError) {
+      console.log('Reminder cancellation failed for deleted event:', reminderError.message);
+    }
+
+    // Remove event from user's createdEvents
+    await User.findByIdAndUpdate(event.creator, {
+      $pull: { createdEvents: req.params.id }
+    });
+
+    // Remove event from all participants' joinedEvents
+    await User.updateMany(
+      { joinedEvents: req.params.id },
+      { $pull: { joinedEvents: req.params.id } }
+    );
+
+    // Send FCM notification to event participants (non-blocking)
+    try {
+      await sendAutomaticEventNotification(req.params.id, 'event_cancelled');
+    } catch (fcmError) {
+      console.log('FCM notification failed for event deletion:', fcmError.message);
+      // Don't fail the event deletion if FCM notification fails
+    }
+
+    // Invalidate cache after successful event deletion
+    invalidateEventCache(req.params.id, ['user:.*:my-events', 'user:.*:joinedEvents']);
+    invalidateUserCache(req.user._id.toString(), ['user:.*:my-events']);
+
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// Join event via invite link
+exports.joinEvent = async (req, res) => {
+  try {
+    const event = await Event.findOne({ inviteLink: req.params.inviteLink });
+
+    if (!event) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Invalid invite link or event not found'
+      });
+    }
+
+    if (event.status !== 'active') {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'This event is no longer active'
+      });
+    }
+
+    // Check if user is already a participant
+    if (findParticipant(event, req.user._id)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'You are already a participant in this event'
+      });
+    }
+
+    if (event.getWaitlistPosition(req.user._id)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'You are already on the waitlist for this event'
+      });
+    }
+
+    // Enforce RSVP requirement
+    if (event.rsvpRequired && !req.body.status) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'RSVP status is required to join this event'
+      });
+    }
+
+    const { party, error: partyError } = parsePartyInput(req.body, event);
+    const { answers, error: answersError } = parseAnswersInput(req.body, event, req.body.status || 'yes');
+    if (partyError || answersError) {
+      return res.status(400).json({
+        status: 'fail',
+        message: partyError || answersError
+      });
+    }
+
+    // A "yes" on a full event joins the waitlist instead
+    if ((req.body.status || 'yes') === 'yes' && !event.hasCapacity(event.getPartySize(party || {}))) {
+      return respondWaitlisted(res, event, req.user._id, { ...party, answers });
+    }
+
+    // Add user to event participants with status
+    event.participants.push({
+      user: req.user._id,
+      status: req.body.status || 'yes',  // Use the status from request or default to 'yes'
+      ...party,
+      answers
+    });
+    await event.save();
+
+    // Add event to user's joinedEvents
+    await User.findByIdAndUpdate(req.user._id, {
+      $push: { joinedEvents: event._id }
+    });
+    await syncPersonalReminders(event, req.user);
+
+    // Invalidate cache after successful event join
+    invalidateEventCache(event._id.toString(), ['user:.*:joinedEvents']);
+    invalidateUserCache(req.user._id.toString(), ['user:.*:joinedEvents']);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        event
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// View event details via invite link (open access, no auth required)
+exports.getEventByInviteLink = async (req, res) => {
+  try {
+    const event = await Event.findOne({ inviteLink: req.params.inviteLink })
+      .populate('creator', 'name email')
+      .populate('participants.user', 'name email');
+
+    if (!event) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Event not found'
+      });
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      data: { event }
+    });
+  } catch (error) {
+    return res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// Join a public event by ID (no invite required)
+exports.joinPublicEvent = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Event not found'
+      });
+    }
+
+    if (!event.isPublic) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'This event is private. Use an invite link to join.'
+      });
+    }
+
+    if (event.status !== 'active') {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'This event is no longer active'
+      });
+    }
+
+    // Already participating?
+    if (findParticipant(event, req.user._id)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'You are already a participant in this event'
+      });
+    }
+
+    if (event.getWaitlistPosition(req.user._id)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'You are already on the waitlist for this event'
+      });
+    }
+
+    if (event.rsvpRequired && !req.body.status) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'RSVP status is required to join this event'
+      });
+    }
+
+    const { party, error: partyError } = parsePartyInput(req.body, event);
+    const { answers, error: answersError } = parseAnswersInput(req.body, event, req.body.status || 'yes');
+    if (partyError || answersError) {
+      return res.status(400).json({
+        status: 'fail',
+        message: partyError || answersError
+      });
+    }
+
+    if ((req.body.status || 'yes') === 'yes' && !event.hasCapacity(event.getPartySize(party || {}))) {
+      return respondWaitlisted(res, event, req.user._id, { ...party, answers });
+    }
+
+    event.participants.push({
+      user: req.user._id,
+      status: req.body.status || 'yes',
+      ...party,
+      answers
+    });
+    await event.save();
+
+    await User.findByIdAndUpdate(req.user._id, { $push: { joinedEvents: event._id } });
+    await syncPersonalReminders(event, req.user);
+
+    return res.status(200).json({
+      status: 'success',
+      data: { event }
+    });
+  } catch (error) {
+    return res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// Update RSVP status for the authenticated user on an event
+exports.updateRsvp = async (req, res) => {
+  try {
+    const { status, occurrenceDate, plusOnes, plusOneNames, answers } = req.body || {};
+    const changesDetails = plusOnes !== undefined || plusOneNames !== undefined || answers !== undefined;
+
+    // Status may be left out when only the plus-ones or answers change
+    if ((status || !changesDetails) && !['yes', 'no', 'maybe'].includes(status)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: "Invalid RSVP status. Must be one of: 'yes', 'no', 'maybe'"
+      });
+    }
+
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Event not found'
+      });
+    }
+
+    const participant = findParticipant(event, req.user._id);
+
+    if (!participant) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'You are not a participant of this event'
+      });
+    }
+
+    const { party, error: partyError } = parsePartyInput(req.body, event);
+    if (partyError) {
+      return res.status(400).json({
+        status: 'fail',
+        message: partyError
+      });
+    }
+
+    let promotedUserIds = [];
+
+    if (occurrenceDate) {
+      if (changesDetails || !status) {
+        return res.status(400).json({
+          status: 'fail',
+          message: 'Plus-ones and answers apply to the whole series. Update them without occurrenceDate.'
+        });
+      }
+
+      // Answer for a single occurrence of a recurring event
+      if (!event.isRecurring || !isOccurrenceOf(event, occurrenceDate)) {
+        return res.status(400).json({
+          status: 'fail',
+          message: 'occurrenceDate does not match an occurrence of this event'
+        });
+      }
+
+      const override = event.occurrenceOverrides.find(o => o.occurrenceDate === occurrenceDate);
+      if (override && override.status === 'cancelled') {
+        return res.status(400).json({
+          status: 'fail',
+          message: 'This occurrence has been cancelled'
+        });
+      }
+
+      // The participant's whole party takes seats of this occurrence
+      const partySize = event.getPartySize(participant);
+      const currentSeats = getOccurrenceStatus(participant, occurrenceDate) === 'yes' ? partySize : 0;
+      const nextSeats = status === 'yes' ? partySize : 0;
+
+      if (nextSeats > currentSeats && !event.hasCapacity(nextSeats - currentSeats, occurrenceDate)) {
+        // No free seat: keep the current answer and queue for a "yes" on this occurrence
+        const party = { plusOnes: participant.plusOnes, plusOneNames: participant.plusOneNames };
+        return respondWaitlisted(res, event, req.user._id, party, occurrenceDate);
+      }
+
+      const existingAnswer = participant.occurrenceRsvps.find(rsvp => rsvp.occurrenceDate === occurrenceDate);
+      if (existingAnswer) {
+        existingAnswer.status = status;
+        existingAnswer.updatedAt = new Date();
+      } else {
+        participant.occurrenceRsvps.push({ occurrenceDate, status });
+      }
+      event.removeFromWaitlist(req.user._id, occurrenceDate);
+      if (nextSeats < currentSeats) {
+        promotedUserIds = event.promoteFromWaitlist();
+      }
+    } else {
+      // Compare the seats taken before and after the change (the whole party counts)
+      const nextStatus = status || participant.status;
+      const nextParty = party || { plusOnes: participant.plusOnes, plusOneNames: participant.plusOneNames };
+      const currentSeats = participant.status === 'yes' ? event.getPartySize(participant) : 0;
+      const nextSeats = nextStatus === 'yes' ? event.getPartySize(nextParty) : 0;
+      const extraSeats = nextSeats - currentSeats;
+
+      const { answers: nextAnswers, error: answersError } = parseAnswersInput(req.body, event, nextStatus, participant.answers);
+      if (answersError) {
+        return res.status(400).json({
+          status: 'fail',
+          message: answersError
+        });
+      }
+
+      if (extraSeats > 0 && !event.hasCapacity(extraSeats)) {
+        if (participant.status !== 'yes') {
+          // No free seat: keep the current answer and queue for a "yes"
+          return respondWaitlisted(res, event, req.user._id, { ...nextParty, answers: nextAnswers });
+        }
+        return res.status(400).json({
+          status: 'fail',
+          message: 'There are not enough seats left for your plus-ones'
+        });
+      }
+
+      participant.status = nextStatus;
+      participant.set({ ...nextParty, answers: nextAnswers });
+      event.removeFromWaitlist(req.user._id);
+      if (extraSeats < 0) {
+        promotedUserIds = event.promoteFromWaitlist();
+      }
+    }
+    await event.save();
+    await handleWaitlistPromotions(event, promotedUserIds);
+    await syncPersonalReminders(event, req.user);
+
+    // Invalidate caches impacted by RSVP changes
+    invalidateEventCache(req.params.id, ['events:.*', 'user:.*:joinedEvents']);
+    invalidateUserCache(req.user._id.toString(), ['user:.*:joinedEvents']);
+
+    return res.status(200).json({
+      status: 'success',
+      data: { event }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// Leave an event (remove participation)
+exports.leaveEvent = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Event not found'
+      });
+    }
+
+    const participantIndex = event.participants.indexOf(findParticipant(event, req.user._id));
+    const leftWaitlist = event.removeFromAllWaitlists(req.user._id);
+
+    if (participantIndex === -1 && !leftWaitlist) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'You are not a participant of this event'
+      });
+    }
+
+    // Remove participant from event and hand a freed seat to the waitlist
+    let promotedUserIds = [];
+    if (participantIndex !== -1) {
+      const [removed] = event.participants.splice(participantIndex, 1);
+      if (removed.status === 'yes') {
+        promotedUserIds = event.promoteFromWaitlist();
+      }
+    }
+    await event.save();
+    await handleWaitlistPromotions(event, promotedUserIds);
+
+    // Remove event from user's joinedEvents
+    await User.findByIdAndUpdate(req.user._id, { $pull: { joinedEvents: event._id } });
+
+    // Invalidate caches impacted by participation changes
+    invalidateEventCache(req.params.id, ['events:.*', 'user:.*:joinedEvents']);
+    invalidateUserCache(req.user._id.toString(), ['user:.*:joinedEvents']);
+
+    return res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    return res.status(500).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// ===== NEARBY EVENTS =====
+
+const DEFAULT_NEARBY_RADIUS_KM = 25;
+const MAX_NEARBY_RADIUS_KM = 500;
+
+// Build a filter for events taking place between two dates (either may be missing)
+// Recurring events match while their series overlaps the range
+const buildDateRangeFilter = (from, to) => {
+  const range = {
+    ...(from && { $gte: from }),
+    ...(to && { $lte: to })
+  };
+
+  return {
+    $or: [
+      { 'recurrence.frequency': null, startsAt: range },
+      { 'recurrence.frequency': null, startsAt: null, startDate: range },
+      {
+        'recurrence.frequency': { $ne: null },
+        ...(to && { startDate: { $lte: to } }),
+        ...(from && { $or: [{ 'recurrence.until': null }, { 'recurrence.until': { $gte: from } }] })
+      }
+    ]
+  };
+};
+
+// Get public events near a location, closest first
+exports.getNearbyEvents = async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lon = parseFloat(req.query.lon);
+    const radius = req.query.radius === undefined ? DEFAULT_NEARBY_RADIUS_KM : parseFloat(req.query.radius);
+
+    if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Valid lat and lon query parameters are required'
+      });
+    }
+
+    if (isNaN(radius) || radius <= 0 || radius > MAX_NEARBY_RADIUS_KM) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Radius must be between 0 and ${MAX_NEARBY_RADIUS_KM} km`
+      });
+    }
+
+    // Date range defaults to events that have not started yet
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if (isNaN(from.getTime()) || (to && isNaN(to.getTime()))) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Invalid date format for from/to. Use YYYY-MM-DD or an ISO date'
+      });
+    }
+
+    const andClauses = [
+      { isPublic: true },
+      { status: { $ne: 'cancelled' } },
+      buildDateRangeFilter(from, to)
+    ];
+
+    // Pagination
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = parseLimit(req.query.limit);
+    const skip = (page - 1) * limit;
+
+    // Search narrows the results down but keeps them ordered by distance
+    const terms = req.query.search ? parseSearchTerms(req.query.search) : [];
+    const search = terms.length > 0 ? buildSearchCandidateFilter(terms) : null;
+    if (search) {
+      andClauses.push(search.filter);
+    }
+
+    let results = await Event.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [lon, lat] },
+          key: 'location.geo',
+          distanceField: 'distance',
+          maxDistance: radius * 1000,
+          spherical: true,
+          query: { $and: andClauses }
+        }
+      },
+      ...(search
+        ? getSearchCandidateStages(search.trigrams, search.minOverlap, false)
+        : [{ $skip: skip }, { $limit: limit }, { $project: { searchTokens: 0 } }])
+    ]);
+
+    if (search) {
+      results = results
+        .filter(result => scoreEvent(result, terms) > 0)
+        .slice(skip, skip + limit);
+    }
+
+    const events = await hydrateEvents(results);
+
+    res.status(200).json({
+      status: 'success',
+      results: events.length,
+      data: {
+        events: events.map((event, index) => ({
+          ...event.toJSON(),
+          distance: Math.round(results[index].distance) / 1000, // km
+          ...(search && { highlights: buildHighlights(results[index], terms) })
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// ===== CATEGORIES & FOR YOU FEED =====
+
+// How far ahead the feed looks and how many upcoming events it ranks
+const FEED_WINDOW_DAYS = 60;
+const FEED_CANDIDATE_LIMIT = 300;
+
+// List the event categories
+exports.getEventCategories = async (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    results: EVENT_CATEGORIES.length,
+    data: {
+      categories: EVENT_CATEGORIES
+    }
+  });
+};
+
+// Get upcoming public events ranked for the current user
+exports.getForYouFeed = async (req, res) => {
+  try {
+    const now = new Date();
+    const userId = req.user._id;
+
+    // Distance only counts when the client sends its position
+    let origin = null;
+    if (req.query.lat !== undefined || req.query.lon !== undefined) {
+      const lat = parseFloat(req.query.lat);
+      const lon = parseFloat(req.query.lon);
+      if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+        return res.status(400).json({
+          status: 'fail',
+          message: 'Valid lat and lon query parameters are required'
+        });
+      }
+      origin = { lat, lon };
+    }
+
+    // Past events the user said yes to describe what they like
+    const attendedEvents = await Event.find({
+      participants: { $elemMatch: { user: userId, status: 'yes' } },
+      $or: [
+        { startsAt: { $lt: now } },
+        { startsAt: null, startDate: { $lt: now } }
+      ]
+    })
+      .select('category tags')
+      .sort('-startDate')
+      .limit(50)
+      .lean();
+
+    const windowEnd = new Date(now.getTime() + FEED_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const candidates = await Event.find({
+      ...buildDateRangeFilter(now, windowEnd),
+      isPublic: true,
+      status: { $ne: 'cancelled' },
+      creator: { $ne: userId },
+      'participants.user': { $ne: userId }
+    })
+      .sort('startDate')
+      .limit(FEED_CANDIDATE_LIMIT)
+      .populate('creator', 'name email')
+      .populate('participants.user', 'name email');
+
+    const context = {
+      followedCategories: req.user.followedCategories || [],
+      profile: buildInterestProfile(attendedEvents),
+      origin,
+      now,
+      windowDays: FEED_WINDOW_DAYS
+    };
+
+    // Pagination
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = parseLimit(req.query.limit);
+    const skip = (page - 1) * limit;
+
+    const ranked = candidates
+      .map(event => ({ event, ...scoreFeedEvent(event, context) }))
+      .sort((a, b) => b.score - a.score || (a.event.startsAt || a.event.startDate) - (b.event.startsAt || b.event.startDate))
+      .slice(skip, skip + limit);
+
+    res.status(200).json({
+      status: 'success',
+      results: ranked.length,
+      data: {
+        events: ranked.map(({ event, score, reasons, distance }) => ({
+          ...event.toJSON(),
+          score,
+          reasons,
+          ...(origin && { distance })
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// ===== GUEST RSVP =====
+
+// Magic links let guests without an account change their answer later
+const GUEST_RSVP_TOKEN_TYPE = 'guest_rsvp';
+const GUEST_RSVP_LINK_EXPIRES_IN = '180d';
+
+// Sign a magic link token for a guest participant entry
+const signGuestRsvpToken = (event, participant) => jwt.sign(
+  { eid: event._id.toString(), pid: participant._id.toString(), typ: GUEST_RSVP_TOKEN_TYPE },
+  process.env.JWT_SECRET,
+  { expiresIn: GUEST_RSVP_LINK_EXPIRES_IN }
+);
+
+// Resolve a magic link token to its event and guest participant entry
+const findGuestRsvp = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return {};
+  }
+  if (decoded.typ !== GUEST_RSVP_TOKEN_TYPE) return {};
+
+  const event = await Event.findById(decoded.eid);
+  const participant = event && event.participants.id(decoded.pid);
+  // The entry is gone once the guest converted to an account or was removed
+  if (!participant || participant.user || !participant.guest) return {};
+
+  return { event, participant };
+};
+
+// Email the guest their magic link (non-blocking for the RSVP itself)
+const sendGuestRsvpLink = async (event, participant) => {
+  const token = signGuestRsvpToken(event, participant);
+
+  try {
+    const link = buildPublicUrl(`/api/events/public/guest-rsvp/${token}`);
+    await sendGuestRsvpEmail(participant.guest.email, participant.guest.name, {
+      eventTitle: event.title,
+      status: participant.status,
+      link
+    });
+  } catch (emailError) {
+    console.log('Guest RSVP email failed:', emailError.message);
+  }
+};
+
+// Event details and answer shown to a guest
+const formatGuestRsvp = (event, participant) => ({
+  event: {
+    _id: event._id,
+    title: event.title,
+    description: event.description,
+    location: event.location,
+    startDate: event.startDate,
+    startTime: event.startTime,
+    endDate: event.endDate,
+    endTime: event.endTime,
+    timezone: event.timezone,
+    dressCode: event.dressCode,
+    status: event.status,
+    maxParticipants: event.maxParticipants,
+    plusOneLimit: event.plusOneLimit,
+    rsvpQuestions: event.rsvpQuestions,
+    confirmedParticipantsCount: event.confirmedParticipantsCount
+  },
+  rsvp: {
+    name: participant.guest.name,
+    email: participant.guest.email,
+    status: participant.status,
+    plusOnes: participant.plusOnes,
+    plusOneNames: participant.plusOneNames,
+    answers: participant.answers,
+    joinedAt: participant.joinedAt,
+    ticketCode: getTicketError(event, participant) ? null : createTicketCode(event, participant),
+    checkedInAt: participant.checkedInAt
+  }
+});
+
+// RSVP to an invite without an account (open access, no auth required)
+exports.createGuestRsvp = async (req, res) => {
+  try {
+    const { name, email, status } = req.body || {};
+
+    if (!name || !email) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Please provide your name and email'
+      });
+    }
+
+    if (!status || !['yes', 'no', 'maybe'].includes(status)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: "Invalid RSVP status. Must be one of: 'yes', 'no', 'maybe'"
+      });
+    }
+
+    const event = await Event.findOne({ inviteLink: req.params.inviteLink });
+
+    if (!event) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Event not found'
+      });
+    }
+
+    if (event.status !== 'active') {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'This event is no longer active'
+      });
+    }
+
+    // Answering twice only resends the link, so nobody can overwrite someone else's answer
+    const existing = event.findGuestParticipant(email);
+    if (existing) {
+      await sendGuestRsvpLink(event, existing);
+      return res.status(200).json({
+        status: 'success',
+        message: 'You have already answered this invite. We sent your RSVP link to your email again.'
+      });
+    }
+
+    const { party, error: partyError } = parsePartyInput(req.body, event);
+    const { answers, error: answersError } = parseAnswersInput(req.body, event, status);
+    if (partyError || answersError) {
+      return res.status(400).json({
+        status: 'fail',
+        message: partyError || answersError
+      });
+    }
+
+    // The waitlist needs an account to notify, so full events only take "maybe"/"no" from guests
+    if (status === 'yes' && !event.hasCapacity(event.getPartySize(party || {}))) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'This event has reached maximum participants. Create an account to join the waitlist.'
+      });
+    }
+
+    event.participants.push({
+      guest: { name, email },
+      status,
+      ...party,
+      answers
+    });
+    await event.save();
+
+    const participant = event.participants[event.participants.length - 1];
+    await sendGuestRsvpLink(event, participant);
+
+    invalidateEventCache(event._id.toString());
+
+    return res.status(201).json({
+      status: 'success',
+      message: 'RSVP saved. We emailed you a link to change your answer.',
+      data: formatGuestRsvp(event, participant)
+    });
+  } catch (error) {
+    return res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// View a guest RSVP through its magic link (open access, no auth required)
+exports.getGuestRsvp = async (req, res) => {
+  try {
+    const { event, participant } = await findGuestRsvp(req.params.token);
+
+    if (!participant) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'This RSVP link is invalid or has expired'
+      });
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      data: formatGuestRsvp(event, participant)
+    });
+  } catch (error) {
+    return res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// Change a guest RSVP through its magic link (open access, no auth required)
+exports.updateGuestRsvp = async (req, res) => {
+  try {
+    const { status, plusOnes, plusOneNames, answers } = req.body || {};
+    const changesDetails = plusOnes !== undefined || plusOneNames !== undefined || answers !== undefined;
+
+    if ((status || !changesDetails) && !['yes', 'no', 'maybe'].includes(status)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: "Invalid RSVP status. Must be one of: 'yes', 'no', 'maybe'"
+      });
+    }
+
+    const { event, participant } = await findGuestRsvp(req.params.token);
+
+    if (!participant) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'This RSVP link is invalid or has expired'
+      });
+    }
+
+    if (event.status !== 'active') {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'This event is no longer active'
+      });
+    }
+
+    const nextStatus = status || participant.status;
+    const { party, error: partyError } = parsePartyInput(req.body, event);
+    const { answers: nextAnswers, error: answersError } = parseAnswersInput(req.body, event, nextStatus, participant.answers);
+    if (partyError || answersError) {
+      return res.status(400).json({
+        status: 'fail',
+        message: partyError || answersError
+      });
+    }
+
+    const nextParty = party || { plusOnes: participant.plusOnes, plusOneNames: participant.plusOneNames };
+    const currentSeats = participant.status === 'yes' ? event.getPartySize(participant) : 0;
+    const nextSeats = nextStatus === 'yes' ? event.getPartySize(nextParty) : 0;
+    const extraSeats = nextSeats - currentSeats;
+
+    if (extraSeats > 0 && !event.hasCapacity(extraSeats)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'This event has reached maximum participants'
+      });
+    }
+
+    participant.status = nextStatus;
+    participant.set({ ...nextParty, answers: nextAnswers });
+    const promotedUserIds = extraSeats < 0 ? event.promoteFromWaitlist() : [];
+    await event.save();
+    await handleWaitlistPromotions(event, promotedUserIds);
+
+    invalidateEventCache(event._id.toString(), ['events:.*', 'user:.*:joinedEvents']);
+
+    return res.status(200).json({
+      status: 'success',
+      data: formatGuestRsvp(event, participant)
+    });
+  } catch (error) {
+    return res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// ===== RECURRING EVENT OCCURRENCES =====
+
+// Apply an override to one occurrence and return the resulting occurrence
+const saveOccurrenceOverride = async (event, occurrenceDate, updates) => {
+  let override = event.occurrenceOverrides.find(o => o.occurrenceDate === occurrenceDate);
+  if (!override) {
+    event.occurrenceOverrides.push({ occurrenceDate });
+    override = event.occurrenceOverrides[event.occurrenceOverrides.length - 1];
+  }
+
+  Object.assign(override, updates, { updatedAt: new Date() });
+
+  const date = parseDateKey(occurrenceDate);
+  const [occurrence] = event.getOccurrences({ from: date, to: date, limit: 1 });
+  if (occurrence.endDateTime && occurrence.endDateTime <= occurrence.startDateTime) {
+    throw new Error('End date/time must be after start date/time');
+  }
+
+  await event.save();
+  return occurrence;
+};
+
+// Get the occurrences of an event within a date window
+exports.getEventOccurrences = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Event not found'
+      });
+    }
+
+    const participant = findParticipant(event, req.user._id);
+
+    // Enforce private visibility the same way getEvent does
+    if (!event.isPublic && !hasEventPermission(event, req.user._id, 'event:view')) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'This event is private. Access requires an invite link or membership.'
+      });
+    }
+
+    const from = req.query.from ? parseDateKey(req.query.from) : new Date();
+    const to = req.query.to ? parseDateKey(req.query.to) : null;
+
+    if (!from || (req.query.to && !to)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'from and to must be in YYYY-MM-DD format'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const occurrences = event.getOccurrences({ from, to, limit }).map(occurrence => ({
+      ...occurrence,
+      confirmedParticipantsCount: event.confirmedCountForOccurrence(occurrence.occurrenceDate),
+      userParticipantStatus: participant ? getOccurrenceStatus(participant, occurrence.occurrenceDate) : null
+    }));
+
+    res.status(200).json({
+      status: 'success',
+      results: occurrences.length,
+      data: {
+        eventId: event._id,
+        isRecurring: event.isRecurring,
+        recurrence: event.isRecurring ? event.recurrence : null,
+        occurrences
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// Edit a single occurrence of a recurring event
+exports.updateOccurrence = async (req, res) => {
+  try {
+    const { occurrenceDate } = req.params;
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Event not found'
+      });
+    }
+
+    if (!hasEventPermission(event, req.user._id, 'event:update')) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'You are not authorized to update this event'
+      });
+    }
+
+    if (!event.isRecurring) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Only recurring events have individual occurrences'
+      });
+    }
+
+    if (!isOccurrenceOf(event, occurrenceDate)) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Occurrence not found'
+      });
+    }
+
+    const allowedFields = ['title', 'description', 'dressCode', 'startDate', 'startTime', 'endDate', 'endTime', 'status'];
+    const updates = {};
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Provide at least one of: ${allowedFields.join(', ')}`
+      });
+    }
+
+    const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+    if ((updates.startTime && !timeRegex.test(updates.startTime)) ||
+        (updates.endTime && !timeRegex.test(updates.endTime))) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Times must be in HH:MM format (e.g., 14:30)'
+      });
+    }
+
+    if (updates.status && !['active', 'cancelled'].includes(updates.status)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: "Occurrence status must be 'active' or 'cancelled'"
+      });
+    }
+
+    const occurrence = await saveOccurrenceOverride(event, occurrenceDate, updates);
+    await syncEventReminders(event);
+
+    invalidateEventCache(req.params.id, ['user:.*:my-events', 'user:.*:joinedEvents']);
+
+    // Send FCM notification to event participants (non-blocking)
+    try {
+      await sendAutomaticEventNotification(
+        req.params.id,
+        occurrence.status === 'cancelled' ? 'occurrence_cancelled' : 'occurrence_updated',
+        { occurrenceDate }
+      );
+    } catch (fcmError) {
+      console.log('FCM notification failed for occurrence update:', fcmError.message);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        occurrence
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// Cancel a single occurrence of a recurring event
+exports.cancelOccurrence = async (req, res) => {
+  try {
+    const { occurrenceDate } = req.params;
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Event not found'
+      });
+    }
+
+    if (!hasEventPermission(event, req.user._id, 'event:update')) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'You are not authorized to cancel this occurrence'
+      });
+    }
+
+    if (!event.isRecurring || !isOccurrenceOf(event, occurrenceDate)) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Occurrence not found'
+      });
+    }
+
+    const occurrence = await saveOccurrenceOverride(event, occurrenceDate, { status: 'cancelled' });
+    await syncEventReminders(event);
+
+    invalidateEventCache(req.params.id, ['user:.*:my-events', 'user:.*:joinedEvents']);
+
+    // Send FCM notification to event participants (non-blocking)
+    try {
+      await sendAutomaticEventNotification(req.params.id, 'occurrence_cancelled', { occurrenceDate });
+    } catch (fcmError) {
+      console.log('FCM notification failed for occurrence cancellation:', fcmError.message);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        occurrence
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// ===== EVENT ROLES =====
+
+// List the members of an event with their roles
+exports.getEventRoles = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .populate('creator', 'name email avatar')
+      .populate('roles.user', 'name email avatar');
+
+    if (!event) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Event not found'
+      });
+    }
+
+    if (!hasEventPermission(event, req.user._id, 'event:view')) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'You must be a member of this event to view its roles'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        currentUserRole: getEventRole(event, req.user._id),
+        owner: event.creator,
+        roles: event.roles
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// Grant or change a user's role on an event (owner only)
+exports.setEventRole = async (req, res) => {
+  try {
+    const { role } = req.body || {};
+
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Invalid role. Must be one of: ${ASSIGNABLE_ROLES.join(', ')}`
+      });
+    }
+
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Event not found'
+      });
+    }
+
+    // The creator deleted their account and no co-host took over: nobody can grant or revoke roles
+    if (!event.creator) {
+      return res.status(409).json({
+        status: 'fail',
+        message: 'This event no longer has an owner, so its roles cannot be changed'
+      });
+    }
+
+    if (!hasEventPermission(event, req.user._id, 'roles:manage')) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'Only the event owner can manage roles'
+      });
+    }
+
+    if (toIdString(event.creator) === req.params.userId) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'The event owner cannot be assigned another role'
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'User not found'
+      });
+    }
+
+    const existing = event.roles.find(entry => entry.user.toString() === user._id.toString());
+    if (existing) {
+      existing.role = role;
+      existing.grantedBy = req.user._id;
+      existing.grantedAt = new Date();
+    } else {
+      event.roles.push({ user: user._id, role, grantedBy: req.user._id });
+    }
+    await event.save();
+    await event.populate('roles.user', 'name email avatar');
+
+    invalidateEventCache(req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        roles: event.roles
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// Revoke a user's role on an event (owner only); they fall back to guest if they participate
+exports.removeEventRole = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Event not found'
+      });
+    }
+
+    // The creator deleted their account and no co-host took over: nobody can grant or revoke roles
+    if (!event.creator) {
+      return res.status(409).json({
+        status: 'fail',
+        message: 'This event no longer has an owner, so its roles cannot be changed'
+      });
+    }
+
+    if (!hasEventPermission(event, req.user._id, 'roles:manage')) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'Only the event owner can manage roles'
+      });
+    }
+
+    const index = event.roles.findIndex(entry => entry.user.toString() === req.params.userId);
+
+    if (index === -1) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'This user has no role on the event'
+      });
+    }
+
+    event.roles.splice(index, 1);
+    await event.save();
+    await event.populate('roles.user', 'name email avatar');
+
+    invalidateEventCache(req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        roles: event.roles
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// ===== ATTENDEES =====
+
+// Get the attendee list with headcounts per answer (owner and co-hosts)
+exports.getAttendees = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .populate('participants.user', 'name email avatar');
+
+    if (!event) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Event not found'
+      });
+    }
+
+    if (!hasEventPermission(event, req.user._id, 'attendees:manage')) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'Only event hosts can view the attendee list'
+      });
+    }
+
+    // Responses count answers; headcount adds each answer's plus-ones
+    const responses = { yes: 0, maybe: 0, no: 0 };
+    const headcount = { yes: 0, maybe: 0, no: 0 };
+    const attendees = event.participants.map(participant => {
+      const partySize = event.getPartySize(participant);
+      responses[participant.status] += 1;
+      headcount[participant.status] += partySize;
+
+      return {
+        _id: participant._id,
+        user: participant.user,
+        guest: participant.guest,
+        status: participant.status,
+        plusOnes: participant.plusOnes,
+        plusOneNames: participant.plusOneNames,
+        partySize,
+        answers: participant.answers,
+        joinedAt: participant.joinedAt,
+        checkedInAt: participant.checkedInAt
+      };
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: attendees.length,
+      data: {
+        maxParticipants: event.maxParticipants,
+        plusOneLimit: event.plusOneLimit,
+        confirmedParticipantsCount: event.confirmedParticipantsCount,
+        responses,
+        headcount,
+        attendees
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// Get aggregated answers to the RSVP questionnaire (owner and co-hosts)
+exports.getRsvpAnswers = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !['yes', 'no', 'maybe'].includes(status)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: "Invalid status filter. Must be one of: 'yes', 'no', 'maybe'"
+      });
+    }
+
+    const event = await Event.findById(req.params.id)
+      .populate('participants.user', 'name');
 
     if (!event) {
       return res.status(404).json({
@@ -449,22 +2303,23 @@ exports.getEvent = async (req, res) => {
       });
     }
 
-    // Enforce private visibility: only creator or participants can view a private event by ID
-    if (!event.isPublic) {
-      const isCreator = event.creator && event.creator._id.toString() === req.user._id.toString();
-      const isParticipant = event.participants && event.participants.some(p => p.user.toString() === req.user._id.toString());
-      if (!isCreator && !isParticipant) {
-        return res.status(403).json({
-          status: 'fail',
-          message: 'This event is private. Access requires an invite link or membership.'
-        });
-      }
+    if (!hasEventPermission(event, req.user._id, 'attendees:manage')) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'Only event hosts can view RSVP answers'
+      });
     }
 
+    const participants = status
+      ? event.participants.filter(participant => participant.status === status)
+      : event.participants;
+
     res.status(200).json({
       status: 'success',
+      results: event.rsvpQuestions.length,
       data: {
-        event
+        respondents: participants.length,
+        questions: aggregateAnswers(event.rsvpQuestions, participants)
       }
     });
   } catch (error) {
@@ -475,8 +2330,32 @@ exports.getEvent = async (req, res) => {
   }
 };
 
-// Update event
-exports.updateEvent = async (req, res) => {
+// ===== CHECK-IN =====
+
+// Why a participant can't get a ticket, or null when they can
+const getTicketError = (event, participant) => {
+  if (!participant || participant.status !== 'yes') {
+    return 'Only confirmed participants get a ticket';
+  }
+  // A single checkedInAt can't tell occurrences apart
+  if (event.isRecurring) {
+    return 'Check-in is not available for recurring events';
+  }
+  return null;
+};
+
+// Send a ticket code as a QR code image
+const sendTicketQr = async (res, event, participant) => {
+  const image = await renderQrCodePng(createTicketCode(event, participant));
+  res.set({
+    'Content-Type': 'image/png',
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.status(200).send(image);
+};
+
+// Get the authenticated user's ticket for an event
+exports.getMyTicket = async (req, res) => {
   try {
     const event = await Event.findById(req.params.id);
 
@@ -487,36 +2366,22 @@ exports.updateEvent = async (req, res) => {
       });
     }
 
-    // Check if user is the creator
-    if (event.creator.toString() !== req.user._id.toString()) {
+    const participant = findParticipant(event, req.user._id);
+    const ticketError = getTicketError(event, participant);
+    if (ticketError) {
       return res.status(403).json({
         status: 'fail',
-        message: 'You are not authorized to update this event'
+        message: ticketError
       });
     }
 
-    const updatedEvent = await Event.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
-
-    // Invalidate cache after successful event update
-    invalidateEventCache(req.params.id, ['user:.*:my-events']);
-    invalidateUserCache(req.user._id.toString(), ['user:.*:my-events']);
-
-    // Send FCM notification to event participants (non-blocking)
-    try {
-      await sendAutomaticEventNotification(req.params.id, 'event_updated');
-    } catch (fcmError) {
-      console.log('FCM notification failed for event update:', fcmError.message);
-      // Don't fail the event update if FCM notification fails
-    }
-
     res.status(200).json({
       status: 'success',
       data: {
-        event: updatedEvent
+        ticketCode: createTicketCode(event, participant),
+        qrCodeUrl: `${req.baseUrl}/${event._id}/ticket/qr`,
+        partySize: event.getPartySize(participant),
+        checkedInAt: participant.checkedInAt
       }
     });
   } catch (error) {
@@ -527,8 +2392,8 @@ exports.updateEvent = async (req, res) => {
   }
 };
 
-// Delete event
-exports.deleteEvent = async (req, res) => {
+// Get the authenticated user's ticket as a QR code image
+exports.getMyTicketQr = async (req, res) => {
   try {
     const event = await Event.findById(req.params.id);
 
@@ -539,114 +2404,142 @@ exports.deleteEvent = async (req, res) => {
       });
     }
 
-    // Check if user is the creator
-    if (event.creator.toString() !== req.user._id.toString()) {
+    const participant = findParticipant(event, req.user._id);
+    const ticketError = getTicketError(event, participant);
+    if (ticketError) {
       return res.status(403).json({
         status: 'fail',
-        message: 'You are not authorized to delete this event'
+        message: ticketError
       });
     }
 
-    await Event.findByIdAndDelete(req.params.id);
-
-    // Remove event from user's createdEvents
-    await User.findByIdAndUpdate(req.user._id, {
-      $pull: { createdEvents: req.params.id }
+    await sendTicketQr(res, event, participant);
+  } catch (error) {
+    res.status(500).json({
+      status: 'fail',
+      message: error.message
     });
+  }
+};
 
-    // Remove event from all participants' joinedEvents
-    await User.updateMany(
-      { joinedEvents: req.params.id },
-      { $pull: { joinedEvents: req.params.id } }
-    );
+// Get a guest's ticket as a QR code image through their magic link (open access, no auth required)
+exports.getGuestTicketQr = async (req, res) => {
+  try {
+    const { event, participant } = await findGuestRsvp(req.params.token);
 
-    // Send FCM notification to event participants (non-blocking)
-    try {
-      await sendAutomaticEventNotification(req.params.id, 'event_cancelled');
-    } catch (fcmError) {
-      console.log('FCM notification failed for event deletion:', fcmError.message);
-      // Don't fail the event deletion if FCM notification fails
+    if (!participant) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'This RSVP link is invalid or has expired'
+      });
     }
 
-    // Invalidate cache after successful event deletion
-    invalidateEventCache(req.params.id, ['user:.*:my-events', 'user:.*:joinedEvents']);
-    invalidateUserCache(req.user._id.toString(), ['user:.*:my-events']);
+    const ticketError = getTicketError(event, participant);
+    if (ticketError) {
+      return res.status(403).json({
+        status: 'fail',
+        message: ticketError
+      });
+    }
 
-    res.status(204).json({
-      status: 'success',
-      data: null
-    });
+    await sendTicketQr(res, event, participant);
   } catch (error) {
-    res.status(400).json({
+    res.status(500).json({
       status: 'fail',
       message: error.message
     });
   }
 };
 
-// Join event via invite link
-exports.joinEvent = async (req, res) => {
+// Check in a participant by scanning their ticket (owner and co-hosts)
+exports.checkIn = async (req, res) => {
   try {
-    const event = await Event.findOne({ inviteLink: req.params.inviteLink });
+    const { code } = req.body || {};
 
-    if (!event) {
-      return res.status(404).json({
+    if (!code) {
+      return res.status(400).json({
         status: 'fail',
-        message: 'Invalid invite link or event not found'
+        message: 'Please provide the ticket code'
       });
     }
 
-    if (event.status !== 'active') {
-      return res.status(400).json({
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
         status: 'fail',
-        message: 'This event is no longer active'
+        message: 'Event not found'
       });
     }
 
-    // Check if user is already a participant
-    if (event.participants.some(p => p.user.toString() === req.user._id.toString())) {
-      return res.status(400).json({
+    if (!hasEventPermission(event, req.user._id, 'attendees:manage')) {
+      return res.status(403).json({
         status: 'fail',
-        message: 'You are already a participant in this event'
+        message: 'Only event hosts can check in participants'
       });
     }
 
-    // Check if event has reached maximum participants
-    if (event.maxParticipants && event.participants.length >= event.maxParticipants) {
-      return res.status(400).json({
+    const participant = findTicketParticipant(event, code);
+
+    if (!participant) {
+      return res.status(404).json({
         status: 'fail',
-        message: 'Event has reached maximum participants'
+        message: 'Invalid ticket for this event'
       });
     }
 
-    // Enforce RSVP requirement
-    if (event.rsvpRequired && !req.body.status) {
+    const ticketError = getTicketError(event, participant);
+    if (ticketError) {
       return res.status(400).json({
         status: 'fail',
-        message: 'RSVP status is required to join this event'
+        message: ticketError
       });
     }
 
-    // Add user to event participants with status
-    event.participants.push({
-      user: req.user._id,
-      status: req.body.status || 'yes'  // Use the status from request or default to 'yes'
+    // Tickets are single-use
+    const respondUsed = (checkedInAt) => res.status(409).json({
+      status: 'fail',
+      message: 'This ticket has already been used',
+      data: {
+        checkedInAt
+      }
     });
-    await event.save();
+    if (participant.checkedInAt) {
+      return respondUsed(participant.checkedInAt);
+    }
 
-    // Add event to user's joinedEvents
-    await User.findByIdAndUpdate(req.user._id, {
-      $push: { joinedEvents: event._id }
-    });
+    // Only one of two simultaneous scans of the same ticket can set checkedInAt
+    const checkedInAt = new Date();
+    const { modifiedCount } = await Event.updateOne(
+      { _id: event._id, participants: { $elemMatch: { _id: participant._id, checkedInAt: null } } },
+      { $set: { 'participants.$.checkedInAt': checkedInAt, 'participants.$.checkedInBy': req.user._id } }
+    );
+    if (modifiedCount === 0) {
+      const current = await Event.findOne(
+        { _id: event._id, 'participants._id': participant._id },
+        { 'participants.$': 1 }
+      ).lean();
+      return respondUsed(current ? current.participants[0].checkedInAt : null);
+    }
 
-    // Invalidate cache after successful event join
-    invalidateEventCache(event._id.toString(), ['user:.*:joinedEvents']);
-    invalidateUserCache(req.user._id.toString(), ['user:.*:joinedEvents']);
+    participant.checkedInAt = checkedInAt;
+    participant.checkedInBy = req.user._id;
+    await event.populate('participants.user', 'name email avatar');
+
+    invalidateEventCache(req.params.id);
 
     res.status(200).json({
       status: 'success',
       data: {
-        event
+        participant: {
+          _id: participant._id,
+          user: participant.user,
+          guest: participant.guest,
+          plusOnes: participant.plusOnes,
+          plusOneNames: participant.plusOneNames,
+          partySize: event.getPartySize(participant),
+          checkedInAt: participant.checkedInAt
+        }
       }
     });
   } catch (error) {
@@ -657,12 +2550,11 @@ exports.joinEvent = async (req, res) => {
   }
 };
 
-// View event details via invite link (open access, no auth required)
-exports.getEventByInviteLink = async (req, res) => {
+// Compare confirmed RSVPs with actual check-ins (owner and co-hosts)
+exports.getAttendance = async (req, res) => {
   try {
-    const event = await Event.findOne({ inviteLink: req.params.inviteLink })
-      .populate('creator', 'name email')
-      .populate('participants.user', 'name email');
+    const event = await Event.findById(req.params.id)
+      .populate('participants.user', 'name email avatar');
 
     if (!event) {
       return res.status(404).json({
@@ -671,22 +2563,62 @@ exports.getEventByInviteLink = async (req, res) => {
       });
     }
 
-    return res.status(200).json({
+    if (!hasEventPermission(event, req.user._id, 'attendees:manage')) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'Only event hosts can view attendance'
+      });
+    }
+
+    const confirmed = event.participants.filter(participant => participant.status === 'yes');
+    const checkedIn = confirmed.filter(participant => participant.checkedInAt);
+    const notCheckedIn = confirmed.filter(participant => !participant.checkedInAt);
+    const headcount = (participants) => participants.reduce((total, participant) => total + event.getPartySize(participant), 0);
+
+    res.status(200).json({
       status: 'success',
-      data: { event }
+      data: {
+        confirmed: { responses: confirmed.length, headcount: headcount(confirmed) },
+        checkedIn: { responses: checkedIn.length, headcount: headcount(checkedIn) },
+        notCheckedIn: { responses: notCheckedIn.length, headcount: headcount(notCheckedIn) },
+        // Share of the confirmed headcount that actually came (null when nobody confirmed)
+        attendanceRate: confirmed.length ? headcount(checkedIn) / headcount(confirmed) : null,
+        missing: notCheckedIn.map(participant => ({
+          _id: participant._id,
+          user: participant.user,
+          guest: participant.guest,
+          partySize: event.getPartySize(participant)
+        }))
+      }
     });
   } catch (error) {
-    return res.status(400).json({
+    res.status(400).json({
       status: 'fail',
       message: error.message
     });
   }
 };
 
-// Join a public event by ID (no invite required)
-exports.joinPublicEvent = async (req, res) => {
+// ===== WAITLIST =====
+
+// Format a waitlist queue with 1-based positions
+const formatWaitlist = (event, queue) => {
+  return queue.map((entry, index) => ({
+    position: index + 1,
+    user: entry.user,
+    occurrenceDate: entry.occurrenceDate || null,
+    plusOnes: entry.plusOnes,
+    plusOneNames: entry.plusOneNames,
+    partySize: event.getPartySize(entry),
+    joinedAt: entry.joinedAt
+  }));
+};
+
+// Get the waitlist of an event (owner and co-hosts)
+exports.getWaitlist = async (req, res) => {
   try {
-    const event = await Event.findById(req.params.id);
+    const event = await Event.findById(req.params.id)
+      .populate('waitlist.user', 'name email avatar');
 
     if (!event) {
       return res.status(404).json({
@@ -695,71 +2627,45 @@ exports.joinPublicEvent = async (req, res) => {
       });
     }
 
-    if (!event.isPublic) {
+    if (!hasEventPermission(event, req.user._id, 'attendees:manage')) {
       return res.status(403).json({
         status: 'fail',
-        message: 'This event is private. Use an invite link to join.'
-      });
-    }
-
-    if (event.status !== 'active') {
-      return res.status(400).json({
-        status: 'fail',
-        message: 'This event is no longer active'
-      });
-    }
-
-    // Already participating?
-    if (event.participants.some(p => p.user.toString() === req.user._id.toString())) {
-      return res.status(400).json({
-        status: 'fail',
-        message: 'You are already a participant in this event'
-      });
-    }
-
-    if (event.maxParticipants && event.participants.length >= event.maxParticipants) {
-      return res.status(400).json({
-        status: 'fail',
-        message: 'Event has reached maximum participants'
-      });
-    }
-
-    if (event.rsvpRequired && !req.body.status) {
-      return res.status(400).json({
-        status: 'fail',
-        message: 'RSVP status is required to join this event'
+        message: 'Only event hosts can view the waitlist'
       });
     }
 
-    event.participants.push({
-      user: req.user._id,
-      status: req.body.status || 'yes'
-    });
-    await event.save();
-
-    await User.findByIdAndUpdate(req.user._id, { $push: { joinedEvents: event._id } });
+    // Recurring events keep one queue per occurrence next to the series queue
+    const occurrenceDate = req.query.occurrenceDate || null;
+    const queue = event.getWaitlistQueue(occurrenceDate);
 
-    return res.status(200).json({
+    res.status(200).json({
       status: 'success',
-      data: { event }
+      results: queue.length,
+      data: {
+        maxParticipants: event.maxParticipants,
+        confirmedParticipantsCount: occurrenceDate
+          ? event.confirmedCountForOccurrence(occurrenceDate)
+          : event.confirmedParticipantsCount,
+        waitlist: formatWaitlist(event, queue)
+      }
     });
   } catch (error) {
-    return res.status(400).json({
+    res.status(400).json({
       status: 'fail',
       message: error.message
     });
   }
 };
 
-// Update RSVP status for the authenticated user on an event
-exports.updateRsvp = async (req, res) => {
+// Reorder the waitlist of an event (owner and co-hosts)
+exports.reorderWaitlist = async (req, res) => {
   try {
-    const { status } = req.body || {};
+    const { order, occurrenceDate = null } = req.body || {};
 
-    if (!status || !['yes', 'no', 'maybe'].includes(status)) {
+    if (!Array.isArray(order)) {
       return res.status(400).json({
         status: 'fail',
-        message: "Invalid RSVP status. Must be one of: 'yes', 'no', 'maybe'"
+        message: 'order must be an array of user IDs'
       });
     }
 
@@ -772,36 +2678,72 @@ exports.updateRsvp = async (req, res) => {
       });
     }
 
-    const participant = event.participants.find(p => p.user.toString() === req.user._id.toString());
+    if (!hasEventPermission(event, req.user._id, 'attendees:manage')) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'Only event hosts can reorder the waitlist'
+      });
+    }
 
-    if (!participant) {
+    // The new order must list every user waiting in the queue exactly once
+    const queue = event.getWaitlistQueue(occurrenceDate);
+    const entriesByUser = new Map(queue.map(entry => [entry.user.toString(), entry]));
+    const uniqueIds = new Set(order.map(id => String(id)));
+    if (order.length !== queue.length || uniqueIds.size !== order.length ||
+        ![...uniqueIds].every(id => entriesByUser.has(id))) {
       return res.status(400).json({
         status: 'fail',
-        message: 'You are not a participant of this event'
+        message: 'order must contain each waitlisted user ID exactly once'
       });
     }
 
-    participant.status = status;
+    // Other queues keep their order
+    const otherEntries = event.waitlist.filter(entry => !queue.includes(entry));
+    event.waitlist = [...otherEntries, ...order.map(id => entriesByUser.get(String(id)))].map(entry => ({
+      user: entry.user,
+      occurrenceDate: entry.occurrenceDate,
+      plusOnes: entry.plusOnes,
+      plusOneNames: entry.plusOneNames,
+      answers: entry.answers,
+      joinedAt: entry.joinedAt
+    }));
     await event.save();
+    await event.populate('waitlist.user', 'name email avatar');
 
-    // Invalidate caches impacted by RSVP changes
-    invalidateEventCache(req.params.id, ['events:.*', 'user:.*:joinedEvents']);
-    invalidateUserCache(req.user._id.toString(), ['user:.*:joinedEvents']);
+    const reordered = event.getWaitlistQueue(occurrenceDate);
+    invalidateEventCache(req.params.id);
 
-    return res.status(200).json({
+    res.status(200).json({
       status: 'success',
-      data: { event }
+      results: reordered.length,
+      data: {
+        waitlist: formatWaitlist(event, reordered)
+      }
     });
   } catch (error) {
-    return res.status(500).json({
+    res.status(400).json({
       status: 'fail',
       message: error.message
     });
   }
 };
 
-// Leave an event (remove participation)
-exports.leaveEvent = async (req, res) => {
+// ===== CALENDAR EXPORT =====
+
+// How far back the subscribable feed reaches for one-off events
+const CALENDAR_FEED_HISTORY_DAYS = 90;
+
+// Send an iCalendar document
+const sendCalendar = (res, calendar, fileName) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${fileName}"`
+  });
+  res.status(200).send(calendar);
+};
+
+// Export a single event as an .ics file
+exports.getEventIcs = async (req, res) => {
   try {
     const event = await Event.findById(req.params.id);
 
@@ -812,32 +2754,63 @@ exports.leaveEvent = async (req, res) => {
       });
     }
 
-    const participantIndex = event.participants.findIndex(p => p.user.toString() === req.user._id.toString());
-
-    if (participantIndex === -1) {
-      return res.status(400).json({
+    // Same visibility rules as getEvent
+    if (!event.isPublic && !hasEventPermission(event, req.user._id, 'event:view')) {
+      return res.status(403).json({
         status: 'fail',
-        message: 'You are not a participant of this event'
+        message: 'This event is private. Access requires an invite link or membership.'
       });
     }
 
-    // Remove participant from event
-    event.participants.splice(participantIndex, 1);
-    await event.save();
+    sendCalendar(res, buildCalendar([event]), `event-${event._id}.ics`);
+  } catch (error) {
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
 
-    // Remove event from user's joinedEvents
-    await User.findByIdAndUpdate(req.user._id, { $pull: { joinedEvents: event._id } });
+// Subscribable calendar feed of a user's created and joined events (authenticated by feed token)
+exports.getCalendarFeed = async (req, res) => {
+  try {
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
 
-    // Invalidate caches impacted by participation changes
-    invalidateEventCache(req.params.id, ['events:.*', 'user:.*:joinedEvents']);
-    invalidateUserCache(req.user._id.toString(), ['user:.*:joinedEvents']);
+    const user = await User.findOne({ calendarFeedToken: hashedToken });
 
-    return res.status(204).json({
-      status: 'success',
-      data: null
-    });
+    if (!user) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const historyStart = new Date(Date.now() - CALENDAR_FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+    // Created events plus joined events the user has not declined
+    const events = await Event.find({
+      $and: [
+        {
+          $or: [
+            { creator: user._id },
+            { participants: { $elemMatch: { user: user._id, status: { $ne: 'no' } } } }
+          ]
+        },
+        {
+          $or: [
+            { startDate: { $gte: historyStart } },
+            { 'recurrence.frequency': { $ne: null } }
+          ]
+        }
+      ]
+    }).sort('startDate');
+
+    sendCalendar(res, buildCalendar(events, { name: `Planzaa - ${user.name}` }), 'planzaa.ics');
   } catch (error) {
-    return res.status(500).json({
+    res.status(400).json({
       status: 'fail',
       message: error.message
     });
@@ -864,11 +2837,8 @@ exports.uploadAlbumImage = async (req, res) => {
       });
     }
 
-    // Check if user is a participant or creator
-    const isCreator = event.creator.toString() === req.user._id.toString();
-    const isParticipant = event.participants.some(p => p.user.toString() === req.user._id.toString());
-
-    if (!isCreator && !isParticipant) {
+    // Any event member can upload
+    if (!hasEventPermission(event, req.user._id, 'album:upload')) {
       return res.status(403).json({
         status: 'fail',
         message: 'You must be a participant or creator to upload images to this event album'
@@ -943,11 +2913,8 @@ exports.uploadMultipleAlbumImages = async (req, res) => {
       });
     }
 
-    // Check if user is a participant or creator
-    const isCreator = event.creator.toString() === req.user._id.toString();
-    const isParticipant = event.participants.some(p => p.user.toString() === req.user._id.toString());
-
-    if (!isCreator && !isParticipant) {
+    // Any event member can upload
+    if (!hasEventPermission(event, req.user._id, 'album:upload')) {
       return res.status(403).json({
         status: 'fail',
         message: 'You must be a participant or creator to upload images to this event album'
@@ -1076,11 +3043,11 @@ exports.deleteAlbumImage = async (req, res) => {
 
     const image = event.imageAlbum[imageIndex];
 
-    // Check if user is authorized to delete the image
-    const isCreator = event.creator.toString() === req.user._id.toString();
+    // Uploaders manage their own images; hosts and moderators moderate the whole album
+    const canModerate = hasEventPermission(event, req.user._id, 'album:moderate');
     const isImageOwner = image.uploadedBy.toString() === req.user._id.toString();
 
-    if (!isCreator && !isImageOwner) {
+    if (!canModerate && !isImageOwner) {
       return res.status(403).json({
         status: 'fail',
         message: 'You are not authorized to delete this image'
@@ -1132,10 +3099,10 @@ exports.updateAlbumImageDescription = async (req, res) => {
     }
 
     // Check if user is authorized to update the image
-    const isCreator = event.creator.toString() === req.user._id.toString();
+    const canModerate = hasEventPermission(event, req.user._id, 'album:moderate');
     const isImageOwner = image.uploadedBy.toString() === req.user._id.toString();
 
-    if (!isCreator && !isImageOwner) {
+    if (!canModerate && !isImageOwner) {
       return res.status(403).json({
         status: 'fail',
         message: 'You are not authorized to update this image'
@@ -1181,11 +3148,8 @@ exports.addTodo = async (req, res) => {
       });
     }
 
-    // Check if user is authorized (creator or participant)
-    const isCreator = event.creator.toString() === req.user._id.toString();
-    const isParticipant = event.participants.some(p => p.user.toString() === req.user._id.toString());
-
-    if (!isCreator && !isParticipant) {
+    // Check if user is authorized (any event member)
+    if (!hasEventPermission(event, req.user._id, 'todos:edit')) {
       return res.status(403).json({
         status: 'fail',
         message: 'You are not authorized to add todos to this event'
@@ -1267,12 +3231,11 @@ exports.updateTodo = async (req, res) => {
       });
     }
 
-    // Check if user is authorized (creator, participant, or assigned to the todo)
-    const isCreator = event.creator.toString() === req.user._id.toString();
-    const isParticipant = event.participants.some(p => p.user.toString() === req.user._id.toString());
+    // Check if user is authorized (any event member, or assigned to the todo)
+    const isMember = hasEventPermission(event, req.user._id, 'todos:edit');
     const isAssigned = todo.assignedTo && todo.assignedTo.toString() === req.user._id.toString();
 
-    if (!isCreator && !isParticipant && !isAssigned) {
+    if (!isMember && !isAssigned) {
       return res.status(403).json({
         status: 'fail',
         message: 'You are not authorized to update this todo'
@@ -1350,11 +3313,11 @@ exports.deleteTodo = async (req, res) => {
       });
     }
 
-    // Check if user is authorized (creator or the person who created the todo)
-    const isCreator = event.creator.toString() === req.user._id.toString();
+    // Check if user is authorized (hosts, moderators or the person who created the todo)
+    const canModerate = hasEventPermission(event, req.user._id, 'todos:moderate');
     const isTodoCreator = todo.createdBy.toString() === req.user._id.toString();
 
-    if (!isCreator && !isTodoCreator) {
+    if (!canModerate && !isTodoCreator) {
       return res.status(403).json({
         status: 'fail',
         message: 'You are not authorized to delete this todo'
@@ -1395,11 +3358,8 @@ exports.getTodoList = async (req, res) => {
       });
     }
 
-    // Check if user is authorized (creator or participant)
-    const isCreator = event.creator.toString() === req.user._id.toString();
-    const isParticipant = event.participants.some(p => p.user.toString() === req.user._id.toString());
-
-    if (!isCreator && !isParticipant) {
+    // Check if user is authorized (any event member)
+    if (!hasEventPermission(event, req.user._id, 'todos:edit')) {
       return res.status(403).json({
         status: 'fail',
         message: 'You are not authorized to view todos for this event'
@@ -1,9 +1,25 @@
-const { getMessaging } = require('../config/firebase');
 const Event = require('../models/eventModel');
 const User = require('../models/userModel');
+const Notification = require('../models/notificationModel');
 const { createNotificationsForUsers } = require('./notificationController');
+const { hasEventPermission } = require('../utils/eventPermissions');
+const { normalizeOffset } = require('../utils/reminders');
+const { holdForQuietHours } = require('../services/notificationDigest');
+const { hasDevices, sendToTokens, sendToUsers } = require('../services/pushService');
 const mongoose = require('mongoose');
 
+// Automatic notifications that go out even during the recipient's quiet hours
+const URGENT_EVENT_NOTIFICATIONS = ['event_cancelled', 'occurrence_cancelled'];
+
+// Push results for users who only get the in-app notification
+const getSkippedPushResults = (users, recipients) => users
+  .filter(user => !recipients.includes(user))
+  .map(user => ({
+    user,
+    success: false,
+    error: hasDevices(user) ? 'push_disabled' : 'no_devices'
+  }));
+
 /**
  * @swagger
  * components:
@@ -119,9 +135,6 @@ exports.sendNotification = async (req, res) => {
       });
     }
 
-    // Get Firebase messaging service
-    const messaging = getMessaging();
-
     // Prepare notification payload
     const payload = {
       notification: {
@@ -150,25 +163,8 @@ exports.sendNotification = async (req, res) => {
       }
     };
 
-    // Send notification to multiple tokens
-    const response = await messaging.sendMulticast({
-      tokens: tokens,
-      notification: payload.notification,
-      data: payload.data,
-      android: payload.android,
-      apns: payload.apns
-    });
-
-    // Process results
-    const results = response.responses.map((result, index) => ({
-      token: tokens[index],
-      success: result.success,
-      error: result.error?.code || null,
-      messageId: result.messageId || null
-    }));
-
-    const successCount = response.successCount;
-    const failureCount = response.failureCount;
+    // Send notification to multiple tokens; invalid ones are removed from their users
+    const { successCount, failureCount, results } = await sendToTokens(tokens, payload);
 
     // Log results
     console.log(`📱 FCM Notification Results: ${successCount} success, ${failureCount} failed`);
@@ -278,7 +274,7 @@ exports.sendEventNotification = async (req, res) => {
     }
 
     // Find the event and populate participants
-    const event = await Event.findById(eventId).populate('participants', 'fcmToken name email');
+    const event = await Event.findById(eventId).populate('participants.user', 'fcmToken devices name email');
 
     if (!event) {
       return res.status(404).json({
@@ -287,21 +283,18 @@ exports.sendEventNotification = async (req, res) => {
       });
     }
 
-    // Extract FCM tokens from participants
-    const tokens = event.participants
-      .filter(participant => participant.fcmToken)
-      .map(participant => participant.fcmToken);
+    // Participants with at least one registered device
+    const recipients = event.participants
+      .map(participant => participant.user)
+      .filter(hasDevices);
 
-    if (tokens.length === 0) {
+    if (recipients.length === 0) {
       return res.status(400).json({
         status: 'fail',
         message: 'No participants with valid FCM tokens found'
       });
     }
 
-    // Get Firebase messaging service
-    const messaging = getMessaging();
-
     // Prepare notification payload with event data
     const payload = {
       notification: {
@@ -332,25 +325,8 @@ exports.sendEventNotification = async (req, res) => {
       }
     };
 
-    // Send notification to event participants
-    const response = await messaging.sendMulticast({
-      tokens: tokens,
-      notification: payload.notification,
-      data: payload.data,
-      android: payload.android,
-      apns: payload.apns
-    });
-
-    // Process results
-    const results = response.responses.map((result, index) => ({
-      token: tokens[index],
-      success: result.success,
-      error: result.error?.code || null,
-      messageId: result.messageId || null
-    }));
-
-    const successCount = response.successCount;
-    const failureCount = response.failureCount;
+    // Send notification to every device of the event participants
+    const { successCount, failureCount, results } = await sendToUsers(recipients, payload);
 
     // Log results
     console.log(`📱 Event Notification Results for ${event.title}: ${successCount} success, ${failureCount} failed`);
@@ -382,7 +358,7 @@ exports.sendEventNotification = async (req, res) => {
  * /api/fcm/user/{userId}:
  *   post:
  *     summary: Send notification to a specific user
- *     description: Send a push notification to a specific user by their ID
+ *     description: Send a push notification to every device of a specific user by their ID
  *     tags: [FCM]
  *     parameters:
  *       - in: path
@@ -433,8 +409,13 @@ exports.sendEventNotification = async (req, res) => {
  *                         type: string
  *                       success:
  *                         type: boolean
+ *                         description: Whether at least one device received the notification
  *                       messageId:
  *                         type: string
+ *                       successCount:
+ *                         type: number
+ *                       failureCount:
+ *                         type: number
  *       404:
  *         description: User not found or no FCM token
  *         content:
@@ -472,19 +453,15 @@ exports.sendUserNotification = async (req, res) => {
       });
     }
 
-    if (!user.fcmToken) {
+    if (!hasDevices(user)) {
       return res.status(404).json({
         status: 'fail',
         message: 'User does not have an FCM token registered'
       });
     }
 
-    // Get Firebase messaging service
-    const messaging = getMessaging();
-
     // Prepare notification payload
     const payload = {
-      token: user.fcmToken,
       notification: {
         title: title,
         body: body,
@@ -512,19 +489,22 @@ exports.sendUserNotification = async (req, res) => {
       }
     };
 
-    // Send notification
-    const response = await messaging.send(payload);
+    // Send notification to every device of the user
+    const { successCount, failureCount, results } = await sendToUsers([user], payload);
 
     // Log result
-    console.log(`📱 User Notification sent to ${user.name}: ${response}`);
+    console.log(`📱 User Notification sent to ${user.name}: ${successCount} device(s), ${failureCount} failed`);
 
     res.status(200).json({
       status: 'success',
       data: {
         userId: userId,
         userName: user.name,
-        success: true,
-        messageId: response
+        success: successCount > 0,
+        messageId: results.find(result => result.success)?.messageId || null,
+        successCount,
+        failureCount,
+        results
       }
     });
 
@@ -560,8 +540,8 @@ exports.sendUserNotification = async (req, res) => {
  *                 description: Event ID to send reminder for
  *               reminderType:
  *                 type: string
- *                 enum: [24h, 2h, 30m]
- *                 description: Type of reminder to send
+ *                 description: Reminder offset to send, e.g. 30m, 2h, 1d, 1w or morning_of
+ *                 example: 2h
  *     responses:
  *       200:
  *         description: Reminder sent successfully
@@ -580,6 +560,8 @@ exports.sendUserNotification = async (req, res) => {
  *                       type: string
  *                     reminderType:
  *                       type: string
+ *                     eligibleParticipants:
+ *                       type: number
  *                     successCount:
  *                       type: number
  *                     failureCount:
@@ -600,24 +582,27 @@ exports.sendUserNotification = async (req, res) => {
 // Test reminder notification for an event
 exports.testEventReminder = async (req, res) => {
   try {
-    const { eventId, reminderType } = req.body;
+    const { eventId } = req.body;
 
-    if (!eventId || !reminderType) {
+    if (!eventId || !req.body.reminderType) {
       return res.status(400).json({
         status: 'fail',
         message: 'Event ID and reminder type are required'
       });
     }
 
-    if (!['24h', '2h', '30m'].includes(reminderType)) {
+    let reminderType;
+    try {
+      reminderType = normalizeOffset(req.body.reminderType);
+    } catch (offsetError) {
       return res.status(400).json({
         status: 'fail',
-        message: 'Reminder type must be one of: 24h, 2h, 30m'
+        message: offsetError.message
       });
     }
 
     const Event = require('../models/eventModel');
-    const event = await Event.findById(eventId).populate('participants', 'fcmToken name notificationSettings');
+    const event = await Event.findById(eventId).populate('participants.user', 'fcmToken devices name notificationSettings');
 
     if (!event) {
       return res.status(404).json({
@@ -630,14 +615,8 @@ exports.testEventReminder = async (req, res) => {
     const notificationScheduler = require('../services/notificationScheduler');
 
     // Send reminder notification
-    await notificationScheduler.sendEventReminder(event, reminderType);
-
-    // Filter eligible participants for response
-    const eligibleParticipants = event.participants.filter(participant =>
-      participant.fcmToken &&
-      participant.notificationSettings?.eventReminders !== false &&
-      participant.notificationSettings?.pushNotifications !== false
-    );
+    const results = await notificationScheduler.sendEventReminder(event, reminderType);
+    const successCount = results.filter(result => result.success).length;
 
     res.status(200).json({
       status: 'success',
@@ -645,7 +624,9 @@ exports.testEventReminder = async (req, res) => {
         eventId: eventId,
         eventTitle: event.title,
         reminderType: reminderType,
-        eligibleParticipants: eligibleParticipants.length,
+        eligibleParticipants: results.length,
+        successCount,
+        failureCount: results.length - successCount,
         message: `${reminderType} reminder sent successfully`
       }
     });
@@ -683,12 +664,29 @@ exports.testEventReminder = async (req, res) => {
  *                   properties:
  *                     isRunning:
  *                       type: boolean
+ *                     workerId:
+ *                       type: string
+ *                       description: Identifies this instance in job leases
  *                     activeJobs:
  *                       type: array
  *                       items:
  *                         type: string
  *                     uptime:
  *                       type: number
+ *                     queue:
+ *                       type: object
+ *                       description: Number of queued jobs by status
+ *                       properties:
+ *                         pending:
+ *                           type: integer
+ *                         running:
+ *                           type: integer
+ *                         completed:
+ *                           type: integer
+ *                         failed:
+ *                           type: integer
+ *                         cancelled:
+ *                           type: integer
  *       500:
  *         description: Server error
  *         content:
@@ -701,10 +699,14 @@ exports.getReminderStatus = async (req, res) => {
   try {
     const notificationScheduler = require('../services/notificationScheduler');
     const status = notificationScheduler.getStatus();
+    const queue = await notificationScheduler.getQueueStats();
 
     res.status(200).json({
       status: 'success',
-      data: status
+      data: {
+        ...status,
+        queue
+      }
     });
   } catch (error) {
     console.error('❌ FCM Reminder Status Error:', error);
@@ -751,7 +753,7 @@ exports.getReminderStatus = async (req, res) => {
  *                 type: string
  *                 enum: [low, normal, high]
  *                 default: normal
- *                 description: Notification priority level
+ *                 description: Notification priority level. Only high-priority announcements reach participants during their quiet hours; others are held until the quiet hours end
  *     responses:
  *       200:
  *         description: Host announcement sent successfully
@@ -778,10 +780,16 @@ exports.getReminderStatus = async (req, res) => {
  *                       type: number
  *                     failureCount:
  *                       type: number
+ *                     heldCount:
+ *                       type: number
+ *                       description: Participants in quiet hours who get the announcement when their quiet hours end
+ *                     announcementId:
+ *                       type: string
+ *                       description: Identifies the announcement in its delivery stats
  *                     message:
  *                       type: string
  *       403:
- *         description: Only event host can send announcements
+ *         description: Only the event host or co-hosts can send announcements, and only with a verified email
  *         content:
  *           application/json:
  *             schema:
@@ -802,12 +810,9 @@ exports.getReminderStatus = async (req, res) => {
 // Send host announcement to event participants
 exports.sendHostAnnouncement = async (req, res) => {
   try {
-    console.log('📢 Starting sendHostAnnouncement...');
     const { eventId } = req.params;
     const { message, title = 'Host Announcement', priority = 'normal' } = req.body;
 
-    console.log('📢 Request params:', { eventId, message, title, priority });
-
     // Validate required parameters
     if (!message || message.trim().length === 0) {
       return res.status(400).json({
@@ -824,10 +829,8 @@ exports.sendHostAnnouncement = async (req, res) => {
       });
     }
 
-    console.log('📢 Finding event and populating participants...');
     // Find the event and populate participants
-    const event = await Event.findById(eventId).populate('participants.user', 'fcmToken name email notificationSettings');
-    console.log('📢 Event found:', event ? event.title : 'NOT FOUND');
+    const event = await Event.findById(eventId).populate('participants.user', 'fcmToken devices name email notificationSettings');
 
     if (!event) {
       return res.status(404).json({
@@ -837,36 +840,29 @@ exports.sendHostAnnouncement = async (req, res) => {
     }
 
     // Check if the current user is the event host
-    console.log('📢 Checking host authorization...');
-    console.log('📢 Event creator:', event.creator);
-    console.log('📢 Current user ID:', req.user._id);
-
-    if (event.creator.toString() !== req.user._id.toString()) {
+    if (!hasEventPermission(event, req.user._id, 'event:announce')) {
       return res.status(403).json({
         status: 'fail',
-        message: 'Only the event host can send announcements'
+        message: 'Only the event host or co-hosts can send announcements'
       });
     }
 
-    console.log('📢 Filtering eligible participants...');
-    console.log('📢 Total participants:', event.participants.length);
+    if (!req.user.hasVerifiedEmail()) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'Please verify your email address before sending announcements'
+      });
+    }
 
     // Filter participants who have notifications enabled and are not the host
     const eligibleParticipants = event.participants.filter(participant =>
       participant.user && // Ensure user is populated
-      participant.user.fcmToken &&
+      hasDevices(participant.user) &&
       participant.user.notificationSettings?.eventUpdates !== false &&
       participant.user.notificationSettings?.pushNotifications !== false &&
       participant.user._id.toString() !== req.user._id.toString() // Don't send to host
     );
 
-    console.log('📢 Eligible participants:', eligibleParticipants.length);
-    console.log('📢 Participant details:', eligibleParticipants.map(p => ({
-      userId: p.user._id,
-      name: p.user.name,
-      hasFcmToken: !!p.user.fcmToken
-    })));
-
     if (eligibleParticipants.length === 0) {
       return res.status(400).json({
         status: 'fail',
@@ -874,10 +870,8 @@ exports.sendHostAnnouncement = async (req, res) => {
       });
     }
 
-    // Get Firebase messaging service
-    console.log('📢 Getting Firebase messaging service...');
-    const messaging = getMessaging();
-    console.log('📢 Firebase messaging service obtained successfully');
+    // Groups this announcement's notifications for its delivery stats
+    const announcementId = new mongoose.Types.ObjectId();
 
     // Prepare notification payload with host announcement data
     const payload = {
@@ -889,6 +883,7 @@ exports.sendHostAnnouncement = async (req, res) => {
         eventId: eventId,
         eventTitle: event.title,
         hostName: req.user.name,
+        announcementId: announcementId.toString(),
         notificationType: 'host_announcement',
         priority: priority,
         timestamp: new Date().toISOString()
@@ -917,117 +912,48 @@ exports.sendHostAnnouncement = async (req, res) => {
       }
     };
 
-    // Send notification to eligible participants
-    console.log('📢 Preparing to send FCM notifications...');
-    const tokens = eligibleParticipants.map(p => p.user.fcmToken);
-    console.log('📢 FCM Tokens to send to:', tokens.length);
-
-    let response;
-
-    // Check if sendMulticast is available (firebase-admin v9+)
-    if (typeof messaging.sendMulticast === 'function') {
-      console.log('📢 Using sendMulticast method...');
-      response = await messaging.sendMulticast({
-        tokens: tokens,
-        notification: payload.notification,
-        data: payload.data,
-        android: payload.android,
-        apns: payload.apns
-      });
-    } else if (typeof messaging.sendEach === 'function') {
-      console.log('📢 sendMulticast not available, using sendEach method...');
-      const messages = tokens.map(token => ({
-        token: token,
-        notification: payload.notification,
-        data: payload.data,
-        android: payload.android,
-        apns: payload.apns
-      }));
-      response = await messaging.sendEach(messages);
-    } else if (typeof messaging.sendAll === 'function') {
-      console.log('📢 sendMulticast not available, using sendAll method...');
-      const messages = tokens.map(token => ({
-        token: token,
-        notification: payload.notification,
-        data: payload.data,
-        android: payload.android,
-        apns: payload.apns
-      }));
-      response = await messaging.sendAll(messages);
-    } else {
-      // Fallback to sending one by one using send()
-      console.log('📢 Using fallback send method (one by one)...');
-      const results = [];
-      let successCount = 0;
-      let failureCount = 0;
-
-      for (const token of tokens) {
-        try {
-          const messageId = await messaging.send({
-            token: token,
-            notification: payload.notification,
-            data: payload.data,
-            android: payload.android,
-            apns: payload.apns
-          });
-          results.push({ success: true, messageId });
-          successCount++;
-        } catch (error) {
-          results.push({ success: false, error: error.code });
-          failureCount++;
-        }
+    // In-app notifications are saved first so each push carries its notification ID for receipts
+    const notifications = await createNotificationsForUsers(eligibleParticipants.map(p => p.user._id), {
+      type: 'host_announcement',
+      title: title,
+      body: message,
+      data: {
+        eventId: eventId,
+        eventTitle: event.title,
+        hostName: req.user.name,
+        announcementId: announcementId,
+        priority: priority
       }
+    });
+    const notificationIds = new Map(notifications.map(notification => [notification.userId.toString(), notification._id.toString()]));
 
-      response = {
-        responses: results,
-        successCount: successCount,
-        failureCount: failureCount
-      };
-    }
-
-    console.log('📢 FCM response received:', response);
+    // High-priority announcements go out right away; others wait for the end of a recipient's quiet hours
+    const { held } = priority === 'high'
+      ? { held: [] }
+      : await holdForQuietHours(eligibleParticipants.map(p => p.user), { title, body: message, data: payload.data, notifications });
+    const recipients = eligibleParticipants.filter(p => !held.includes(p.user));
 
-    // Process results
-    const results = response.responses.map((result, index) => ({
-      token: tokens[index],
-      success: result.success,
-      error: result.error?.code || null,
-      messageId: result.messageId || null
-    }));
+    // Send notification to every device of the eligible participants
+    const response = await sendToUsers(recipients.map(p => p.user), {
+      notification: payload.notification,
+      data: payload.data,
+      android: payload.android,
+      apns: payload.apns
+    }, user => ({ notificationId: notificationIds.get(user._id.toString()) }));
 
+    const results = response.results;
     const successCount = response.successCount;
     const failureCount = response.failureCount;
 
     // Log results
     console.log(`📢 Host announcement sent for "${event.title}": ${successCount} success, ${failureCount} failed`);
 
-    // Save notifications to database for successful deliveries
+    // Link each notification to its send result; held ones stay pending until the quiet hours end
     try {
-      const successfulParticipants = eligibleParticipants.filter((_, index) =>
-        response.responses[index]?.success
-      );
-
-      if (successfulParticipants.length > 0) {
-        const userIds = successfulParticipants.map(p => p.user._id);
-
-        await createNotificationsForUsers(userIds, {
-          type: 'host_announcement',
-          title: title,
-          body: message,
-          data: {
-            eventId: eventId,
-            eventTitle: event.title,
-            hostName: req.user.name,
-            priority: priority
-          },
-          deliveryStatus: 'delivered'
-        });
-
-        console.log(`💾 Saved ${successfulParticipants.length} notifications to database`);
-      }
+      await Notification.recordPushResults(notifications, response.users);
     } catch (dbError) {
-      // Don't fail the request if notification saving fails
-      console.error('⚠️ Error saving notifications to database:', dbError);
+      // Don't fail the request once the pushes went out
+      console.error('⚠️ Error saving delivery results:', dbError);
     }
 
     res.status(200).json({
@@ -1040,6 +966,8 @@ exports.sendHostAnnouncement = async (req, res) => {
         eligibleParticipants: eligibleParticipants.length,
         successCount,
         failureCount,
+        heldCount: held.length,
+        announcementId: announcementId,
         message: 'Host announcement sent successfully',
         results
       }
@@ -1066,33 +994,197 @@ exports.sendHostAnnouncement = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/fcm/event/{eventId}/announcements:
+ *   get:
+ *     summary: Get delivery stats of an event's host announcements
+ *     description: Per announcement, how many participants' pushes were accepted by FCM, confirmed delivered by the app, opened, failed (with their error codes) or are still pending (e.g. held for quiet hours). Rates are shares of all recipients. Newest first.
+ *     tags: [FCM]
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Announcement delivery stats
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: number
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     announcements:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           announcementId:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                           body:
+ *                             type: string
+ *                           priority:
+ *                             type: string
+ *                           sentAt:
+ *                             type: string
+ *                             format: date-time
+ *                           recipients:
+ *                             type: number
+ *                           pending:
+ *                             type: number
+ *                           sent:
+ *                             type: number
+ *                             description: Accepted by FCM, not yet confirmed by the app
+ *                           delivered:
+ *                             type: number
+ *                           failed:
+ *                             type: number
+ *                           opened:
+ *                             type: number
+ *                           deliveryRate:
+ *                             type: number
+ *                             example: 0.85
+ *                           openRate:
+ *                             type: number
+ *                             example: 0.4
+ *                           errors:
+ *                             type: object
+ *                             additionalProperties:
+ *                               type: number
+ *                             description: Failed deliveries by error code
+ *                             example: { "messaging/registration-token-not-registered": 2, "no_devices": 1 }
+ *       403:
+ *         description: Only the event host or co-hosts can see announcement stats
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Event not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// Get delivery and open rates of an event's host announcements
+exports.getAnnouncementStats = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Invalid event ID format'
+      });
+    }
+
+    const event = await Event.findById(eventId);
+
+    if (!event) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Event not found'
+      });
+    }
+
+    if (!hasEventPermission(event, req.user._id, 'event:announce')) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'Only the event host or co-hosts can see announcement stats'
+      });
+    }
+
+    const countStatus = (status) => ({ $sum: { $cond: [{ $eq: ['$deliveryStatus', status] }, 1, 0] } });
+
+    const groups = await Notification.aggregate([
+      {
+        $match: {
+          type: 'host_announcement',
+          'data.eventId': event._id,
+          // Announcements sent before delivery tracking have no ID
+          'data.announcementId': { $ne: null }
+        }
+      },
+      {
+        $group: {
+          _id: '$data.announcementId',
+          title: { $first: '$title' },
+          body: { $first: '$body' },
+          priority: { $first: '$data.priority' },
+          sentAt: { $min: '$createdAt' },
+          recipients: { $sum: 1 },
+          pending: countStatus('pending'),
+          sent: countStatus('sent'),
+          delivered: countStatus('delivered'),
+          failed: countStatus('failed'),
+          opened: { $sum: { $cond: [{ $ifNull: ['$openedAt', false] }, 1, 0] } },
+          errors: { $push: '$deliveryError' }
+        }
+      },
+      { $sort: { sentAt: -1 } }
+    ]);
+
+    const announcements = groups.map(({ _id, errors, ...group }) => ({
+      announcementId: _id,
+      ...group,
+      deliveryRate: group.recipients ? group.delivered / group.recipients : null,
+      openRate: group.recipients ? group.opened / group.recipients : null,
+      errors: errors.filter(Boolean).reduce((counts, code) => ({ ...counts, [code]: (counts[code] || 0) + 1 }), {})
+    }));
+
+    res.status(200).json({
+      status: 'success',
+      results: announcements.length,
+      data: {
+        announcements
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching announcement stats:', error);
+    res.status(500).json({
+      status: 'fail',
+      message: 'Error fetching announcement stats',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // Helper function to send automatic event notifications
 exports.sendAutomaticEventNotification = async (eventId, notificationType, additionalData = {}) => {
   try {
-    const event = await Event.findById(eventId).populate('participants.user', 'fcmToken name email notificationSettings');
+    const event = await Event.findById(eventId).populate('participants.user', 'fcmToken devices name email notificationSettings');
 
     if (!event) {
       console.log(`❌ Event ${eventId} not found for automatic notification`);
       return;
     }
 
-    // Extract FCM tokens from participants
-    const tokens = event.participants
+    // Participants with registered devices
+    const recipients = event.participants
       .filter(participant =>
         participant.user &&
-        participant.user.fcmToken &&
+        hasDevices(participant.user) &&
         participant.user.notificationSettings?.eventUpdates !== false
       )
-      .map(participant => participant.user.fcmToken);
+      .map(participant => participant.user);
 
-    if (tokens.length === 0) {
+    if (recipients.length === 0) {
       console.log(`⚠️ No participants with FCM tokens for event ${event.title}`);
       return;
     }
 
-    // Get Firebase messaging service
-    const messaging = getMessaging();
-
     // Prepare notification based on type
     let title, body;
     switch (notificationType) {
@@ -1108,6 +1200,14 @@ exports.sendAutomaticEventNotification = async (eventId, notificationType, addit
         title = 'Event Cancelled';
         body = `"${event.title}" has been cancelled.`;
         break;
+      case 'occurrence_updated':
+        title = 'Event Date Updated';
+        body = `"${event.title}" on ${additionalData.occurrenceDate} has been updated.`;
+        break;
+      case 'occurrence_cancelled':
+        title = 'Event Date Cancelled';
+        body = `"${event.title}" on ${additionalData.occurrenceDate} has been cancelled.`;
+        break;
       case 'event_reminder':
         title = 'Event Reminder';
         body = `"${event.title}" is coming up soon!`;
@@ -1151,9 +1251,15 @@ exports.sendAutomaticEventNotification = async (eventId, notificationType, addit
       }
     };
 
-    // Send notification to event participants
-    const response = await messaging.sendMulticast({
-      tokens: tokens,
+    // Cancellations go out right away; other updates wait for the end of a recipient's quiet hours
+    const { sendNow } = URGENT_EVENT_NOTIFICATIONS.includes(notificationType)
+      ? { sendNow: recipients }
+      : await holdForQuietHours(recipients, { title, body, data: payload.data });
+
+    if (sendNow.length === 0) return;
+
+    // Send notification to every device of the event participants
+    const response = await sendToUsers(sendNow, {
       notification: payload.notification,
       data: payload.data,
       android: payload.android,
@@ -1169,3 +1275,181 @@ exports.sendAutomaticEventNotification = async (eventId, notificationType, addit
     throw error;
   }
 };
+
+// Helper function to tell users they moved off an event's waitlist
+exports.sendWaitlistPromotionNotification = async (eventId, userIds) => {
+  try {
+    const event = await Event.findById(eventId).select('title');
+
+    if (!event) {
+      console.log(`❌ Event ${eventId} not found for waitlist promotion notification`);
+      return;
+    }
+
+    const title = "You're In!";
+    const body = `A spot opened up for "${event.title}". You've been moved off the waitlist.`;
+
+    // Always keep an in-app record, even for users without push enabled
+    const notifications = await createNotificationsForUsers(userIds, {
+      type: 'waitlist_promoted',
+      title: title,
+      body: body,
+      data: {
+        eventId: event._id,
+        eventTitle: event.title,
+        priority: 'high'
+      }
+    });
+
+    const users = await User.find({ _id: { $in: userIds } }).select('fcmToken devices notificationSettings');
+    const recipients = users.filter(user =>
+      hasDevices(user) &&
+      user.notificationSettings?.pushNotifications !== false
+    );
+
+    await Notification.recordPushResults(notifications, getSkippedPushResults(users, recipients));
+
+    if (recipients.length === 0) {
+      console.log(`⚠️ No promoted users with FCM tokens for event ${event.title}`);
+      return;
+    }
+    const notificationIds = new Map(notifications.map(notification => [notification.userId.toString(), notification._id.toString()]));
+
+    const data = {
+      eventId: event._id.toString(),
+      eventTitle: event.title,
+      notificationType: 'waitlist_promoted',
+      timestamp: new Date().toISOString()
+    };
+
+    // RSVP updates wait for the end of a recipient's quiet hours
+    const { sendNow } = await holdForQuietHours(recipients, { title, body, data, notifications });
+    if (sendNow.length === 0) return;
+
+    const response = await sendToUsers(sendNow, {
+      notification: {
+        title: title,
+        body: body
+      },
+      data,
+      android: {
+        priority: 'high',
+        notification: {
+          sound: 'default',
+          channelId: 'event_notifications'
+        }
+      },
+      apns: {
+        payload: {
+          aps: {
+            sound: 'default',
+            badge: 1
+          }
+        }
+      }
+    }, user => ({ notificationId: notificationIds.get(user._id.toString()) }));
+
+    // The pushes already went out, so a failed write only loses the delivery status
+    try {
+      await Notification.recordPushResults(notifications, response.users);
+    } catch (dbError) {
+      console.error('⚠️ Error saving delivery results:', dbError);
+    }
+
+    console.log(`🎟️ Waitlist promotion notification sent for "${event.title}": ${response.successCount} success, ${response.failureCount} failed`);
+
+    return response;
+
+  } catch (error) {
+    console.error('❌ Error sending waitlist promotion notification:', error);
+    throw error;
+  }
+};
+
+// Helper function to warn participants that the forecast for an event changed
+exports.sendWeatherAlertNotification = async (eventId, userIds, changes = []) => {
+  try {
+    const event = await Event.findById(eventId).select('title');
+
+    if (!event) {
+      console.log(`❌ Event ${eventId} not found for weather alert notification`);
+      return;
+    }
+
+    const title = 'Weather Alert 🌦️';
+    const body = `Forecast update for "${event.title}": ${changes.map(change => change.message).join('. ')}.`;
+
+    // Always keep an in-app record, even for users without push enabled
+    const notifications = await createNotificationsForUsers(userIds, {
+      type: 'weather_alert',
+      title: title,
+      body: body,
+      data: {
+        eventId: event._id,
+        eventTitle: event.title,
+        priority: 'normal',
+        metadata: {
+          changes: changes.map(change => change.type)
+        }
+      }
+    });
+
+    const users = await User.find({ _id: { $in: userIds } }).select('fcmToken devices notificationSettings');
+    const recipients = users.filter(user =>
+      hasDevices(user) &&
+      user.notificationSettings?.pushNotifications !== false
+    );
+
+    await Notification.recordPushResults(notifications, getSkippedPushResults(users, recipients));
+
+    if (recipients.length === 0) {
+      console.log(`⚠️ No participants with FCM tokens for weather alert on ${event.title}`);
+      return;
+    }
+    const notificationIds = new Map(notifications.map(notification => [notification.userId.toString(), notification._id.toString()]));
+
+    const response = await sendToUsers(recipients, {
+      notification: {
+        title: title,
+        body: body
+      },
+      data: {
+        eventId: event._id.toString(),
+        eventTitle: event.title,
+        notificationType: 'weather_alert',
+        changes: changes.map(change => change.type).join(','),
+        timestamp: new Date().toISOString()
+      },
+      android: {
+        priority: 'high',
+        notification: {
+          sound: 'default',
+          channelId: 'event_notifications'
+        }
+      },
+      apns: {
+        payload: {
+          aps: {
+            sound: 'default',
+            badge: 1
+          }
+        }
+      }
+    }, user => ({ notificationId: notificationIds.get(user._id.toString()) }));
+
+    // The pushes already went out, so a failed write only loses the delivery status
+    try {
+      await Notification.recordPushResults(notifications, response.users);
+    } catch (dbError) {
+      console.error('⚠️ Error saving delivery results:', dbError);
+    }
+
+    console.log(`🌦️ Weather alert sent for "${event.title}": ${response.successCount} success, ${response.failureCount} failed`);
+
+    return response;
+
+  } catch (error) {
+    console.error('❌ Error sending weather alert notification:', error);
+    throw error;
+  }
+};
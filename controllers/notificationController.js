@@ -1,6 +1,16 @@
 const Notification = require('../models/notificationModel');
 const User = require('../models/userModel');
 const mongoose = require('mongoose');
+const { toSortObject, parseLimit, buildCursorFilter, buildPage } = require('../utils/pagination');
+
+// Receipts the app reports for a push
+const RECEIPT_STATUSES = ['delivered', 'opened'];
+
+// Newest first; _id breaks ties between notifications created in the same millisecond
+const NOTIFICATION_SORT = [
+  { field: 'createdAt', direction: -1 },
+  { field: '_id', direction: -1 }
+];
 
 /**
  * @swagger
@@ -24,6 +34,22 @@ const mongoose = require('mongoose');
  *           type: object
  *         isRead:
  *           type: boolean
+ *         deliveryStatus:
+ *           type: string
+ *           enum: [pending, sent, delivered, failed]
+ *           description: pending until the push is sent (or while held for quiet hours), sent once FCM accepts it, delivered when the app confirms receipt
+ *         deliveryError:
+ *           type: string
+ *           nullable: true
+ *           description: FCM error code of a failed push, or no_devices / push_disabled
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         openedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -38,16 +64,22 @@ const mongoose = require('mongoose');
  *     tags: [Notifications]
  *     parameters:
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; pages stay stable while new notifications arrive
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
  *           default: 1
- *         description: Page number
+ *         description: Page number (ignored when a cursor is given)
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           default: 20
+ *           maximum: 100
  *         description: Number of notifications per page
  *       - in: query
  *         name: unreadOnly
@@ -78,16 +110,22 @@ const mongoose = require('mongoose');
  *                       type: number
  *                     hasMore:
  *                       type: boolean
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Pass as cursor to load the next page (null on the last page)
  *                     currentPage:
  *                       type: number
+ *       400:
+ *         description: Invalid cursor
  */
 exports.getNotifications = async (req, res) => {
   try {
     const userId = req.user._id;
     const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
+    const limit = parseLimit(req.query.limit, 20);
     const unreadOnly = req.query.unreadOnly === 'true';
-    const skip = (page - 1) * limit;
+    const skip = req.query.cursor ? 0 : (page - 1) * limit;
 
     console.log(`📬 Fetching notifications for user ${userId} - page: ${page}, limit: ${limit}, unreadOnly: ${unreadOnly}`);
 
@@ -97,16 +135,27 @@ exports.getNotifications = async (req, res) => {
       query.isRead = false;
     }
 
+    let cursorFilter;
+    try {
+      cursorFilter = buildCursorFilter(req.query.cursor, NOTIFICATION_SORT);
+    } catch (cursorError) {
+      return res.status(400).json({
+        status: 'fail',
+        message: cursorError.message
+      });
+    }
+
     // Get notifications with pagination
-    const [notifications, totalCount, unreadCount] = await Promise.all([
-      Notification.find(query)
-        .sort({ createdAt: -1 })
+    const [results, totalCount, unreadCount] = await Promise.all([
+      Notification.find(cursorFilter ? { $and: [query, cursorFilter] } : query)
+        .sort(toSortObject(NOTIFICATION_SORT))
         .skip(skip)
-        .limit(limit)
+        .limit(limit + 1)
         .lean(),
       Notification.countDocuments(query),
       Notification.countDocuments({ userId, isRead: false })
     ]);
+    const { items: notifications, hasMore, nextCursor } = buildPage(results, limit, NOTIFICATION_SORT);
 
     // Transform _id to id for frontend compatibility
     const transformedNotifications = notifications.map(notification => ({
@@ -114,8 +163,6 @@ exports.getNotifications = async (req, res) => {
       id: notification._id.toString()
     }));
 
-    const hasMore = skip + notifications.length < totalCount;
-
     console.log(`✅ Retrieved ${notifications.length} notifications (${unreadCount} unread)`);
 
     res.status(200).json({
@@ -125,6 +172,7 @@ exports.getNotifications = async (req, res) => {
         totalCount,
         unreadCount,
         hasMore,
+        nextCursor,
         currentPage: page
       }
     });
@@ -279,6 +327,94 @@ exports.markAsRead = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/notifications/{id}/receipt:
+ *   patch:
+ *     summary: Report a push receipt
+ *     description: Called by the app when a push arrives (delivered) or the user taps it (opened). Pushes carry the ID as data.notificationId. Opening also marks the notification as read. Receipts only move forward, so repeated calls are safe.
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Notification ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [delivered, opened]
+ *     responses:
+ *       200:
+ *         description: Receipt recorded
+ *       400:
+ *         description: Invalid notification ID or status
+ *       404:
+ *         description: Notification not found
+ */
+exports.recordReceipt = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Invalid notification ID'
+      });
+    }
+
+    if (!RECEIPT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Status must be one of: ${RECEIPT_STATUSES.join(', ')}`
+      });
+    }
+
+    const notification = await Notification.findOne({ _id: id, userId: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Notification not found'
+      });
+    }
+
+    if (status === 'opened') {
+      await notification.markOpened();
+    } else {
+      await notification.markDelivered();
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        id: notification._id.toString(),
+        deliveryStatus: notification.deliveryStatus,
+        deliveredAt: notification.deliveredAt,
+        openedAt: notification.openedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error recording notification receipt:', error);
+    res.status(500).json({
+      status: 'fail',
+      message: 'Error recording notification receipt',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * @swagger
  * /api/notifications/mark-all-read:
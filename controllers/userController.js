@@ -1,20 +1,64 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const Event = require('../models/eventModel');
+const Notification = require('../models/notificationModel');
+const HeldPush = require('../models/heldPushModel');
+const ReminderDelivery = require('../models/reminderDeliveryModel');
 const { uploadAvatar, deleteFile } = require('../utils/fileUpload');
-const { invalidateUserCache } = require('../utils/cacheHelpers');
-const { generateOTP, sendOTPEmail } = require('../services/emailService');
+const { invalidateUserCache, invalidateEventCache } = require('../utils/cacheHelpers');
+const { generateOTP, sendOTPEmail, sendVerificationEmail } = require('../services/emailService');
+const { findParticipant } = require('../utils/eventPermissions');
+const { sendAutomaticEventNotification } = require('./fcmController');
+const { handleWaitlistPromotions } = require('./eventController');
+const { normalizeCategories } = require('../utils/categories');
+const { normalizeOffsets } = require('../utils/reminders');
+const { rescheduleHeldPushes, scheduleEmailDigest, cancelDigests } = require('../services/notificationDigest');
+const notificationScheduler = require('../services/notificationScheduler');
+const { DEVICE_PLATFORMS, registerDevice, removeDevice } = require('../services/pushService');
+const { buildPublicUrl } = require('../utils/publicUrl');
 
-// Generate JWT token
-const signToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN
+// Access tokens are short-lived; refresh tokens keep the device signed in
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+
+// Generate JWT access token bound to a session
+const signToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+};
+
+// Hash a refresh token for storage and lookup
+const hashToken = (token) => {
+  return crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+};
+
+// Generate a new random refresh token
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// Open a new session for a device and return its raw refresh token
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    deviceName: req.body.deviceName || null,
+    userAgent: req.get('user-agent') || null,
+    ipAddress: req.ip || null,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000)
   });
+  return { session, refreshToken };
 };
 
 // Create and send token
-const createSendToken = (user, statusCode, res) => {
-  const token = signToken(user._id);
+const createSendToken = async (user, statusCode, req, res) => {
+  const { session, refreshToken } = await createSession(user, req);
+  const token = signToken(user._id, session._id);
 
   // Remove password from output
   user.password = undefined;
@@ -22,6 +66,8 @@ const createSendToken = (user, statusCode, res) => {
   res.status(statusCode).json({
     status: 'success',
     token,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
     data: {
       user: {
         id: user._id,
@@ -29,12 +75,61 @@ const createSendToken = (user, statusCode, res) => {
         email: user.email,
         avatar: user.avatar,
         dateOfBirth: user.dateOfBirth,
-        age: user.age
+        age: user.age,
+        emailVerified: user.hasVerifiedEmail()
       }
     }
   });
 };
 
+// Generate a verification code, store its hash and email it to the user
+// A resent code leaves the status alone, so older accounts keep their access while they verify
+const issueEmailVerification = async (user, { resetStatus = true } = {}) => {
+  const otp = generateOTP();
+
+  if (resetStatus) {
+    user.emailVerified = false;
+  }
+  user.emailVerificationOTP = crypto
+    .createHash('sha256')
+    .update(otp)
+    .digest('hex');
+  user.emailVerificationExpires = Date.now() + 30 * 60 * 1000; // 30 minutes
+  await user.save({ validateBeforeSave: false });
+
+  await sendVerificationEmail(user.email, user.name, otp);
+};
+
+// Move RSVPs given as an account-less guest onto the user's account
+// Only called once the user has proven they own the email address
+const claimGuestRsvps = async (user) => {
+  const events = await Event.find({
+    participants: { $elemMatch: { user: null, 'guest.email': user.email } }
+  });
+
+  for (const event of events) {
+    const guestEntry = event.findGuestParticipant(user.email);
+    if (findParticipant(event, user._id)) {
+      // The account already answered; its own answer wins
+      event.participants.pull(guestEntry._id);
+    } else {
+      guestEntry.user = user._id;
+      guestEntry.guest = null;
+    }
+    await event.save();
+    invalidateEventCache(event._id.toString());
+  }
+
+  if (events.length > 0) {
+    await User.findByIdAndUpdate(user._id, {
+      $addToSet: { joinedEvents: { $each: events.map(event => event._id) } }
+    });
+    invalidateUserCache(user._id.toString(), ['user:.*:joinedEvents']);
+  }
+
+  return events.length;
+};
+
 // Register new user
 exports.register = async (req, res) => {
   try {
@@ -45,11 +140,20 @@ exports.register = async (req, res) => {
       name: req.body.name,
       email: req.body.email,
       password: req.body.password,
-      dateOfBirth: req.body.dateOfBirth
+      dateOfBirth: req.body.dateOfBirth,
+      emailVerified: false
     });
 
     console.log('User created successfully:', newUser._id);
-    createSendToken(newUser, 201, res);
+
+    // The account works right away; the user can resend the code if this email fails
+    try {
+      await issueEmailVerification(newUser);
+    } catch (emailError) {
+      console.error('Verification email error:', emailError);
+    }
+
+    await createSendToken(newUser, 201, req, res);
   } catch (error) {
     console.error('--- Registration Error ---');
     console.error('Error:', error.message);
@@ -83,8 +187,271 @@ exports.login = async (req, res) => {
       });
     }
 
-    createSendToken(user, 200, res);
+    // Pick up answers given through invite links before the account existed; accounts from
+    // before email verification count as verified elsewhere but never proved they own the address
+    if (user.emailVerified === true) {
+      try {
+        await claimGuestRsvps(user);
+      } catch (claimError) {
+        console.error('Claim guest RSVPs error:', claimError);
+      }
+    }
+
+    await createSendToken(user, 200, req, res);
+  } catch (error) {
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// Exchange a refresh token for a new token pair (rotates the refresh token)
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Refresh token is required'
+      });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+    if (!session) {
+      // A token that was already rotated is being replayed: assume it was stolen
+      const reusedSession = await Session.findOne({ previousRefreshTokenHash: tokenHash });
+      if (reusedSession && !reusedSession.revokedAt) {
+        await reusedSession.revoke('token_reuse');
+        console.log(`⚠️ Refresh token reuse detected, session ${reusedSession._id} revoked`);
+      }
+
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Invalid refresh token. Please log in again.'
+      });
+    }
+
+    if (!session.isActive) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Your session has expired or was revoked. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'The user belonging to this token no longer exists.'
+      });
+    }
+
+    // Rotate: the presented token becomes the "previous" one and stops working
+    const newRefreshToken = generateRefreshToken();
+    session.previousRefreshTokenHash = tokenHash;
+    session.refreshTokenHash = hashToken(newRefreshToken);
+    session.lastUsedAt = new Date();
+    session.userAgent = req.get('user-agent') || session.userAgent;
+    session.ipAddress = req.ip || session.ipAddress;
+    await session.save();
+
+    res.status(200).json({
+      status: 'success',
+      token: signToken(user._id, session._id),
+      refreshToken: newRefreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// Log out the current device
+exports.logout = async (req, res) => {
+  try {
+    await req.authSession.revoke('logout');
+
+    // The signed-out device stops getting pushes
+    if (req.body && req.body.fcmToken) {
+      await removeDevice(req.user._id, req.body.fcmToken);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// List the user's active sessions (signed-in devices)
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort('-lastUsedAt');
+
+    res.status(200).json({
+      status: 'success',
+      results: sessions.length,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          deviceName: session.deviceName,
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          isCurrent: session._id.toString() === req.authSession._id.toString()
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// Revoke one of the user's sessions (sign out a device)
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.sessionId, user: req.user._id });
+
+    if (!session || session.revokedAt) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// Confirm the user's email address with the emailed code
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { otp } = req.body;
+
+    if (!otp) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Please provide the verification code'
+      });
+    }
+
+    // Older accounts (emailVerified unset) may still verify to claim their guest RSVPs
+    if (req.user.emailVerified === true) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Your email is already verified'
+      });
+    }
+
+    const hashedOTP = crypto
+      .createHash('sha256')
+      .update(String(otp))
+      .digest('hex');
+
+    const user = await User.findOne({
+      _id: req.user._id,
+      emailVerificationOTP: hashedOTP,
+      emailVerificationExpires: { $gt: Date.now() }
+    }).select('+emailVerificationOTP +emailVerificationExpires');
+
+    if (!user) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Invalid or expired verification code'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationOTP = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    invalidateUserCache(req.user._id.toString(), ['user:.*:profile']);
+
+    // Now that the email is confirmed, convert guest RSVPs made with it
+    let claimedRsvps = 0;
+    try {
+      claimedRsvps = await claimGuestRsvps(user);
+    } catch (claimError) {
+      console.error('Claim guest RSVPs error:', claimError);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Email verified successfully',
+      data: {
+        emailVerified: true,
+        claimedRsvps
+      }
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// Send a new email verification code
+exports.resendVerificationEmail = async (req, res) => {
+  try {
+    // Older accounts (emailVerified unset) may still verify to claim their guest RSVPs
+    if (req.user.emailVerified === true) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Your email is already verified'
+      });
+    }
+
+    try {
+      await issueEmailVerification(req.user, { resetStatus: false });
+    } catch (emailError) {
+      console.error('Email sending error:', emailError);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to send email. Please try again later.'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Verification code sent to your email'
+    });
   } catch (error) {
+    console.error('Resend verification error:', error);
     res.status(400).json({
       status: 'fail',
       message: error.message
@@ -126,6 +493,15 @@ exports.updateProfile = async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    // A new email address has to be confirmed again
+    if (filteredBody.email && updatedUser.email !== req.user.email) {
+      try {
+        await issueEmailVerification(updatedUser);
+      } catch (emailError) {
+        console.error('Verification email error:', emailError);
+      }
+    }
+
     // Invalidate user cache after successful update
     invalidateUserCache(req.user._id.toString(), ['user:.*:profile']);
 
@@ -207,8 +583,8 @@ const filterObj = (obj, ...allowedFields) => {
  * @swagger
  * /api/users/fcm-token:
  *   post:
- *     summary: Update user's FCM token
- *     description: Register or update the user's Firebase Cloud Messaging token for push notifications
+ *     summary: Register a device for push notifications
+ *     description: Register the Firebase Cloud Messaging token of the device the user is signed in on, or refresh it when already registered. A user can have several devices; every device receives the user's pushes.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -224,9 +600,14 @@ const filterObj = (obj, ...allowedFields) => {
  *               fcmToken:
  *                 type: string
  *                 description: Firebase Cloud Messaging registration token
+ *               platform:
+ *                 type: string
+ *                 enum: [ios, android, web]
+ *               appVersion:
+ *                 type: string
  *     responses:
  *       200:
- *         description: FCM token updated successfully
+ *         description: Device registered successfully
  *         content:
  *           application/json:
  *             schema:
@@ -243,6 +624,10 @@ const filterObj = (obj, ...allowedFields) => {
  *                       example: FCM token updated successfully
  *                     fcmToken:
  *                       type: string
+ *                     devices:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Device'
  *       400:
  *         description: Invalid request
  *         content:
@@ -256,10 +641,10 @@ const filterObj = (obj, ...allowedFields) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-// Update user's FCM token
+// Register the current device's FCM token
 exports.updateFCMToken = async (req, res) => {
   try {
-    const { fcmToken } = req.body;
+    const { fcmToken, platform, appVersion } = req.body;
 
     if (!fcmToken) {
       return res.status(400).json({
@@ -268,11 +653,18 @@ exports.updateFCMToken = async (req, res) => {
       });
     }
 
-    const updatedUser = await User.findByIdAndUpdate(
-      req.user._id,
-      { fcmToken: fcmToken },
-      { new: true, runValidators: true }
-    );
+    if (platform !== undefined && !DEVICE_PLATFORMS.includes(platform)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Platform must be one of: ${DEVICE_PLATFORMS.join(', ')}`
+      });
+    }
+
+    const updatedUser = await registerDevice(req.user._id, {
+      token: fcmToken,
+      platform,
+      appVersion: appVersion ? String(appVersion) : null
+    });
 
     // Invalidate user cache
     invalidateUserCache(req.user._id.toString(), ['user:.*:profile']);
@@ -281,7 +673,8 @@ exports.updateFCMToken = async (req, res) => {
       status: 'success',
       data: {
         message: 'FCM token updated successfully',
-        fcmToken: updatedUser.fcmToken
+        fcmToken: fcmToken,
+        devices: updatedUser.devices
       }
     });
   } catch (error) {
@@ -293,6 +686,53 @@ exports.updateFCMToken = async (req, res) => {
   }
 };
 
+// List the devices registered for push notifications
+exports.getDevices = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('devices');
+    const devices = [...user.devices].sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+
+    res.status(200).json({
+      status: 'success',
+      results: devices.length,
+      data: {
+        devices
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// Stop sending pushes to one of the user's devices
+exports.deleteDevice = async (req, res) => {
+  try {
+    const removed = await removeDevice(req.user._id, req.params.token);
+
+    if (!removed) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Device not found'
+      });
+    }
+
+    invalidateUserCache(req.user._id.toString(), ['user:.*:profile']);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Device removed successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
 /**
  * @swagger
  * /api/users/notification-settings:
@@ -321,6 +761,37 @@ exports.updateFCMToken = async (req, res) => {
  *               pushNotifications:
  *                 type: boolean
  *                 description: Enable/disable all push notifications
+ *               reminderOffsets:
+ *                 type: array
+ *                 nullable: true
+ *                 items:
+ *                   type: string
+ *                 description: Personal reminder schedule used instead of each event's ("30m", "2h", "1d", "1w" or "morning_of" for 08:00 on the day). null or an empty array goes back to the event's schedule
+ *                 example: ["morning_of"]
+ *               quietHours:
+ *                 type: object
+ *                 description: Daily window in which event updates, normal-priority announcements and waitlist updates are held and then sent as one push. Cancellations and high-priority announcements still go out
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                     example: true
+ *                   start:
+ *                     type: string
+ *                     description: Start time (HH:MM)
+ *                     example: "22:00"
+ *                   end:
+ *                     type: string
+ *                     description: End time (HH:MM); may be earlier than start to run past midnight
+ *                     example: "07:00"
+ *               timezone:
+ *                 type: string
+ *                 nullable: true
+ *                 description: IANA time zone for quiet hours and digest emails (UTC when unset)
+ *                 example: Europe/Berlin
+ *               emailDigest:
+ *                 type: string
+ *                 enum: [off, daily, weekly]
+ *                 description: Email a summary of unread notifications at 08:00 every day or every Monday
  *     responses:
  *       200:
  *         description: Notification settings updated successfully
@@ -346,6 +817,24 @@ exports.updateFCMToken = async (req, res) => {
  *                           type: boolean
  *                         pushNotifications:
  *                           type: boolean
+ *                         reminderOffsets:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         quietHours:
+ *                           type: object
+ *                           properties:
+ *                             enabled:
+ *                               type: boolean
+ *                             start:
+ *                               type: string
+ *                             end:
+ *                               type: string
+ *                         timezone:
+ *                           type: string
+ *                           nullable: true
+ *                         emailDigest:
+ *                           type: string
  *       400:
  *         description: Invalid request
  *         content:
@@ -362,7 +851,10 @@ exports.updateFCMToken = async (req, res) => {
 // Update user's notification settings
 exports.updateNotificationSettings = async (req, res) => {
   try {
-    const allowedFields = ['eventUpdates', 'eventReminders', 'weatherAlerts', 'pushNotifications'];
+    const allowedFields = [
+      'eventUpdates', 'eventReminders', 'weatherAlerts', 'pushNotifications',
+      'reminderOffsets', 'quietHours', 'timezone', 'emailDigest'
+    ];
     const filteredBody = filterObj(req.body, ...allowedFields);
 
     if (Object.keys(filteredBody).length === 0) {
@@ -372,6 +864,32 @@ exports.updateNotificationSettings = async (req, res) => {
       });
     }
 
+    // Clearing the personal schedule falls back to each event's reminders
+    const unset = {};
+    if (filteredBody.reminderOffsets !== undefined) {
+      const offsets = filteredBody.reminderOffsets === null ? [] : normalizeOffsets(filteredBody.reminderOffsets);
+      if (offsets.length > 0) {
+        filteredBody.reminderOffsets = offsets;
+      } else {
+        delete filteredBody.reminderOffsets;
+        unset['notificationSettings.reminderOffsets'] = '';
+      }
+    }
+
+    // Quiet hours may be updated one field at a time
+    if (filteredBody.quietHours !== undefined) {
+      if (!filteredBody.quietHours || typeof filteredBody.quietHours !== 'object') {
+        return res.status(400).json({
+          status: 'fail',
+          message: 'Quiet hours must be an object with enabled, start and end'
+        });
+      }
+      Object.entries(filterObj(filteredBody.quietHours, 'enabled', 'start', 'end')).forEach(([key, value]) => {
+        filteredBody[`quietHours.${key}`] = value;
+      });
+      delete filteredBody.quietHours;
+    }
+
     const updatedUser = await User.findByIdAndUpdate(
       req.user._id,
       { 
@@ -380,11 +898,24 @@ exports.updateNotificationSettings = async (req, res) => {
             acc[`notificationSettings.${key}`] = filteredBody[key];
             return acc;
           }, {})
-        }
+        },
+        $unset: unset
       },
       { new: true, runValidators: true }
     );
 
+    // Held pushes and the email digest follow the new times; the settings are saved either way
+    try {
+      if (req.body.quietHours !== undefined || req.body.timezone !== undefined) {
+        await rescheduleHeldPushes(updatedUser);
+      }
+      if (req.body.emailDigest !== undefined || req.body.timezone !== undefined) {
+        await scheduleEmailDigest(updatedUser);
+      }
+    } catch (digestError) {
+      console.log('Digest scheduling failed for user:', digestError.message);
+    }
+
     // Invalidate user cache
     invalidateUserCache(req.user._id.toString(), ['user:.*:profile']);
 
@@ -403,6 +934,416 @@ exports.updateNotificationSettings = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/users/followed-categories:
+ *   patch:
+ *     summary: Set the event categories the user follows
+ *     description: Replaces the followed categories. Events in these categories rank higher in the for-you feed.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - categories
+ *             properties:
+ *               categories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Category IDs from GET /api/events/categories (an empty array unfollows all)
+ *                 example: ["music", "outdoors"]
+ *     responses:
+ *       200:
+ *         description: Followed categories updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     followedCategories:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: Missing or unknown categories
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// Set the categories the user follows
+exports.updateFollowedCategories = async (req, res) => {
+  try {
+    if (req.body.categories === undefined) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'categories is required'
+      });
+    }
+
+    const categories = normalizeCategories(req.body.categories);
+
+    const updatedUser = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: { followedCategories: categories } },
+      { new: true, runValidators: true }
+    );
+
+    // Invalidate user cache, including the for-you feed
+    invalidateUserCache(req.user._id.toString(), ['user:.*:profile']);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        followedCategories: updatedUser.followedCategories
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// ===== PERSONAL DATA (GDPR) =====
+
+// Download everything stored about the current user as JSON
+exports.exportMyData = async (req, res) => {
+  try {
+    const userId = req.user._id.toString();
+    const user = await User.findById(userId).lean();
+
+    const [createdEvents, relatedEvents, notifications, sessions] = await Promise.all([
+      // Event details only: guest lists, waitlists, roles, todos and uploads hold other people's data;
+      // the user's own RSVPs, todos and uploads are listed below
+      Event.find({ creator: userId })
+        .select('-participants -waitlist -roles -todoList -imageAlbum -searchTokens')
+        .lean(),
+      Event.find({
+        $or: [
+          { 'participants.user': userId },
+          { 'waitlist.user': userId },
+          { 'todoList.createdBy': userId },
+          { 'todoList.assignedTo': userId },
+          { 'imageAlbum.uploadedBy': userId }
+        ]
+      }).select('title startDate startTime status participants waitlist todoList imageAlbum').lean(),
+      Notification.find({ userId }).sort('-createdAt').lean(),
+      Session.find({ user: userId }).lean()
+    ]);
+
+    const isMine = (ref) => ref && ref.toString() === userId;
+    const eventSummary = (event) => ({
+      eventId: event._id,
+      title: event.title,
+      startDate: event.startDate,
+      startTime: event.startTime
+    });
+
+    const rsvps = [];
+    const waitlists = [];
+    const todoItems = [];
+    const albumUploads = [];
+
+    relatedEvents.forEach(event => {
+      const participant = (event.participants || []).find(p => isMine(p.user));
+      if (participant) {
+        rsvps.push({
+          ...eventSummary(event),
+          status: participant.status,
+          joinedAt: participant.joinedAt,
+          plusOnes: participant.plusOnes || 0,
+          plusOneNames: participant.plusOneNames || [],
+          answers: participant.answers || [],
+          occurrenceRsvps: participant.occurrenceRsvps || []
+        });
+      }
+
+      // One entry per queue the user waits in: the series, or a single occurrence
+      (event.waitlist || []).forEach(entry => {
+        if (!isMine(entry.user)) return;
+        const occurrenceDate = entry.occurrenceDate || null;
+        const queue = event.waitlist.filter(item => (item.occurrenceDate || null) === occurrenceDate);
+        waitlists.push({
+          ...eventSummary(event),
+          occurrenceDate,
+          position: queue.indexOf(entry) + 1,
+          joinedAt: entry.joinedAt
+        });
+      });
+
+      (event.todoList || [])
+        .filter(todo => isMine(todo.createdBy) || isMine(todo.assignedTo))
+        .forEach(todo => todoItems.push({ ...eventSummary(event), todo }));
+
+      (event.imageAlbum || [])
+        .filter(image => isMine(image.uploadedBy))
+        .forEach(image => albumUploads.push({ ...eventSummary(event), image }));
+    });
+
+    const bundle = {
+      exportedAt: new Date().toISOString(),
+      profile: user,
+      createdEvents,
+      rsvps,
+      waitlists,
+      todoItems,
+      albumUploads,
+      notifications,
+      sessions: sessions.map(session => ({
+        deviceName: session.deviceName,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        revokedAt: session.revokedAt
+      }))
+    };
+
+    res.set('Content-Disposition', `attachment; filename="planzaa-export-${userId}.json"`);
+    res.status(200).json({
+      status: 'success',
+      data: bundle
+    });
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// Delete a Cloudinary file without aborting account deletion on failure
+const deleteFileSafely = async (cloudinaryId) => {
+  try {
+    await deleteFile(cloudinaryId);
+  } catch (error) {
+    console.error(`Failed to delete Cloudinary file ${cloudinaryId}:`, error.message);
+  }
+};
+
+// Permanently delete the current user's account and personal data
+exports.deleteMe = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Please confirm your password to delete your account'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Incorrect password'
+      });
+    }
+
+    const userId = user._id.toString();
+    const summary = { reassignedEvents: 0, cancelledEvents: 0, leftEvents: 0, deletedImages: 0 };
+
+    // Hand created events to a co-host; otherwise they lose their creator and active ones are cancelled
+    const createdEvents = await Event.find({ creator: userId });
+    for (const event of createdEvents) {
+      const coHost = event.roles.find(entry => entry.role === 'co-host');
+
+      if (coHost) {
+        event.creator = coHost.user;
+        event.roles = event.roles.filter(entry => entry !== coHost);
+        await event.save();
+        await User.findByIdAndUpdate(coHost.user, { $addToSet: { createdEvents: event._id } });
+        summary.reassignedEvents++;
+        continue;
+      }
+
+      const wasActive = event.status === 'active';
+      event.creator = null;
+      if (wasActive) {
+        event.status = 'cancelled';
+      }
+      await event.save();
+
+      if (wasActive) {
+        summary.cancelledEvents++;
+
+        try {
+          await notificationScheduler.cancelEventReminders(event._id);
+        } catch (reminderError) {
+          console.log('Reminder cancellation failed for cancelled event:', reminderError.message);
+        }
+
+        try {
+          await sendAutomaticEventNotification(event._id.toString(), 'event_cancelled');
+        } catch (fcmError) {
+          console.log('FCM notification failed for event cancellation:', fcmError.message);
+        }
+      }
+    }
+
+    // Remove the user's participation, roles and uploads from every other event
+    const relatedEvents = await Event.find({
+      $or: [
+        { 'participants.user': userId },
+        { 'waitlist.user': userId },
+        { 'roles.user': userId },
+        { 'todoList.assignedTo': userId },
+        { 'imageAlbum.uploadedBy': userId }
+      ]
+    });
+
+    for (const event of relatedEvents) {
+      let promotedUserIds = [];
+      const participant = findParticipant(event, userId);
+      if (participant) {
+        event.participants.pull(participant._id);
+        summary.leftEvents++;
+        if (participant.status === 'yes') {
+          promotedUserIds = event.promoteFromWaitlist();
+        }
+      }
+
+      event.removeFromAllWaitlists(userId);
+      event.roles = event.roles.filter(entry => entry.user.toString() !== userId);
+
+      const uploads = event.imageAlbum.filter(image => image.uploadedBy.toString() === userId);
+      for (const image of uploads) {
+        await deleteFileSafely(image.cloudinaryId);
+        event.imageAlbum.pull(image._id);
+        summary.deletedImages++;
+      }
+
+      // Todos the user created stay with the event; only assignments are cleared
+      event.todoList.forEach(todo => {
+        if (todo.assignedTo && todo.assignedTo.toString() === userId) {
+          todo.assignedTo = null;
+        }
+      });
+
+      await event.save();
+      await handleWaitlistPromotions(event, promotedUserIds);
+
+      // Drop reminders that were only queued for the user's personal schedule
+      if (participant) {
+        try {
+          await notificationScheduler.scheduleEventReminders(event);
+        } catch (reminderError) {
+          console.log('Reminder scheduling failed for event:', reminderError.message);
+        }
+      }
+    }
+
+    if (user.avatar && user.avatar.cloudinaryId) {
+      await deleteFileSafely(user.avatar.cloudinaryId);
+    }
+
+    await Promise.all([
+      Notification.deleteMany({ userId }),
+      HeldPush.deleteMany({ user: userId }),
+      ReminderDelivery.deleteMany({ user: userId }),
+      Session.deleteMany({ user: userId }),
+      cancelDigests(userId)
+    ]);
+    await User.findByIdAndDelete(userId);
+
+    invalidateUserCache(userId);
+    invalidateEventCache(null, ['user:.*:joinedEvents']);
+
+    console.log(`🗑️ Account ${userId} deleted:`, summary);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Your account and personal data have been deleted',
+      data: {
+        summary
+      }
+    });
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// Build the public URL of a calendar feed
+const buildCalendarFeedUrl = (token) => {
+  return buildPublicUrl(`/api/events/calendar/${token}.ics`);
+};
+
+// Create (or rotate) the user's calendar feed token
+exports.createCalendarFeed = async (req, res) => {
+  try {
+    // Only the hash is stored; the raw token lives in the subscription URL
+    const token = crypto.randomBytes(32).toString('hex');
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(token)
+      .digest('hex');
+    const feedUrl = buildCalendarFeedUrl(token);
+
+    await User.findByIdAndUpdate(req.user._id, { calendarFeedToken: hashedToken });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        message: 'Calendar feed created. Any previous feed URL no longer works.',
+        feedUrl
+      }
+    });
+  } catch (error) {
+    console.error('Calendar feed creation error:', error);
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
+// Revoke the user's calendar feed
+exports.revokeCalendarFeed = async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, { calendarFeedToken: null });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        message: 'Calendar feed revoked successfully'
+      }
+    });
+  } catch (error) {
+    console.error('Calendar feed revoke error:', error);
+    res.status(400).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+};
+
 /**
  * @swagger
  * /api/users/request-otp:
@@ -620,6 +1561,9 @@ exports.resetPassword = async (req, res) => {
     user.resetPasswordExpires = undefined;
     await user.save();
 
+    // Sign out every device; passwordChangedAt also invalidates outstanding access tokens
+    await Session.revokeAllForUser(user._id, 'password_changed');
+
     res.status(200).json({
       status: 'success',
       message: 'Password reset successfully. You can now login with your new password.'
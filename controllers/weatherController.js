@@ -1,17 +1,30 @@
-const axios = require('axios');
+const { parseDateKey } = require('../utils/recurrence');
+const { getDateKeyInTimeZone } = require('../utils/timezone');
+const {
+  FORECAST_HORIZON_DAYS,
+  CLIMATOLOGY_MAX_DAYS,
+  fetchForecast,
+  fetchEventForecast,
+  fetchClimatology,
+  fetchEventClimatology,
+  getStoredForecast,
+  isForecastFresh,
+  buildWeatherSnapshot
+} = require('../services/weatherService');
 
-// Utility function to handle Open-Meteo API errors
+// Utility function to handle weather provider errors (HTTP errors from the API or AppErrors from the fixture provider)
 const handleWeatherError = (error, res) => {
-  console.error('Open-Meteo API Error:', error.response?.data || error.message);
-  
-  if (error.response?.status === 400) {
+  console.error('Weather provider error:', error.response?.data || error.message);
+  const statusCode = error.response?.status || error.statusCode;
+
+  if (statusCode === 400) {
     return res.status(400).json({
       status: 'fail',
       message: 'Invalid coordinates or date range'
     });
   }
 
-  if (error.response?.status === 429) {
+  if (statusCode === 429) {
     return res.status(429).json({
       status: 'fail',
       message: 'Rate limit exceeded for weather API'
@@ -29,7 +42,7 @@ const handleWeatherError = (error, res) => {
  * /weather/forecast:
  *   get:
  *     summary: Get weather forecast for a location
- *     description: Get weather forecast using Open-Meteo API for a specific location and date range. Coordinates should be sourced from LocationIQ search or reverse geocoding.
+ *     description: Get weather forecast from the configured weather provider (Open-Meteo by default) for a specific location and date range. Coordinates should be sourced from LocationIQ search or reverse geocoding. Date ranges starting more than 10 days from today return typical weather from historical averages instead (source "climatology", up to 31 days).
  *     tags: [Weather]
  *     parameters:
  *       - in: query
@@ -75,7 +88,7 @@ const handleWeatherError = (error, res) => {
  *                     weather:
  *                       $ref: '#/components/schemas/Weather'
  *       400:
- *         description: Invalid parameters or date range too far
+ *         description: Invalid parameters or date range too long
  *         content:
  *           application/json:
  *             schema:
@@ -138,58 +151,30 @@ exports.getWeatherForecast = async (req, res) => {
       });
     }
 
-    // Check if dates are within 10 days from today
+    // Dates more than 10 days away get typical weather from historical data instead of a forecast
     const maxDate = new Date(today);
-    maxDate.setDate(today.getDate() + 10);
+    maxDate.setDate(today.getDate() + FORECAST_HORIZON_DAYS);
 
     if (start > maxDate) {
-      return res.status(400).json({
-        status: 'fail',
-        message: 'Weather forecast is only available for dates within 10 days from today'
+      if ((end - start) / (24 * 60 * 60 * 1000) >= CLIMATOLOGY_MAX_DAYS) {
+        return res.status(400).json({
+          status: 'fail',
+          message: `Typical weather is only available for up to ${CLIMATOLOGY_MAX_DAYS} days at a time`
+        });
+      }
+
+      const climatology = await fetchClimatology({ lat: latNum, lon: lonNum, startDate, endDate });
+
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          weather: climatology
+        }
       });
     }
 
-    // Call Open-Meteo API
-    const response = await axios.get('https://api.open-meteo.com/v1/forecast', {
-      params: {
-        latitude: latNum,
-        longitude: lonNum,
-        start_date: startDate,
-        end_date: endDate,
-        hourly: 'temperature_2m,relative_humidity_2m,precipitation_probability,weather_code,wind_speed_10m',
-        daily: 'temperature_2m_max,temperature_2m_min,precipitation_probability_max,weather_code',
-        timezone: 'auto'
-      }
-    });
-
-    // Transform the response to a more user-friendly format
-    const weatherData = {
-      location: {
-        lat: latNum,
-        lon: lonNum
-      },
-      dateRange: {
-        start: startDate,
-        end: endDate
-      },
-      daily: response.data.daily?.time?.map((date, index) => ({
-        date: date,
-        maxTemp: response.data.daily.temperature_2m_max[index],
-        minTemp: response.data.daily.temperature_2m_min[index],
-        precipitationProbability: response.data.daily.precipitation_probability_max[index],
-        weatherCode: response.data.daily.weather_code[index],
-        weatherDescription: getWeatherDescription(response.data.daily.weather_code[index])
-      })) || [],
-      hourly: response.data.hourly?.time?.map((time, index) => ({
-        time: time,
-        temperature: response.data.hourly.temperature_2m[index],
-        humidity: response.data.hourly.relative_humidity_2m[index],
-        precipitationProbability: response.data.hourly.precipitation_probability[index],
-        weatherCode: response.data.hourly.weather_code[index],
-        windSpeed: response.data.hourly.wind_speed_10m[index],
-        weatherDescription: getWeatherDescription(response.data.hourly.weather_code[index])
-      })) || []
-    };
+    // Fetch from the configured weather provider
+    const weatherData = await fetchForecast({ lat: latNum, lon: lonNum, startDate, endDate });
 
     res.status(200).json({
       status: 'success',
@@ -208,7 +193,7 @@ exports.getWeatherForecast = async (req, res) => {
  * /weather/event/{eventId}:
  *   get:
  *     summary: Get weather forecast for an event
- *     description: Get weather forecast for a specific event based on its LocationIQ coordinates and event dates
+ *     description: Get weather forecast for a specific event based on its LocationIQ coordinates and event dates. The forecast stored on the event is served while it is fresh (up to 12 hours old for events more than 3 days away, 3 hours within 3 days and 1 hour within a day); otherwise it is fetched again and stored. Events more than 10 days away get typical weather from historical averages instead (source "climatology"), which switches to the real forecast once the event comes within range
  *     tags: [Weather]
  *     parameters:
  *       - in: path
@@ -217,6 +202,13 @@ exports.getWeatherForecast = async (req, res) => {
  *         schema:
  *           type: string
  *         description: Event ID
+ *       - in: query
+ *         name: occurrenceDate
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Occurrence of a recurring event to forecast (YYYY-MM-DD)
  *     responses:
  *       200:
  *         description: Successful weather forecast for event
@@ -233,8 +225,12 @@ exports.getWeatherForecast = async (req, res) => {
  *                   properties:
  *                     weather:
  *                       $ref: '#/components/schemas/Weather'
+ *                     lastUpdated:
+ *                       type: string
+ *                       format: date-time
+ *                       description: When the forecast was fetched from the weather provider
  *       400:
- *         description: Invalid event or date range too far
+ *         description: Event has no coordinates
  *         content:
  *           application/json:
  *             schema:
@@ -273,83 +269,73 @@ exports.getEventWeather = async (req, res) => {
       });
     }
 
-    // Format dates for API
-    const startDate = event.startDate.toISOString().split('T')[0];
-    const endDate = event.endDate ? event.endDate.toISOString().split('T')[0] : startDate;
+    // Resolve the dates to forecast; recurring events can target a single occurrence
+    let eventDates = { startDate: event.startDate, endDate: event.endDate };
+    const { occurrenceDate } = req.query;
 
-    // Check if dates are within 10 days from today
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    if (occurrenceDate) {
+      const occurrenceDay = parseDateKey(occurrenceDate);
+      const [occurrence] = occurrenceDay
+        ? event.getOccurrences({ from: occurrenceDay, to: occurrenceDay, limit: 1 })
+        : [];
+
+      if (!occurrence) {
+        return res.status(404).json({
+          status: 'fail',
+          message: 'Occurrence not found for this event'
+        });
+      }
+      eventDates = occurrence;
+    }
+
+    // Serve the stored snapshot while it is fresh; it always describes the series start
+    if (!occurrenceDate && isForecastFresh(event)) {
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          weather: getStoredForecast(event),
+          lastUpdated: event.weather.lastUpdated
+        }
+      });
+    }
+
+    // Forecasts are only available within 10 days from today (in the event's time zone)
+    const today = parseDateKey(getDateKeyInTimeZone(new Date(), event.timezone));
     const maxDate = new Date(today);
-    maxDate.setDate(today.getDate() + 10);
+    maxDate.setUTCDate(today.getUTCDate() + FORECAST_HORIZON_DAYS);
 
-    if (event.startDate > maxDate) {
-      return res.status(400).json({
-        status: 'fail',
-        message: 'Weather forecast is only available for events within 10 days from today'
+    // Until the event comes within range, show typical weather for its dates (never stored on the event)
+    if (eventDates.startDate > maxDate) {
+      const climatology = await fetchEventClimatology(event, {
+        dates: eventDates,
+        occurrenceDate: occurrenceDate || null
+      });
+
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          weather: climatology
+        }
       });
     }
 
-    // Call Open-Meteo API
-    const response = await axios.get('https://api.open-meteo.com/v1/forecast', {
-      params: {
-        latitude: event.location.coordinates.lat,
-        longitude: event.location.coordinates.lon,
-        start_date: startDate,
-        end_date: endDate,
-        hourly: 'temperature_2m,relative_humidity_2m,precipitation_probability,weather_code,wind_speed_10m',
-        daily: 'temperature_2m_max,temperature_2m_min,precipitation_probability_max,weather_code',
-        timezone: 'auto'
-      }
+    // Fetch the forecast (hourly times are returned in the event's time zone)
+    const weatherData = await fetchEventForecast(event, {
+      dates: eventDates,
+      occurrenceDate: occurrenceDate || null
     });
 
-    // Transform the response
-    const weatherData = {
-      eventId: event._id,
-      eventTitle: event.title,
-      location: {
-        name: event.location.name,
-        lat: event.location.coordinates.lat,
-        lon: event.location.coordinates.lon
-      },
-      dateRange: {
-        start: startDate,
-        end: endDate
-      },
-      daily: response.data.daily?.time?.map((date, index) => ({
-        date: date,
-        maxTemp: response.data.daily.temperature_2m_max[index],
-        minTemp: response.data.daily.temperature_2m_min[index],
-        precipitationProbability: response.data.daily.precipitation_probability_max[index],
-        weatherCode: response.data.daily.weather_code[index],
-        weatherDescription: getWeatherDescription(response.data.daily.weather_code[index])
-      })) || [],
-      hourly: response.data.hourly?.time?.map((time, index) => ({
-        time: time,
-        temperature: response.data.hourly.temperature_2m[index],
-        humidity: response.data.hourly.relative_humidity_2m[index],
-        precipitationProbability: response.data.hourly.precipitation_probability[index],
-        weatherCode: response.data.hourly.weather_code[index],
-        windSpeed: response.data.hourly.wind_speed_10m[index],
-        weatherDescription: getWeatherDescription(response.data.hourly.weather_code[index])
-      })) || []
-    };
-
-    // Update event with weather data
-    event.weather = {
-      forecast: weatherData,
-      lastUpdated: new Date(),
-      location: {
-        lat: event.location.coordinates.lat,
-        lon: event.location.coordinates.lon
-      }
-    };
-    await event.save();
+    // Update event with weather data (the stored snapshot always describes the series start)
+    if (!occurrenceDate) {
+      event.weather = buildWeatherSnapshot(event, weatherData);
+      await event.save();
+    }
 
     res.status(200).json({
       status: 'success',
       data: {
-        weather: weatherData
+        weather: weatherData,
+        lastUpdated: new Date()
       }
     });
 
@@ -358,38 +344,3 @@ exports.getEventWeather = async (req, res) => {
   }
 };
 
-// Helper function to convert weather codes to descriptions
-function getWeatherDescription(code) {
-  const weatherCodes = {
-    0: 'Clear sky',
-    1: 'Mainly clear',
-    2: 'Partly cloudy',
-    3: 'Overcast',
-    45: 'Foggy',
-    48: 'Depositing rime fog',
-    51: 'Light drizzle',
-    53: 'Moderate drizzle',
-    55: 'Dense drizzle',
-    56: 'Light freezing drizzle',
-    57: 'Dense freezing drizzle',
-    61: 'Slight rain',
-    63: 'Moderate rain',
-    65: 'Heavy rain',
-    66: 'Light freezing rain',
-    67: 'Heavy freezing rain',
-    71: 'Slight snow fall',
-    73: 'Moderate snow fall',
-    75: 'Heavy snow fall',
-    77: 'Snow grains',
-    80: 'Slight rain showers',
-    81: 'Moderate rain showers',
-    82: 'Violent rain showers',
-    85: 'Slight snow showers',
-    86: 'Heavy snow showers',
-    95: 'Thunderstorm',
-    96: 'Thunderstorm with slight hail',
-    99: 'Thunderstorm with heavy hail'
-  };
-  
-  return weatherCodes[code] || 'Unknown';
-}
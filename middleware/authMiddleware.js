@@ -1,10 +1,11 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
 
 const protect = async (req, res, next) => {
   try {
     let token;
-    
+
     // Get token from header
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
       token = req.headers.authorization.split(' ')[1];
@@ -20,6 +21,15 @@ const protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Check that the session behind the token has not been revoked
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive || session.user.toString() !== decoded.id) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Your session has expired or was revoked. Please log in again.'
+      });
+    }
+
     // Check if user still exists
     const currentUser = await User.findById(decoded.id);
     if (!currentUser) {
@@ -29,8 +39,17 @@ const protect = async (req, res, next) => {
       });
     }
 
+    // Check if user changed password after the token was issued
+    if (currentUser.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Password was changed recently. Please log in again.'
+      });
+    }
+
     // Grant access to protected route
     req.user = currentUser;
+    req.authSession = session;
     next();
   } catch (error) {
     res.status(401).json({
@@ -40,4 +59,4 @@ const protect = async (req, res, next) => {
   }
 };
 
-module.exports = { protect }; 
\ No newline at end of file
+module.exports = { protect };
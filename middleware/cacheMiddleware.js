@@ -145,8 +145,9 @@ const weatherCache = (ttl = 1800) => {
   return createCacheMiddleware({
     ttl,
     keyGenerator: (req) => {
-      const { lat, lon, city } = req.query;
-      return `weather:${lat || 'null'}:${lon || 'null'}:${city || 'null'}`;
+      const { lat, lon, city, occurrenceDate } = req.query;
+      const eventId = req.params && req.params.eventId;
+      return `weather:${lat || 'null'}:${lon || 'null'}:${city || 'null'}:${eventId || 'null'}:${occurrenceDate || 'null'}`;
     }
   });
 };
@@ -168,6 +169,7 @@ const locationCache = (ttl = 3600) => {
 
 /**
  * Cache middleware for events data
+ * Entries are kept per user: private events, permission checks and RSVP status depend on who asks
  * @param {number} ttl - Time to live in seconds (default: 300 = 5 minutes)
  * @returns {Function} Express middleware
  */
@@ -175,8 +177,11 @@ const eventsCache = (ttl = 300) => {
   return createCacheMiddleware({
     ttl,
     keyGenerator: (req) => {
-      const { lat, lon, radius, category, date } = req.query;
-      return `events:${lat || 'null'}:${lon || 'null'}:${radius || 'null'}:${category || 'null'}:${date || 'null'}`;
+      const { lat, lon, radius, category, date, ...filters } = req.query;
+      const userId = req.user ? req.user._id : 'anonymous';
+      // Remaining query parameters (search, dates, paging) also change the result
+      const filterKey = Object.keys(filters).sort().map(key => `${key}=${filters[key]}`).join('&');
+      return `events:${req.path}:${userId}:${lat || 'null'}:${lon || 'null'}:${radius || 'null'}:${category || 'null'}:${date || 'null'}:${filterKey || 'null'}`;
     }
   });
 };
@@ -28,6 +28,54 @@ const passwordResetLimiter = rateLimit({
   }
 });
 
+/**
+ * Rate limiter for email verification endpoints
+ * Limits: 5 requests per 15 minutes per IP
+ * Stops brute forcing of the 6-digit code and flooding inboxes with resends
+ */
+const emailVerificationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // Limit each IP to 5 requests per windowMs
+  message: {
+    status: 'error',
+    message: 'Too many email verification attempts from this IP. Please try again after 15 minutes.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      status: 'error',
+      message: 'Too many email verification attempts from this IP. Please try again after 15 minutes.',
+      retryAfter: '15 minutes'
+    });
+  }
+});
+
+/**
+ * Rate limiter for guest RSVPs through public invite links
+ * Limits: 10 requests per 15 minutes per IP
+ * Keeps the unauthenticated endpoint from being used to fill events or send spam
+ */
+const guestRsvpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // Limit each IP to 10 requests per windowMs
+  message: {
+    status: 'error',
+    message: 'Too many RSVP attempts from this IP. Please try again after 15 minutes.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      status: 'error',
+      message: 'Too many RSVP attempts from this IP. Please try again after 15 minutes.',
+      retryAfter: '15 minutes'
+    });
+  }
+});
+
 module.exports = {
-  passwordResetLimiter
+  passwordResetLimiter,
+  emailVerificationLimiter,
+  guestRsvpLimiter
 };
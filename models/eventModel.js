@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const validator = require('validator');
+const { FREQUENCIES, WEEKDAY_CODES, DATE_KEY_REGEX, expandOccurrences, getOccurrenceStatus, combineDateAndTime } = require('../utils/recurrence');
+const { isValidTimeZone } = require('../utils/timezone');
+const { DEFAULT_REMINDER_OFFSETS, MAX_REMINDER_OFFSETS, normalizeOffsets } = require('../utils/reminders');
+const { ASSIGNABLE_ROLES } = require('../utils/eventPermissions');
+const { QUESTION_TYPES, CHOICE_TYPES } = require('../utils/rsvpQuestions');
+const { SEARCH_FIELDS, buildSearchTokens } = require('../utils/search');
+const { CATEGORY_IDS, MAX_TAGS } = require('../utils/categories');
 
 const eventSchema = new mongoose.Schema({
   title: {
@@ -37,6 +45,17 @@ const eventSchema = new mongoose.Schema({
     display_name: {
       type: String,
       default: null
+    },
+    // GeoJSON copy of the coordinates for distance queries, kept in sync on save
+    geo: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number], // [lon, lat]
+        default: undefined
+      }
     }
   },
   startDate: {
@@ -68,11 +87,123 @@ const eventSchema = new mongoose.Schema({
       message: 'End time must be in HH:MM format (e.g., 16:30)'
     }
   },
+  // IANA time zone the start/end times are expressed in (e.g. "Europe/Berlin")
+  // Inferred from location.coordinates when not set explicitly; null falls back to server local time
+  timezone: {
+    type: String,
+    trim: true,
+    default: null,
+    validate: {
+      validator: function(v) {
+        if (!v) return true;
+        return isValidTimeZone(v);
+      },
+      message: 'Time zone must be a valid IANA time zone name (e.g., Europe/Berlin)'
+    }
+  },
+  // Start instant derived from startDate + startTime + timezone, used for reminder scheduling
+  startsAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
   dressCode: {
     type: String,
     trim: true,
     default: null
   },
+  // One category from the taxonomy in utils/categories.js; users can follow categories
+  category: {
+    type: String,
+    enum: {
+      values: [null, ...CATEGORY_IDS],
+      message: 'Unknown event category'
+    },
+    default: null
+  },
+  tags: {
+    type: [String],
+    validate: {
+      validator: function(v) {
+        return v.length <= MAX_TAGS;
+      },
+      message: `An event can have at most ${MAX_TAGS} tags`
+    }
+  },
+  // Optional repeat rule (RRULE subset); startDate/startTime describe the first occurrence
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: [null, ...FREQUENCIES],
+      default: null
+    },
+    interval: {
+      type: Number,
+      min: [1, 'Recurrence interval must be at least 1'],
+      default: 1
+    },
+    byWeekday: [{
+      type: String,
+      enum: WEEKDAY_CODES
+    }],
+    until: {
+      type: Date,
+      default: null
+    },
+    count: {
+      type: Number,
+      min: [1, 'Recurrence count must be at least 1'],
+      default: null
+    }
+  },
+  // Edits and cancellations that apply to a single occurrence of a recurring event
+  occurrenceOverrides: [{
+    occurrenceDate: {
+      type: String,
+      required: [true, 'Occurrence date is required'],
+      match: [DATE_KEY_REGEX, 'Occurrence date must be in YYYY-MM-DD format']
+    },
+    status: {
+      type: String,
+      enum: ['active', 'cancelled'],
+      default: 'active'
+    },
+    title: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    dressCode: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    startDate: {
+      type: Date,
+      default: null
+    },
+    startTime: {
+      type: String,
+      default: null
+    },
+    endDate: {
+      type: Date,
+      default: null
+    },
+    endTime: {
+      type: String,
+      default: null
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   // Optional Spotify playlist information for the event
   spotifyPlaylist: {
     id: {
@@ -154,22 +285,19 @@ const eventSchema = new mongoose.Schema({
       }
     }
   },
-  reminders: {
-    sent24h: {
-      type: Boolean,
-      default: false
-    },
-    sent2h: {
-      type: Boolean,
-      default: false
-    },
-    sent30m: {
-      type: Boolean,
-      default: false
-    },
-    lastChecked: {
-      type: Date,
-      default: null
+  // Reminder schedule chosen by the host (e.g. ["1w", "1d", "1h"]); delivery is tracked per recipient in ReminderDelivery
+  reminderOffsets: {
+    type: [String],
+    default: () => [...DEFAULT_REMINDER_OFFSETS],
+    validate: {
+      validator: function(offsets) {
+        try {
+          return normalizeOffsets(offsets).length === offsets.length;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: `Reminders must be up to ${MAX_REMINDER_OFFSETS} unique values like 30m, 2h, 1d, 1w or morning_of`
     }
   },
   poster: {
@@ -247,25 +375,115 @@ const eventSchema = new mongoose.Schema({
     }
   }],
 
+  // Cleared when the creator deletes their account and no co-host takes the event over
   creator: {
     type: mongoose.Schema.ObjectId,
     ref: 'User',
-    required: [true, 'Event must belong to a user']
+    required: [function() { return this.isNew; }, 'Event must belong to a user']
   },
+  // Elevated event roles; the creator is always the owner and other participants are guests
+  roles: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ASSIGNABLE_ROLES,
+      required: true
+    },
+    grantedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   participants: [{
     user: {
       type: mongoose.Schema.ObjectId,
       ref: 'User'
     },
+    // Set instead of user when someone RSVPs through the invite link without an account
+    guest: {
+      type: new mongoose.Schema({
+        name: {
+          type: String,
+          required: [true, 'Guest name is required'],
+          trim: true,
+          maxlength: [100, 'Guest name cannot be more than 100 characters']
+        },
+        email: {
+          type: String,
+          required: [true, 'Guest email is required'],
+          trim: true,
+          lowercase: true,
+          validate: [validator.isEmail, 'Please provide a valid guest email']
+        }
+      }, { _id: false }),
+      default: null
+    },
     status: {
       type: String,
       enum: ['yes', 'no', 'maybe'],
       required: true
     },
+    // Extra people coming along; a "yes" takes 1 + plusOnes seats
+    plusOnes: {
+      type: Number,
+      min: [0, 'Plus-ones cannot be negative'],
+      default: 0
+    },
+    plusOneNames: [{
+      type: String,
+      trim: true,
+      maxlength: [100, 'Plus-one name cannot be more than 100 characters']
+    }],
+    // Answers to rsvpQuestions, validated by utils/rsvpQuestions
+    answers: [{
+      _id: false,
+      question: {
+        type: mongoose.Schema.ObjectId,
+        required: true
+      },
+      value: mongoose.Schema.Types.Mixed
+    }],
     joinedAt: {
       type: Date,
       default: Date.now
-    }
+    },
+    // Set when the participant's ticket is scanned at the door (see utils/tickets)
+    checkedInAt: {
+      type: Date,
+      default: null
+    },
+    checkedInBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Per-occurrence answers for recurring events; status above is the series default
+    occurrenceRsvps: [{
+      _id: false,
+      occurrenceDate: {
+        type: String,
+        required: true,
+        match: [DATE_KEY_REGEX, 'Occurrence date must be in YYYY-MM-DD format']
+      },
+      status: {
+        type: String,
+        enum: ['yes', 'no', 'maybe'],
+        required: true
+      },
+      updatedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   }],
   inviteLink: {
     type: String,
@@ -281,10 +499,88 @@ const eventSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Outdoor events get weather-change alerts before they start
+  isOutdoor: {
+    type: Boolean,
+    default: false
+  },
+  // Host-defined questions answered when joining or updating an RSVP
+  rsvpQuestions: [{
+    label: {
+      type: String,
+      required: [true, 'Question label is required'],
+      trim: true,
+      maxlength: [200, 'Question label cannot be more than 200 characters']
+    },
+    type: {
+      type: String,
+      enum: QUESTION_TYPES,
+      required: [true, 'Question type is required']
+    },
+    options: {
+      type: [{
+        type: String,
+        trim: true
+      }],
+      validate: {
+        validator: function(v) {
+          if (!CHOICE_TYPES.includes(this.type)) return v.length === 0;
+          return v.length >= 2 && new Set(v).size === v.length;
+        },
+        message: 'Choice questions need at least two distinct options; other types take none'
+      }
+    },
+    required: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // Maximum confirmed headcount (participants plus their plus-ones)
   maxParticipants: {
     type: Number,
     default: null
   },
+  // How many plus-ones each participant may bring (0 disables plus-ones)
+  plusOneLimit: {
+    type: Number,
+    min: [0, 'Plus-one limit cannot be negative'],
+    default: 0
+  },
+  // Ordered queues of users waiting for a "yes" seat once maxParticipants is reached
+  // One queue for the whole series, and one per occurrence of a recurring event
+  waitlist: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Occurrence date (YYYY-MM-DD) the user waits for, null for the whole series
+    occurrenceDate: {
+      type: String,
+      default: null,
+      match: [DATE_KEY_REGEX, 'Occurrence date must be in YYYY-MM-DD format']
+    },
+    // Party and answers the user gave; the whole party is promoted together
+    plusOnes: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    plusOneNames: [{
+      type: String,
+      trim: true
+    }],
+    answers: [{
+      _id: false,
+      question: mongoose.Schema.ObjectId,
+      value: mongoose.Schema.Types.Mixed
+    }],
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   // Album image feature toggle
   isAlbumImageEnable: {
     type: Boolean,
@@ -337,6 +633,11 @@ const eventSchema = new mongoose.Schema({
     type: String,
     enum: ['active', 'cancelled', 'completed'],
     default: 'active'
+  },
+  // Trigrams of the searchable fields, kept in sync on save (see utils/search.js)
+  searchTokens: {
+    type: [String],
+    select: false
   }
 }, {
   timestamps: true,
@@ -344,30 +645,31 @@ const eventSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-// Virtual field for confirmed participants count
+eventSchema.index({ 'location.geo': '2dsphere' });
+eventSchema.index({ searchTokens: 1 });
+eventSchema.index({ category: 1 });
+eventSchema.index({ tags: 1 });
+
+// Number of seats a participant (or waitlist entry) takes: themselves plus their plus-ones
+const getPartySize = (entry) => 1 + (entry.plusOnes || 0);
+
+// Virtual field for confirmed headcount (participants answering "yes" plus their plus-ones)
 eventSchema.virtual('confirmedParticipantsCount').get(function() {
-  return this.participants.filter(participant => participant.status === 'yes').length;
+  return this.participants
+    .filter(participant => participant.status === 'yes')
+    .reduce((total, participant) => total + getPartySize(participant), 0);
 });
 
-// Virtual field for formatted start date and time
+// Virtual field for formatted start date and time (computed in the event's time zone)
 eventSchema.virtual('formattedStartDateTime').get(function() {
   if (!this.startDate || !this.startTime) return null;
-  const date = new Date(this.startDate);
-  const [hours, minutes] = this.startTime.split(':');
-  date.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-  return date;
+  return combineDateAndTime(this.startDate, this.startTime, this.timezone);
 });
 
-// Virtual field for formatted end date and time
+// Virtual field for formatted end date and time (computed in the event's time zone)
 eventSchema.virtual('formattedEndDateTime').get(function() {
   if (!this.endDate && !this.endTime) return null;
-  
-  const date = new Date(this.endDate || this.startDate);
-  if (this.endTime) {
-    const [hours, minutes] = this.endTime.split(':');
-    date.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-  }
-  return date;
+  return combineDateAndTime(this.endDate || this.startDate, this.endTime, this.timezone);
 });
 
 // Virtual field for event duration in minutes
@@ -381,6 +683,11 @@ eventSchema.virtual('durationMinutes').get(function() {
   return Math.round(diffMs / (1000 * 60));
 });
 
+// Virtual field indicating whether the event repeats
+eventSchema.virtual('isRecurring').get(function() {
+  return !!(this.recurrence && this.recurrence.frequency);
+});
+
 // Virtual field for Spotify embed URL
 eventSchema.virtual('spotifyEmbedUrl').get(function() {
   const id = this.spotifyPlaylist && this.spotifyPlaylist.playlistId;
@@ -414,6 +721,111 @@ eventSchema.virtual('overdueTodos').get(function() {
   );
 });
 
+// Method to expand the event into occurrences within a window
+eventSchema.methods.getOccurrences = function(options = {}) {
+  return expandOccurrences(this, options);
+};
+
+// Method to count confirmed participants for a single occurrence
+eventSchema.methods.confirmedCountForOccurrence = function(occurrenceDate) {
+  return this.participants
+    .filter(participant => getOccurrenceStatus(participant, occurrenceDate) === 'yes')
+    .reduce((total, participant) => total + getPartySize(participant), 0);
+};
+
+// Method to get the number of seats a participant or waitlist entry takes
+eventSchema.methods.getPartySize = function(entry) {
+  return getPartySize(entry);
+};
+
+// Method to check whether a party of the given size still fits under maxParticipants
+// With an occurrence date, the seats of that occurrence are counted
+eventSchema.methods.hasCapacity = function(seats = 1, occurrenceDate = null) {
+  const confirmed = occurrenceDate ? this.confirmedCountForOccurrence(occurrenceDate) : this.confirmedParticipantsCount;
+  return !this.maxParticipants || confirmed + seats <= this.maxParticipants;
+};
+
+// Method to find the account-less guest entry for an email address
+eventSchema.methods.findGuestParticipant = function(email) {
+  const normalized = String(email || '').trim().toLowerCase();
+  return this.participants.find(participant =>
+    !participant.user && participant.guest && participant.guest.email === normalized
+  );
+};
+
+// Method to get the waitlist queue of the whole series (no date) or of one occurrence, in order
+eventSchema.methods.getWaitlistQueue = function(occurrenceDate = null) {
+  return this.waitlist.filter(entry => (entry.occurrenceDate || null) === occurrenceDate);
+};
+
+// Method to get a user's 1-based position in a waitlist queue (0 when not waitlisted)
+eventSchema.methods.getWaitlistPosition = function(userId, occurrenceDate = null) {
+  return this.getWaitlistQueue(occurrenceDate).findIndex(entry => entry.user.toString() === userId.toString()) + 1;
+};
+
+// Method to remove a user from a waitlist queue
+eventSchema.methods.removeFromWaitlist = function(userId, occurrenceDate = null) {
+  const entry = this.getWaitlistQueue(occurrenceDate).find(item => item.user.toString() === userId.toString());
+  if (entry) {
+    this.waitlist.splice(this.waitlist.indexOf(entry), 1);
+  }
+  return Boolean(entry);
+};
+
+// Method to remove a user from every waitlist queue of the event
+eventSchema.methods.removeFromAllWaitlists = function(userId) {
+  const remaining = this.waitlist.filter(entry => entry.user.toString() !== userId.toString());
+  const removed = remaining.length < this.waitlist.length;
+  if (removed) {
+    this.waitlist = remaining;
+  }
+  return removed;
+};
+
+// Method to move waitlisted users into free seats in queue order, series queue first
+// Returns the promoted user IDs; the caller saves the event and notifies them
+eventSchema.methods.promoteFromWaitlist = function() {
+  const promoted = [];
+  const occurrenceDates = [...new Set(this.waitlist.map(entry => entry.occurrenceDate).filter(Boolean))].sort();
+
+  for (const occurrenceDate of [null, ...occurrenceDates]) {
+    // Strict queue order: a party that doesn't fit yet blocks the ones behind it
+    for (const entry of this.getWaitlistQueue(occurrenceDate)) {
+      const participant = this.participants.find(p => p.user && p.user.toString() === entry.user.toString());
+
+      if (occurrenceDate) {
+        // Waiting for one occurrence: the participant's own party takes the seats
+        if (!participant) {
+          this.waitlist.splice(this.waitlist.indexOf(entry), 1);
+          continue;
+        }
+        if (!this.hasCapacity(getPartySize(participant), occurrenceDate)) break;
+
+        this.waitlist.splice(this.waitlist.indexOf(entry), 1);
+        const answer = participant.occurrenceRsvps.find(rsvp => rsvp.occurrenceDate === occurrenceDate);
+        if (answer) {
+          answer.status = 'yes';
+          answer.updatedAt = new Date();
+        } else {
+          participant.occurrenceRsvps.push({ occurrenceDate, status: 'yes' });
+        }
+      } else {
+        if (!this.hasCapacity(getPartySize(entry))) break;
+
+        this.waitlist.splice(this.waitlist.indexOf(entry), 1);
+        const rsvp = { plusOnes: entry.plusOnes || 0, plusOneNames: entry.plusOneNames || [], answers: entry.answers || [] };
+        if (participant) {
+          participant.set({ status: 'yes', ...rsvp });
+        } else {
+          this.participants.push({ user: entry.user, status: 'yes', ...rsvp });
+        }
+      }
+      promoted.push(entry.user);
+    }
+  }
+  return promoted;
+};
+
 // Method to add a new todo item
 eventSchema.methods.addTodo = function(todoData) {
   this.todoList.push({
@@ -480,23 +892,26 @@ eventSchema.pre('save', function(next) {
     this.inviteLink = `${this._id}-${Date.now()}`;
   }
 
+  // Keep the GeoJSON point in sync with the coordinates
+  const { lat, lon } = this.location.coordinates || {};
+  if (lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180) {
+    this.location.geo = { type: 'Point', coordinates: [lon, lat] };
+  } else {
+    this.location.geo = undefined;
+  }
+
+  // Keep the search trigrams in sync with the searchable fields
+  if (this.isNew || SEARCH_FIELDS.some(({ path }) => this.isModified(path))) {
+    this.searchTokens = buildSearchTokens(this);
+  }
+
+  // Keep the start instant in sync with the date, time and time zone
+  const startDateTime = combineDateAndTime(this.startDate, this.startTime, this.timezone);
+  this.startsAt = startDateTime;
+
   // Validate end date/time if provided
   if (this.endDate || this.endTime) {
-    const startDateTime = new Date(this.startDate);
-    const startTimeParts = this.startTime.split(':');
-    startDateTime.setHours(parseInt(startTimeParts[0]), parseInt(startTimeParts[1]), 0);
-
-    let endDateTime;
-    if (this.endDate) {
-      endDateTime = new Date(this.endDate);
-    } else {
-      endDateTime = new Date(this.startDate);
-    }
-
-    if (this.endTime) {
-      const endTimeParts = this.endTime.split(':');
-      endDateTime.setHours(parseInt(endTimeParts[0]), parseInt(endTimeParts[1]), 0);
-    }
+    const endDateTime = combineDateAndTime(this.endDate || this.startDate, this.endTime, this.timezone);
 
     if (endDateTime <= startDateTime) {
       return next(new Error('End date/time must be after start date/time'));
@@ -506,5 +921,55 @@ eventSchema.pre('save', function(next) {
   next();
 });
 
+// Add GeoJSON points to events saved before location.geo existed
+eventSchema.statics.backfillGeoPoints = async function() {
+  const result = await this.updateMany(
+    {
+      'location.geo.coordinates': { $exists: false },
+      'location.coordinates.lat': { $gte: -90, $lte: 90 },
+      'location.coordinates.lon': { $gte: -180, $lte: 180 }
+    },
+    [{
+      $set: {
+        'location.geo': {
+          type: 'Point',
+          coordinates: ['$location.coordinates.lon', '$location.coordinates.lat']
+        }
+      }
+    }]
+  );
+  return result.modifiedCount;
+};
+
+// Add search trigrams to events saved before searchTokens existed
+eventSchema.statics.backfillSearchTokens = async function() {
+  const fields = SEARCH_FIELDS.map(({ path }) => path).join(' ');
+  const events = this.find({ searchTokens: { $exists: false } }).select(fields).lean().cursor();
+
+  let count = 0;
+  for await (const event of events) {
+    await this.updateOne({ _id: event._id }, { $set: { searchTokens: buildSearchTokens(event) } });
+    count++;
+  }
+  return count;
+};
+
+// Add the start instant to events saved before startsAt existed
+eventSchema.statics.backfillStartsAt = async function() {
+  const events = this.find({ startsAt: null, startDate: { $ne: null } })
+    .select('startDate startTime timezone')
+    .lean()
+    .cursor();
+
+  let count = 0;
+  for await (const event of events) {
+    const startsAt = combineDateAndTime(event.startDate, event.startTime, event.timezone);
+    if (!startsAt) continue;
+    await this.updateOne({ _id: event._id }, { $set: { startsAt } });
+    count++;
+  }
+  return count;
+};
+
 const Event = mongoose.model('Event', eventSchema);
 module.exports = Event; 
\ No newline at end of file
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A push held back during the recipient's quiet hours, sent with the others when they end
+const heldPushSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Held push must belong to a user']
+  },
+  title: {
+    type: String,
+    required: [true, 'Held push must have a title']
+  },
+  body: {
+    type: String,
+    required: [true, 'Held push must have a body']
+  },
+  // FCM data payload of the original push
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // In-app notification whose delivery status the push updates
+  notification: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Notification',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for collecting a user's held pushes in arrival order
+heldPushSchema.index({ user: 1, createdAt: 1 });
+
+// Pushes that were never sent (e.g. push turned off) are removed after 7 days
+heldPushSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const HeldPush = mongoose.model('HeldPush', heldPushSchema);
+
+module.exports = HeldPush;
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['event_reminder', 'push_digest', 'email_digest', 'event_timezone'],
+    required: [true, 'Job must have a type']
+  },
+  // Identifies the work to do, so scheduling the same job twice keeps one copy (e.g. "event_reminder:<eventId>:once:1d")
+  key: {
+    type: String,
+    required: [true, 'Job must have a key'],
+    unique: true
+  },
+  event: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Event',
+    default: null,
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // When the job is meant to run; runAt moves on when a failed attempt is retried
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  runAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  // Lease held by the instance running the job; another instance takes the job over once it expires
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Schedule requested while the job was running ({ type, event, payload, runAt }); applied when it finishes
+  nextRun: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // What the handler reported, e.g. "sent" or why the job was skipped
+  result: {
+    type: String,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for claiming due jobs and expired leases
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+
+// Finished jobs are removed after 30 days
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
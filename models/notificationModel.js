@@ -20,6 +20,7 @@ const notificationSchema = new mongoose.Schema({
       'rsvp_confirmed',
       'rsvp_declined',
       'rsvp_maybe',
+      'waitlist_promoted',
       'weather_alert',
       'system'
     ],
@@ -44,6 +45,8 @@ const notificationSchema = new mongoose.Schema({
     },
     eventTitle: String,
     hostName: String,
+    // Groups the notifications of one host announcement for its delivery stats
+    announcementId: mongoose.Schema.Types.ObjectId,
     actionUrl: String,
     priority: {
       type: String,
@@ -62,7 +65,8 @@ const notificationSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
-  // FCM tracking
+  // FCM tracking: pending until the push is sent (or held for quiet hours), sent once FCM
+  // accepts it, delivered when the app reports receiving it
   fcmMessageId: {
     type: String,
     default: null
@@ -70,7 +74,24 @@ const notificationSchema = new mongoose.Schema({
   deliveryStatus: {
     type: String,
     enum: ['pending', 'sent', 'delivered', 'failed'],
-    default: 'sent'
+    default: 'pending'
+  },
+  // FCM error code, or no_devices / push_disabled when no push was sent
+  deliveryError: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  openedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true, // Adds createdAt and updatedAt automatically
@@ -82,6 +103,7 @@ const notificationSchema = new mongoose.Schema({
 notificationSchema.index({ userId: 1, createdAt: -1 });
 notificationSchema.index({ userId: 1, isRead: 1 });
 notificationSchema.index({ createdAt: -1 });
+notificationSchema.index({ 'data.eventId': 1, type: 1 });
 
 // Virtual for checking if notification is recent (within 24 hours)
 notificationSchema.virtual('isRecent').get(function() {
@@ -96,6 +118,66 @@ notificationSchema.methods.markAsRead = async function() {
   return await this.save();
 };
 
+// Instance method to record that the app received the push
+notificationSchema.methods.markDelivered = async function() {
+  this.deliveryStatus = 'delivered';
+  this.deliveredAt = this.deliveredAt || new Date();
+  return await this.save();
+};
+
+// Instance method to record that the user opened the push (which also reads it)
+notificationSchema.methods.markOpened = async function() {
+  const now = new Date();
+  this.deliveryStatus = 'delivered';
+  this.deliveredAt = this.deliveredAt || now;
+  this.openedAt = this.openedAt || now;
+  this.isRead = true;
+  this.readAt = this.readAt || now;
+  return await this.save();
+};
+
+// Static method to record each user's push result on their notifications
+// results holds one { user, success, error, messageId } per user, as returned by pushService.sendToUsers
+notificationSchema.statics.recordPushResults = async function(notifications, results) {
+  const now = new Date();
+  const operations = [];
+
+  results.forEach(result => {
+    const userId = (result.user._id || result.user).toString();
+    const notificationIds = notifications
+      .filter(notification => notification.userId.toString() === userId)
+      .map(notification => notification._id);
+
+    notificationIds.forEach(notificationId => {
+      if (result.success) {
+        operations.push({
+          updateOne: {
+            filter: { _id: notificationId },
+            update: { $set: { fcmMessageId: result.messageId || null, sentAt: now, deliveryError: null } }
+          }
+        });
+        // The app may report receipt before the send result is written; a failed send may have been retried
+        operations.push({
+          updateOne: {
+            filter: { _id: notificationId, deliveryStatus: { $in: ['pending', 'failed'] } },
+            update: { $set: { deliveryStatus: 'sent' } }
+          }
+        });
+      } else {
+        operations.push({
+          updateOne: {
+            filter: { _id: notificationId, deliveryStatus: 'pending' },
+            update: { $set: { deliveryStatus: 'failed', deliveryError: result.error || 'unknown' } }
+          }
+        });
+      }
+    });
+  });
+
+  if (operations.length === 0) return null;
+  return await this.bulkWrite(operations, { ordered: false });
+};
+
 // Static method to get unread count for a user
 notificationSchema.statics.getUnreadCount = async function(userId) {
   return await this.countDocuments({ userId, isRead: false });
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// One reminder sent (or attempted) to one participant, for one offset of one event or occurrence
+const reminderDeliverySchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Event',
+    required: [true, 'Reminder delivery must belong to an event']
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Reminder delivery must belong to a user'],
+    index: true
+  },
+  // Occurrence date (YYYY-MM-DD) for recurring events, null for one-off events
+  occurrenceDate: {
+    type: String,
+    default: null
+  },
+  offset: {
+    type: String,
+    required: [true, 'Reminder delivery must have an offset']
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// A participant gets each reminder once
+reminderDeliverySchema.index({ event: 1, occurrenceDate: 1, offset: 1, user: 1 }, { unique: true });
+
+// Delivery records are removed after 90 days
+reminderDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const ReminderDelivery = mongoose.model('ReminderDelivery', reminderDeliverySchema);
+
+module.exports = ReminderDelivery;
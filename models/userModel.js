@@ -1,6 +1,10 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const validator = require('validator');
+const { CATEGORY_IDS } = require('../utils/categories');
+const { MAX_REMINDER_OFFSETS, normalizeOffsets } = require('../utils/reminders');
+const { TIME_REGEX, DIGEST_FREQUENCIES } = require('../utils/quietHours');
+const { isValidTimeZone } = require('../utils/timezone');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -15,6 +19,22 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     validate: [validator.isEmail, 'Please provide a valid email']
   },
+  // No default on purpose: accounts created before verification existed have no value and count as verified
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  emailVerificationOTP: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
   password: {
     type: String,
     required: [true, 'Please provide a password'],
@@ -56,11 +76,40 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.ObjectId,
     ref: 'Event'
   }],
+  // Single push token from before devices were tracked; still sent to until the device registers again
   fcmToken: {
     type: String,
     default: null,
     index: true
   },
+  // Devices signed in to the account, each with its own push token
+  devices: [{
+    _id: false,
+    token: {
+      type: String,
+      required: [true, 'Device must have an FCM token'],
+      index: true
+    },
+    platform: {
+      type: String,
+      enum: ['ios', 'android', 'web', 'unknown'],
+      default: 'unknown'
+    },
+    appVersion: {
+      type: String,
+      default: null,
+      trim: true,
+      maxlength: [32, 'App version cannot be more than 32 characters']
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   notificationSettings: {
     eventUpdates: {
       type: Boolean,
@@ -77,8 +126,78 @@ const userSchema = new mongoose.Schema({
     pushNotifications: {
       type: Boolean,
       default: true
+    },
+    // Personal reminder schedule used instead of each event's (e.g. ["morning_of"]); unset follows the host
+    reminderOffsets: {
+      type: [String],
+      default: undefined,
+      validate: {
+        validator: function(offsets) {
+          try {
+            return normalizeOffsets(offsets).length === offsets.length;
+          } catch (error) {
+            return false;
+          }
+        },
+        message: `Reminders must be up to ${MAX_REMINDER_OFFSETS} unique values like 30m, 2h, 1d, 1w or morning_of`
+      }
+    },
+    // Non-urgent pushes arriving in this daily window are held and sent as one digest when it ends
+    quietHours: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      start: {
+        type: String,
+        default: '22:00',
+        match: [TIME_REGEX, 'Quiet hours must use HH:MM format (e.g., 22:00)']
+      },
+      end: {
+        type: String,
+        default: '07:00',
+        match: [TIME_REGEX, 'Quiet hours must use HH:MM format (e.g., 07:00)']
+      }
+    },
+    // IANA time zone for quiet hours and digest emails (UTC when unset)
+    timezone: {
+      type: String,
+      default: null,
+      validate: {
+        validator: value => value === null || isValidTimeZone(value),
+        message: 'Time zone must be a valid IANA time zone name (e.g., Europe/Berlin)'
+      }
+    },
+    // Email summary of unread notifications
+    emailDigest: {
+      type: String,
+      enum: DIGEST_FREQUENCIES,
+      default: 'off'
     }
   },
+  // When the last email digest went out, so the next one only lists newer notifications
+  emailDigestSentAt: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  // Event categories shown first in the user's "for you" feed
+  followedCategories: [{
+    type: String,
+    enum: CATEGORY_IDS
+  }],
+  // SHA-256 hash of the secret token in the user's calendar feed URL
+  calendarFeedToken: {
+    type: String,
+    default: null,
+    index: true,
+    select: false
+  },
+  // Access tokens issued before this moment are rejected by protect
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
   resetPasswordOTP: {
     type: String,
     select: false
@@ -98,11 +217,30 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
+// Record when the password changes so older tokens stop working
+userSchema.pre('save', function(next) {
+  if (!this.isModified('password') || this.isNew) return next();
+  // Back-date by a second so a token issued right after the save is still valid
+  this.passwordChangedAt = new Date(Date.now() - 1000);
+  next();
+});
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check if the password changed after a token was issued
+userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > JWTTimestamp;
+};
+
+// Check if the user may use features that require a confirmed email
+userSchema.methods.hasVerifiedEmail = function() {
+  return this.emailVerified !== false;
+};
+
 // Virtual for calculating age
 userSchema.virtual('age').get(function() {
   if (!this.dateOfBirth) return null;
@@ -1,10 +1,14 @@
 const express = require('express');
 const { protect } = require('../middleware/authMiddleware');
+const { guestRsvpLimiter } = require('../middleware/rateLimitMiddleware');
 const { uploadPoster, uploadAlbumImage: uploadAlbumImageMiddleware, uploadMultipleAlbumImages: uploadMultipleAlbumImagesMiddleware, handleUploadError } = require('../middleware/uploadMiddleware');
 const { eventsCache, userCache, invalidateCache } = require('../middleware/cacheMiddleware');
 const {
   createEvent,
   getAllEvents,
+  getNearbyEvents,
+  getEventCategories,
+  getForYouFeed,
   getMyEvents,
   getJoinedEvents,
   getEvent,
@@ -12,9 +16,29 @@ const {
   deleteEvent,
   joinEvent,
   getEventByInviteLink,
+  createGuestRsvp,
+  getGuestRsvp,
+  updateGuestRsvp,
   joinPublicEvent,
   updateRsvp,
   leaveEvent,
+  getEventOccurrences,
+  updateOccurrence,
+  cancelOccurrence,
+  getEventRoles,
+  setEventRole,
+  removeEventRole,
+  getAttendees,
+  getRsvpAnswers,
+  getMyTicket,
+  getMyTicketQr,
+  getGuestTicketQr,
+  checkIn,
+  getAttendance,
+  getWaitlist,
+  reorderWaitlist,
+  getEventIcs,
+  getCalendarFeed,
   uploadAlbumImage,
   uploadMultipleAlbumImages,
   getAlbumImages,
@@ -63,6 +87,221 @@ const jsonParser = express.json();
  *               $ref: '#/components/schemas/Error'
  */
 
+/**
+ * @swagger
+ * /events/public/by-invite/{inviteLink}/rsvp:
+ *   post:
+ *     summary: RSVP to an invite without an account (no auth required)
+ *     description: |
+ *       Adds the guest to the event participants and emails them a magic link to change their answer later.
+ *       Answering again with the same email only resends the link. Guests count toward maxParticipants,
+ *       but the waitlist requires an account, so a "yes" on a full event is rejected.
+ *       Guest answers are moved to the account created with the same email once that email is verified.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: inviteLink
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event invite link
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - email
+ *               - status
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Alex"
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "alex@example.com"
+ *               status:
+ *                 type: string
+ *                 enum: [yes, no, maybe]
+ *               plusOnes:
+ *                 type: integer
+ *                 description: Extra people coming along (up to event.plusOneLimit); a "yes" takes 1 + plusOnes seats
+ *                 example: 1
+ *               plusOneNames:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Optional names of the plus-ones
+ *               answers:
+ *                 type: array
+ *                 description: Answers to the event's rsvpQuestions; required questions must be answered unless the status is "no"
+ *                 items:
+ *                   $ref: '#/components/schemas/RsvpAnswer'
+ *     responses:
+ *       201:
+ *         description: RSVP saved and magic link emailed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/GuestRsvp'
+ *       200:
+ *         description: Email already answered this invite, magic link sent again
+ *       400:
+ *         description: Missing fields, invalid status, inactive event or event full
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Event not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many RSVP attempts
+ */
+
+/**
+ * @swagger
+ * /events/public/guest-rsvp/{token}:
+ *   get:
+ *     summary: View a guest RSVP through its magic link (no auth required)
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Magic link token from the RSVP email
+ *     responses:
+ *       200:
+ *         description: Guest RSVP retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   $ref: '#/components/schemas/GuestRsvp'
+ *       404:
+ *         description: Link invalid, expired or already converted to an account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   patch:
+ *     summary: Change a guest RSVP through its magic link (no auth required)
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Magic link token from the RSVP email
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [yes, no, maybe]
+ *                 description: New RSVP status (may be omitted when only plus-ones or answers change)
+ *               plusOnes:
+ *                 type: integer
+ *                 description: Extra people coming along (up to event.plusOneLimit); a "yes" takes 1 + plusOnes seats
+ *                 example: 1
+ *               plusOneNames:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Optional names of the plus-ones
+ *               answers:
+ *                 type: array
+ *                 description: Answers to the event's rsvpQuestions; required questions must be answered unless the status is "no"
+ *                 items:
+ *                   $ref: '#/components/schemas/RsvpAnswer'
+ *     responses:
+ *       200:
+ *         description: Guest RSVP updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   $ref: '#/components/schemas/GuestRsvp'
+ *       400:
+ *         description: Invalid status, inactive event or event full
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Link invalid, expired or already converted to an account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /events/public/guest-rsvp/{token}/ticket/qr:
+ *   get:
+ *     summary: Get a guest's check-in ticket as a QR code image (no auth required)
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Magic link token from the RSVP email
+ *     responses:
+ *       200:
+ *         description: QR code PNG encoding the ticket code
+ *         content:
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Guest is not confirmed, or the event is recurring
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Link invalid, expired or already converted to an account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
 /**
  * @swagger
  * tags:
@@ -80,16 +319,22 @@ const jsonParser = express.json();
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; pages stay stable while events are added (use the same sort)
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
  *           default: 1
- *         description: Page number for pagination
+ *         description: Page number for pagination (ignored when a cursor is given)
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           default: 10
+ *           maximum: 100
  *         description: Number of events per page
  *       - in: query
  *         name: sort
@@ -109,7 +354,25 @@ const jsonParser = express.json();
  *         name: search
  *         schema:
  *           type: string
- *         description: Search term for title or description
+ *         description: Search across title, description, location name/address and dress code. Tolerates typos and partly typed words; results are ranked by relevance (sort is ignored) and carry score and highlights
+ *       - in: query
+ *         name: includePrivate
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also include private events you created or joined
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Comma-separated category IDs; matches events in any of them
+ *         example: music,arts
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tags; matches events with any of them
+ *         example: jazz,rooftop
  *       - in: query
  *         name: location
  *         schema:
@@ -132,23 +395,22 @@ const jsonParser = express.json();
  *                 pagination:
  *                   type: object
  *                   properties:
- *                     currentPage:
- *                       type: integer
- *                     totalPages:
- *                       type: integer
- *                     totalEvents:
- *                       type: integer
- *                     hasNextPage:
- *                       type: boolean
- *                     hasPrevPage:
+ *                     hasMore:
  *                       type: boolean
+ *                       description: Whether another page follows
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Pass as cursor to load the next page (null on the last page)
  *                 data:
  *                   type: object
  *                   properties:
  *                     events:
  *                       type: array
  *                       items:
- *                         $ref: '#/components/schemas/Event'
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Event'
+ *                           - $ref: '#/components/schemas/SearchMatch'
  *       401:
  *         description: Not authorized
  *         content:
@@ -191,13 +453,45 @@ const jsonParser = express.json();
  *                 example: "123 Main St, City, Country"
  *               maxParticipants:
  *                 type: number
- *                 description: Maximum number of participants
+ *                 description: Maximum confirmed headcount, plus-ones included
  *                 example: 50
+ *               plusOneLimit:
+ *                 type: integer
+ *                 description: How many plus-ones each participant may bring (0 disables plus-ones)
+ *                 example: 2
+ *               isOutdoor:
+ *                 type: boolean
+ *                 description: Whether the event takes place outdoors (enables weather-change alerts)
+ *                 example: true
+ *               category:
+ *                 type: string
+ *                 description: Category ID from GET /events/categories
+ *                 example: music
+ *               tags:
+ *                 type: string
+ *                 description: Comma-separated or JSON array of tags (at most 10, up to 30 characters each)
+ *                 example: jazz,rooftop
+ *               reminderOffsets:
+ *                 type: string
+ *                 description: Comma-separated or JSON array of reminders (up to 5) - lead times such as 30m, 2h, 1d, 1w or morning_of. Defaults to 1d,2h,30m; empty turns reminders off
+ *                 example: 1w,1d,1h
+ *               rsvpQuestions:
+ *                 type: string
+ *                 description: JSON array of RSVP questions (see RsvpQuestion)
+ *                 example: '[{"label":"T-shirt size","type":"single_choice","options":["S","M","L"],"required":true}]'
  *               isAlbumImageEnable:
  *                 type: boolean
  *                 description: Enable/disable album image feature for this event
  *                 default: true
  *                 example: true
+ *               timezone:
+ *                 type: string
+ *                 description: IANA time zone for startTime/endTime. When omitted it is inferred from the location coordinates shortly after the event is saved (until then times are read in the server's time zone)
+ *                 example: "Europe/Berlin"
+ *               recurrence:
+ *                 type: string
+ *                 description: Optional repeat rule as JSON (see Recurrence schema) or an RRULE string
+ *                 example: "FREQ=WEEKLY;BYDAY=TU;COUNT=10"
  *     responses:
  *       201:
  *         description: Event created successfully
@@ -223,18 +517,75 @@ const jsonParser = express.json();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Email not verified (required for public events)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 
 /**
  * @swagger
- * /events/my-events:
+ * /events/categories:
  *   get:
- *     summary: Get all events created by the authenticated user
+ *     summary: List the event categories (no auth required)
+ *     tags: [Events]
+ *     responses:
+ *       200:
+ *         description: Event categories
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                             example: "music"
+ *                           name:
+ *                             type: string
+ *                             example: "Music"
+ */
+
+/**
+ * @swagger
+ * /events/for-you:
+ *   get:
+ *     summary: Get upcoming public events picked for you
+ *     description: |
+ *       Ranks public events in the next 60 days that you have not created or joined.
+ *       Events in categories you follow, similar to events you attended (same category or tags)
+ *       and, when lat/lon are given, close to you rank higher; sooner events break ties.
  *     tags: [Events]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *         description: Your latitude (with lon, favours nearby events)
+ *         example: 40.7128
+ *       - in: query
+ *         name: lon
+ *         schema:
+ *           type: number
+ *         description: Your longitude
+ *         example: -74.0060
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -245,33 +596,11 @@ const jsonParser = express.json();
  *         schema:
  *           type: integer
  *           default: 10
+ *           maximum: 100
  *         description: Number of events per page
- *       - in: query
- *         name: sort
- *         schema:
- *           type: string
- *           enum: [date, createdAt, title]
- *           default: createdAt
- *         description: Sort field
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *         description: Search term for title or description
- *       - in: query
- *         name: location
- *         schema:
- *           type: string
- *         description: Filter by location
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: [active, cancelled, completed]
- *         description: Filter by event status
  *     responses:
  *       200:
- *         description: User's events retrieved successfully
+ *         description: Personalized events retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -282,20 +611,231 @@ const jsonParser = express.json();
  *                   example: "success"
  *                 results:
  *                   type: integer
- *                   description: Number of events returned
- *                 pagination:
+ *                 data:
  *                   type: object
  *                   properties:
- *                     currentPage:
- *                       type: integer
- *                     totalPages:
- *                       type: integer
- *                     totalEvents:
- *                       type: integer
+ *                     events:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Event'
+ *                           - type: object
+ *                             properties:
+ *                               score:
+ *                                 type: number
+ *                                 description: Ranking score (higher is a better match)
+ *                                 example: 5.25
+ *                               reasons:
+ *                                 type: array
+ *                                 items:
+ *                                   type: string
+ *                                   enum: [followed_category, similar_to_attended, nearby]
+ *                                 description: Why the event was recommended
+ *                               distance:
+ *                                 type: number
+ *                                 description: Distance from lat/lon in km (only when lat/lon are given)
+ *       400:
+ *         description: Invalid coordinates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /events/nearby:
+ *   get:
+ *     summary: Get public events near a location, closest first
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Latitude of the search center
+ *         example: 40.7128
+ *       - in: query
+ *         name: lon
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Longitude of the search center
+ *         example: -74.0060
+ *       - in: query
+ *         name: radius
+ *         schema:
+ *           type: number
+ *           default: 25
+ *           maximum: 500
+ *         description: Search radius in km
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only events on or after this date (defaults to now)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only events on or before this date
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search across title, description, location and dress code (typo tolerant); results stay ordered by distance
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *         description: Number of events per page
+ *     responses:
+ *       200:
+ *         description: Nearby events retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 results:
+ *                   type: integer
+ *                   description: Number of events returned
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     events:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Event'
+ *                           - type: object
+ *                             properties:
+ *                               distance:
+ *                                 type: number
+ *                                 description: Distance from the search center in km
+ *                                 example: 2.347
+ *                               highlights:
+ *                                 $ref: '#/components/schemas/SearchMatch/properties/highlights'
+ *       400:
+ *         description: Missing or invalid coordinates, radius or dates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /events/my-events:
+ *   get:
+ *     summary: Get all events created by the authenticated user
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; pages stay stable while events are added (use the same sort)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination (ignored when a cursor is given)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *         description: Number of events per page
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [date, createdAt, title]
+ *           default: createdAt
+ *         description: Sort field
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for title or description
+ *       - in: query
+ *         name: location
+ *         schema:
+ *           type: string
+ *         description: Filter by location
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, cancelled, completed]
+ *         description: Filter by event status
+ *     responses:
+ *       200:
+ *         description: User's events retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 results:
+ *                   type: integer
+ *                   description: Number of events returned
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     currentPage:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     totalEvents:
+ *                       type: integer
  *                     hasNextPage:
  *                       type: boolean
  *                     hasPrevPage:
  *                       type: boolean
+ *                     hasMore:
+ *                       type: boolean
+ *                       description: Whether another page follows
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Pass as cursor to load the next page (null on the last page)
  *                 data:
  *                   type: object
  *                   properties:
@@ -321,16 +861,22 @@ const jsonParser = express.json();
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; pages stay stable while events are added (use the same sort)
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
  *           default: 1
- *         description: Page number for pagination
+ *         description: Page number for pagination (ignored when a cursor is given)
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           default: 10
+ *           maximum: 100
  *         description: Number of events per page
  *       - in: query
  *         name: sort
@@ -382,6 +928,13 @@ const jsonParser = express.json();
  *                       type: boolean
  *                     hasPrevPage:
  *                       type: boolean
+ *                     hasMore:
+ *                       type: boolean
+ *                       description: Whether another page follows
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Pass as cursor to load the next page (null on the last page)
  *                 data:
  *                   type: object
  *                   properties:
@@ -515,6 +1068,7 @@ const jsonParser = express.json();
  *               $ref: '#/components/schemas/Error'
  *   patch:
  *     summary: Update an event
+ *     description: Edits event details; other fields are ignored. Participants, RSVPs, roles, the waitlist, the album, todos and single occurrences change through their own endpoints, and RSVP questions are fixed when the event is created.
  *     tags: [Events]
  *     security:
  *       - bearerAuth: []
@@ -551,8 +1105,34 @@ const jsonParser = express.json();
  *                 example: "456 Oak St, City, Country"
  *               maxParticipants:
  *                 type: number
- *                 description: Maximum number of participants
+ *                 description: Maximum confirmed headcount, plus-ones included
  *                 example: 75
+ *               plusOneLimit:
+ *                 type: integer
+ *                 description: How many plus-ones each participant may bring (0 disables plus-ones)
+ *                 example: 2
+ *               isOutdoor:
+ *                 type: boolean
+ *                 description: Whether the event takes place outdoors (enables weather-change alerts)
+ *                 example: true
+ *               category:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Category ID from GET /events/categories (null clears it)
+ *                 example: music
+ *               tags:
+ *                 type: array
+ *                 description: Replaces the tags (at most 10, up to 30 characters each)
+ *                 items:
+ *                   type: string
+ *                 example: ["jazz", "rooftop"]
+ *               reminderOffsets:
+ *                 type: array
+ *                 nullable: true
+ *                 description: Replaces the reminders (up to 5) - lead times such as 30m, 2h, 1d, 1w or morning_of; null or an empty array turns them off
+ *                 items:
+ *                   type: string
+ *                 example: ["1w", "1d", "1h"]
  *               isAlbumImageEnable:
  *                 type: boolean
  *                 description: Enable/disable album image feature for this event
@@ -656,9 +1236,23 @@ const jsonParser = express.json();
  *                 enum: [yes, no, maybe]
  *                 description: RSVP status (required if event.rsvpRequired is true, optional otherwise - defaults to 'yes')
  *                 example: "yes"
+ *               plusOnes:
+ *                 type: integer
+ *                 description: Extra people coming along (up to event.plusOneLimit); a "yes" takes 1 + plusOnes seats
+ *                 example: 1
+ *               plusOneNames:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Optional names of the plus-ones
+ *               answers:
+ *                 type: array
+ *                 description: Answers to the event's rsvpQuestions; required questions must be answered unless the status is "no"
+ *                 items:
+ *                   $ref: '#/components/schemas/RsvpAnswer'
  *     responses:
  *       200:
- *         description: Successfully joined the event
+ *         description: Successfully joined the event, or added to the waitlist when a "yes" RSVP finds the event full (data.waitlisted, data.waitlistPosition)
  *         content:
  *           application/json:
  *             schema:
@@ -673,7 +1267,7 @@ const jsonParser = express.json();
  *                 data:
  *                   $ref: '#/components/schemas/Event'
  *       400:
- *         description: Invalid invite link, already joined, or missing required RSVP status
+ *         description: Invalid invite link, already joined or waitlisted, or missing required RSVP status
  *         content:
  *           application/json:
  *             schema:
@@ -1008,8 +1602,868 @@ const jsonParser = express.json();
  *                 description: Additional notes for the todo
  *                 example: "Get balloons and streamers"
  *     responses:
- *       201:
- *         description: Todo item created successfully
+ *       201:
+ *         description: Todo item created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     todo:
+ *                       $ref: '#/components/schemas/TodoItem'
+ *       400:
+ *         description: Invalid input data
+ *       403:
+ *         description: Not authorized to add todos to this event
+ *       404:
+ *         description: Event not found
+ */
+
+/**
+ * @swagger
+ * /events/{id}/todos/{todoId}:
+ *   patch:
+ *     summary: Update a todo item
+ *     tags: [Event Todos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *       - in: path
+ *         name: todoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Todo item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *                 description: Todo item description
+ *               completed:
+ *                 type: boolean
+ *                 description: Whether the todo is completed
+ *               assignedTo:
+ *                 type: string
+ *                 description: User ID to assign the todo to
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Due date for the todo
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high]
+ *                 description: Priority level of the todo
+ *               notes:
+ *                 type: string
+ *                 description: Additional notes for the todo
+ *     responses:
+ *       200:
+ *         description: Todo item updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     todo:
+ *                       $ref: '#/components/schemas/TodoItem'
+ *       400:
+ *         description: Invalid input data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not authorized to update this todo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Event or todo item not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a todo item
+ *     tags: [Event Todos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *       - in: path
+ *         name: todoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Todo item ID
+ *     responses:
+ *       200:
+ *         description: Todo item deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 message:
+ *                   type: string
+ *                   example: "Todo item deleted successfully"
+ *       403:
+ *         description: Not authorized to delete this todo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Event or todo item not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /events/{id}/join:
+ *   post:
+ *     summary: Join a public event by ID
+ *     description: Join a public event directly by event ID. Only works for public events (isPublic=true). For private events, use the invite link endpoint.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [yes, no, maybe]
+ *                 description: RSVP status (required if event.rsvpRequired is true, optional otherwise - defaults to 'yes')
+ *                 example: "yes"
+ *               plusOnes:
+ *                 type: integer
+ *                 description: Extra people coming along (up to event.plusOneLimit); a "yes" takes 1 + plusOnes seats
+ *                 example: 1
+ *               plusOneNames:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Optional names of the plus-ones
+ *               answers:
+ *                 type: array
+ *                 description: Answers to the event's rsvpQuestions; required questions must be answered unless the status is "no"
+ *                 items:
+ *                   $ref: '#/components/schemas/RsvpAnswer'
+ *     responses:
+ *       200:
+ *         description: Successfully joined the event, or added to the waitlist when a "yes" RSVP finds the event full
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     waitlisted:
+ *                       type: boolean
+ *                     waitlistPosition:
+ *                       type: integer
+ *                     event:
+ *                       $ref: '#/components/schemas/Event'
+ *       400:
+ *         description: Event is not public, already joined or waitlisted, event not active, or missing required RSVP status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Event is private (use invite link instead)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Event not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /events/{id}/rsvp:
+ *   patch:
+ *     summary: Update RSVP status for an event
+ *     description: Update your RSVP status (yes/no/maybe), plus-ones and questionnaire answers for an event you have already joined. Switching to "yes" on a full event adds you to the waitlist; adding plus-ones to a "yes" needs enough free seats. With occurrenceDate the seats of that occurrence are counted, and a "yes" on a full occurrence adds you to that occurrence's waitlist. Freeing seats promotes waitlisted users.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [yes, no, maybe]
+ *                 description: New RSVP status (may be omitted when only plus-ones or answers change)
+ *                 example: "maybe"
+ *               occurrenceDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Answer for a single occurrence of a recurring event (YYYY-MM-DD); omit to update the series-level RSVP
+ *               plusOnes:
+ *                 type: integer
+ *                 description: Extra people coming along (up to event.plusOneLimit); applies to the whole series
+ *                 example: 1
+ *               plusOneNames:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Optional names of the plus-ones
+ *               answers:
+ *                 type: array
+ *                 description: Answers to the event's rsvpQuestions; required questions must be answered unless the status is "no"
+ *                 items:
+ *                   $ref: '#/components/schemas/RsvpAnswer'
+ *     responses:
+ *       200:
+ *         description: RSVP status updated successfully, or added to the waitlist when a "yes" finds the event or occurrence full (data.waitlisted, data.waitlistPosition, data.occurrenceDate)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     event:
+ *                       $ref: '#/components/schemas/Event'
+ *       400:
+ *         description: Invalid RSVP status or plus-ones, not enough seats for the plus-ones, or user is not a participant
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Event not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Leave an event
+ *     description: Remove yourself from an event's participant list and every waitlist of the event. A freed seat goes to the next waitlisted user.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Successfully left the event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 message:
+ *                   type: string
+ *                   example: "Successfully left the event"
+ *       400:
+ *         description: User is not a participant of this event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Event not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /events/{id}/occurrences:
+ *   get:
+ *     summary: List the occurrences of an event
+ *     description: Expands a recurring event into individual occurrences within a date window, with per-occurrence overrides, confirmed counts and the current user's RSVP applied. One-off events return a single occurrence.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day of the window (YYYY-MM-DD, defaults to today)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day of the window (YYYY-MM-DD, optional)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Maximum number of occurrences to return
+ *     responses:
+ *       200:
+ *         description: Occurrences retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     eventId:
+ *                       type: string
+ *                     isRecurring:
+ *                       type: boolean
+ *                     recurrence:
+ *                       $ref: '#/components/schemas/Recurrence'
+ *                     occurrences:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Occurrence'
+ *       400:
+ *         description: Invalid date window
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Event is private
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Event not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /events/{id}/occurrences/{occurrenceDate}:
+ *   patch:
+ *     summary: Edit a single occurrence of a recurring event
+ *     description: Overrides details of one occurrence without touching the rest of the series. Setting status to cancelled cancels only that occurrence.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *       - in: path
+ *         name: occurrenceDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Original date of the occurrence (YYYY-MM-DD)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               dressCode:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               startTime:
+ *                 type: string
+ *                 example: "19:00"
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               endTime:
+ *                 type: string
+ *                 example: "21:00"
+ *               status:
+ *                 type: string
+ *                 enum: [active, cancelled]
+ *     responses:
+ *       200:
+ *         description: Occurrence updated successfully
+ *       400:
+ *         description: Invalid input or event is not recurring
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not authorized to update this event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Event or occurrence not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Cancel a single occurrence of a recurring event
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *       - in: path
+ *         name: occurrenceDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Original date of the occurrence (YYYY-MM-DD)
+ *     responses:
+ *       200:
+ *         description: Occurrence cancelled successfully
+ *       403:
+ *         description: Not authorized to cancel this occurrence
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Event or occurrence not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /events/{id}/roles:
+ *   get:
+ *     summary: List event roles
+ *     description: Returns the owner, the granted co-host/moderator roles and the caller's own role. Participants without a granted role are guests.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     currentUserRole:
+ *                       type: string
+ *                       enum: [owner, co-host, moderator, guest]
+ *                     owner:
+ *                       $ref: '#/components/schemas/User'
+ *                     roles:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/EventRole'
+ *       403:
+ *         description: Not a member of this event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Event not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /events/{id}/roles/{userId}:
+ *   put:
+ *     summary: Grant or change a user's event role
+ *     description: |
+ *       Only the owner can manage roles.
+ *       - co-host: edit details, post announcements, manage the waitlist and moderate the album and todos
+ *       - moderator: moderate the album and todos
+ *       Neither role can delete the event.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User to grant the role to
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [co-host, moderator]
+ *     responses:
+ *       200:
+ *         description: Role granted successfully
+ *       400:
+ *         description: Invalid role, or the target is the owner
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Only the event owner can manage roles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Event or user not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The event has no owner since its creator deleted their account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Revoke a user's event role
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User whose role is revoked
+ *     responses:
+ *       200:
+ *         description: Role revoked successfully
+ *       403:
+ *         description: Only the event owner can manage roles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Event not found or user has no role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The event has no owner since its creator deleted their account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /events/{id}/attendees:
+ *   get:
+ *     summary: Get the attendee list of an event
+ *     description: Lists every participant with their plus-ones, and totals per answer both as responses and as headcount. Only the owner and co-hosts can view it.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Attendees retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     maxParticipants:
+ *                       type: number
+ *                     plusOneLimit:
+ *                       type: integer
+ *                     confirmedParticipantsCount:
+ *                       type: number
+ *                       description: Confirmed headcount, plus-ones included
+ *                     responses:
+ *                       type: object
+ *                       description: Number of answers per status
+ *                       example: { "yes": 3, "maybe": 1, "no": 2 }
+ *                     headcount:
+ *                       type: object
+ *                       description: People per status, plus-ones included
+ *                       example: { "yes": 5, "maybe": 1, "no": 2 }
+ *                     attendees:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Attendee'
+ *       403:
+ *         description: Only event hosts can view the attendee list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Event not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /events/{id}/rsvp-answers:
+ *   get:
+ *     summary: Get aggregated answers to the RSVP questionnaire
+ *     description: Summarizes answers per question with per-option counts for choice and boolean questions, min/max/average for number questions and the individual responses for text questions. Only the owner and co-hosts can view it.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [yes, no, maybe]
+ *         description: Only include participants with this RSVP status
+ *     responses:
+ *       200:
+ *         description: Answers aggregated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     respondents:
+ *                       type: integer
+ *                     questions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/RsvpAnswerSummary'
+ *       400:
+ *         description: Invalid status filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Only event hosts can view RSVP answers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Event not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /events/{id}/ticket:
+ *   get:
+ *     summary: Get your check-in ticket for an event
+ *     description: Returns the signed ticket code of a confirmed ("yes") participant. The code covers the whole party and can only be used once. Not available for recurring events.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: Ticket retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -1021,22 +2475,37 @@ const jsonParser = express.json();
  *                 data:
  *                   type: object
  *                   properties:
- *                     todo:
- *                       $ref: '#/components/schemas/TodoItem'
- *       400:
- *         description: Invalid input data
+ *                     ticketCode:
+ *                       type: string
+ *                     qrCodeUrl:
+ *                       type: string
+ *                       example: "/api/events/64b000000000000000000001/ticket/qr"
+ *                     partySize:
+ *                       type: integer
+ *                     checkedInAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
  *       403:
- *         description: Not authorized to add todos to this event
+ *         description: Not a confirmed participant, or the event is recurring
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Event not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 
 /**
  * @swagger
- * /events/{id}/todos/{todoId}:
- *   patch:
- *     summary: Update a todo item
- *     tags: [Event Todos]
+ * /events/{id}/ticket/qr:
+ *   get:
+ *     summary: Get your check-in ticket as a QR code image
+ *     tags: [Events]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -1046,42 +2515,59 @@ const jsonParser = express.json();
  *         schema:
  *           type: string
  *         description: Event ID
+ *     responses:
+ *       200:
+ *         description: QR code PNG encoding the ticket code
+ *         content:
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Not a confirmed participant, or the event is recurring
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Event not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /events/{id}/check-in:
+ *   post:
+ *     summary: Check in a participant by ticket code
+ *     description: Validates a scanned ticket code for this event and records checkedInAt. Each ticket can only be used once. Only the owner and co-hosts can check in participants.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
  *       - in: path
- *         name: todoId
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Todo item ID
+ *         description: Event ID
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - code
  *             properties:
- *               description:
- *                 type: string
- *                 description: Todo item description
- *               completed:
- *                 type: boolean
- *                 description: Whether the todo is completed
- *               assignedTo:
- *                 type: string
- *                 description: User ID to assign the todo to
- *               dueDate:
- *                 type: string
- *                 format: date
- *                 description: Due date for the todo
- *               priority:
- *                 type: string
- *                 enum: [low, medium, high]
- *                 description: Priority level of the todo
- *               notes:
+ *               code:
  *                 type: string
- *                 description: Additional notes for the todo
+ *                 description: Ticket code read from the QR code
  *     responses:
  *       200:
- *         description: Todo item updated successfully
+ *         description: Participant checked in
  *         content:
  *           application/json:
  *             schema:
@@ -1093,29 +2579,41 @@ const jsonParser = express.json();
  *                 data:
  *                   type: object
  *                   properties:
- *                     todo:
- *                       $ref: '#/components/schemas/TodoItem'
+ *                     participant:
+ *                       $ref: '#/components/schemas/Attendee'
  *       400:
- *         description: Invalid input data
+ *         description: Missing code, ticket holder no longer confirmed, or recurring event
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Not authorized to update this todo
+ *         description: Only event hosts can check in participants
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Event or todo item not found
+ *         description: Event not found or invalid ticket for this event
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *   delete:
- *     summary: Delete a todo item
- *     tags: [Event Todos]
+ *       409:
+ *         description: Ticket already used (data.checkedInAt)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /events/{id}/attendance:
+ *   get:
+ *     summary: Compare confirmed RSVPs with actual check-ins
+ *     description: Counts confirmed ("yes") participants, checked-in participants and those who have not shown up, both as responses and as headcount including plus-ones. Only the owner and co-hosts can view it.
+ *     tags: [Events]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -1125,15 +2623,9 @@ const jsonParser = express.json();
  *         schema:
  *           type: string
  *         description: Event ID
- *       - in: path
- *         name: todoId
- *         required: true
- *         schema:
- *           type: string
- *         description: Todo item ID
  *     responses:
  *       200:
- *         description: Todo item deleted successfully
+ *         description: Attendance retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -1142,17 +2634,36 @@ const jsonParser = express.json();
  *                 status:
  *                   type: string
  *                   example: "success"
- *                 message:
- *                   type: string
- *                   example: "Todo item deleted successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     confirmed:
+ *                       type: object
+ *                       example: { "responses": 10, "headcount": 14 }
+ *                     checkedIn:
+ *                       type: object
+ *                       example: { "responses": 8, "headcount": 11 }
+ *                     notCheckedIn:
+ *                       type: object
+ *                       example: { "responses": 2, "headcount": 3 }
+ *                     attendanceRate:
+ *                       type: number
+ *                       nullable: true
+ *                       description: Checked-in headcount divided by confirmed headcount
+ *                       example: 0.79
+ *                     missing:
+ *                       type: array
+ *                       description: Confirmed participants who have not checked in
+ *                       items:
+ *                         $ref: '#/components/schemas/Attendee'
  *       403:
- *         description: Not authorized to delete this todo
+ *         description: Only event hosts can view attendance
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Event or todo item not found
+ *         description: Event not found
  *         content:
  *           application/json:
  *             schema:
@@ -1161,10 +2672,10 @@ const jsonParser = express.json();
 
 /**
  * @swagger
- * /events/{id}/join:
- *   post:
- *     summary: Join a public event by ID
- *     description: Join a public event directly by event ID. Only works for public events (isPublic=true). For private events, use the invite link endpoint.
+ * /events/{id}/waitlist:
+ *   get:
+ *     summary: Get the waitlist of an event
+ *     description: Lists users waiting for a seat, in promotion order. Recurring events also keep one waitlist per occurrence. Only the owner and co-hosts can view it.
  *     tags: [Events]
  *     security:
  *       - bearerAuth: []
@@ -1175,21 +2686,15 @@ const jsonParser = express.json();
  *         schema:
  *           type: string
  *         description: Event ID
- *     requestBody:
- *       required: false
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               status:
- *                 type: string
- *                 enum: [yes, no, maybe]
- *                 description: RSVP status (required if event.rsvpRequired is true, optional otherwise - defaults to 'yes')
- *                 example: "yes"
+ *       - in: query
+ *         name: occurrenceDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Waitlist of a single occurrence (YYYY-MM-DD); omit for the series waitlist
  *     responses:
  *       200:
- *         description: Successfully joined the event
+ *         description: Waitlist retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -1198,25 +2703,22 @@ const jsonParser = express.json();
  *                 status:
  *                   type: string
  *                   example: "success"
+ *                 results:
+ *                   type: integer
  *                 data:
  *                   type: object
  *                   properties:
- *                     event:
- *                       $ref: '#/components/schemas/Event'
- *       400:
- *         description: Event is not public, already joined, event not active, missing required RSVP status, or event at capacity
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: Not authorized
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
+ *                     maxParticipants:
+ *                       type: number
+ *                     confirmedParticipantsCount:
+ *                       type: number
+ *                       description: Seats taken for the series, or for the occurrence when occurrenceDate is given
+ *                     waitlist:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/WaitlistEntry'
  *       403:
- *         description: Event is private (use invite link instead)
+ *         description: Only event hosts can view the waitlist
  *         content:
  *           application/json:
  *             schema:
@@ -1227,14 +2729,9 @@ const jsonParser = express.json();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- */
-
-/**
- * @swagger
- * /events/{id}/rsvp:
  *   patch:
- *     summary: Update RSVP status for an event
- *     description: Update your RSVP status (yes/no/maybe) for an event you have already joined
+ *     summary: Reorder the waitlist of an event
+ *     description: Replaces the promotion order of the series waitlist, or of one occurrence's waitlist. The order must list every user in that waitlist exactly once. Only the owner and co-hosts can reorder.
  *     tags: [Events]
  *     security:
  *       - bearerAuth: []
@@ -1252,50 +2749,75 @@ const jsonParser = express.json();
  *           schema:
  *             type: object
  *             required:
- *               - status
+ *               - order
  *             properties:
- *               status:
+ *               order:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Waitlisted user IDs in the new order
+ *               occurrenceDate:
  *                 type: string
- *                 enum: [yes, no, maybe]
- *                 description: New RSVP status
- *                 example: "maybe"
+ *                 format: date
+ *                 description: Occurrence whose waitlist to reorder (YYYY-MM-DD); omit for the series waitlist
  *     responses:
  *       200:
- *         description: RSVP status updated successfully
+ *         description: Waitlist reordered successfully
+ *       400:
+ *         description: order does not match the current waitlist
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: "success"
- *                 data:
- *                   type: object
- *                   properties:
- *                     event:
- *                       $ref: '#/components/schemas/Event'
- *       400:
- *         description: Invalid RSVP status or user is not a participant
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Only event hosts can reorder the waitlist
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: Not authorized
+ *       404:
+ *         description: Event not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /events/calendar/{token}.ics:
+ *   get:
+ *     summary: Subscribable calendar feed (no auth header required)
+ *     description: Returns a VCALENDAR with the events the feed owner created or joined. The token comes from POST /users/calendar-feed. Cancelled events are marked STATUS:CANCELLED.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Secret feed token
+ *     responses:
+ *       200:
+ *         description: iCalendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
  *       404:
- *         description: Event not found
+ *         description: Calendar feed not found or revoked
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *   delete:
- *     summary: Leave an event
- *     description: Remove yourself from an event's participant list
+ */
+
+/**
+ * @swagger
+ * /events/{id}/ics:
+ *   get:
+ *     summary: Export an event as an iCalendar (.ics) file
+ *     description: Recurring events include their RRULE, cancelled occurrences as EXDATE and edited occurrences as separate instances.
  *     tags: [Events]
  *     security:
  *       - bearerAuth: []
@@ -1308,26 +2830,13 @@ const jsonParser = express.json();
  *         description: Event ID
  *     responses:
  *       200:
- *         description: Successfully left the event
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: "success"
- *                 message:
- *                   type: string
- *                   example: "Successfully left the event"
- *       400:
- *         description: User is not a participant of this event
+ *         description: iCalendar file
  *         content:
- *           application/json:
+ *           text/calendar:
  *             schema:
- *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: Not authorized
+ *               type: string
+ *       403:
+ *         description: Event is private
  *         content:
  *           application/json:
  *             schema:
@@ -1342,6 +2851,14 @@ const jsonParser = express.json();
 
 // Public routes for open access via invite link
 router.get('/public/by-invite/:inviteLink', getEventByInviteLink);
+router.post('/public/by-invite/:inviteLink/rsvp', guestRsvpLimiter, jsonParser, createGuestRsvp);
+router.route('/public/guest-rsvp/:token')
+  .get(getGuestRsvp)
+  .patch(guestRsvpLimiter, jsonParser, updateGuestRsvp);
+router.get('/public/guest-rsvp/:token/ticket/qr', getGuestTicketQr);
+// Calendar feed is authenticated by its secret token so calendar apps can subscribe
+router.get('/calendar/:token.ics', getCalendarFeed);
+router.get('/categories', getEventCategories);
 // Protect all other routes
 router.use(protect);
 
@@ -1351,6 +2868,8 @@ router.route('/')
   .post(uploadPoster, handleUploadError, invalidateCache(['events:.*', 'user:.*:my-events']), createEvent);
 
 // Get user's created events
+router.get('/nearby', eventsCache(300), getNearbyEvents); // Cache for 5 minutes
+router.get('/for-you', userCache(300), getForYouFeed); // Cache for 5 minutes
 router.get('/my-events', userCache(180), getMyEvents); // Cache for 3 minutes
 
 // Get user's joined events
@@ -1370,6 +2889,36 @@ router.post('/:id/join', joinPublicEvent);
 router.patch('/:id/rsvp', jsonParser, invalidateCache(['events:.*', 'user:.*:joinedEvents']), updateRsvp);
 router.delete('/:id/rsvp', invalidateCache(['events:.*', 'user:.*:joinedEvents']), leaveEvent);
 
+// Event role routes
+router.get('/:id/roles', getEventRoles);
+router.route('/:id/roles/:userId')
+  .put(jsonParser, invalidateCache(['events:.*']), setEventRole)
+  .delete(invalidateCache(['events:.*']), removeEventRole);
+
+// Attendee list (owner and co-hosts)
+router.get('/:id/attendees', getAttendees);
+router.get('/:id/rsvp-answers', getRsvpAnswers);
+
+// Ticket and check-in routes
+router.get('/:id/ticket', getMyTicket);
+router.get('/:id/ticket/qr', getMyTicketQr);
+router.post('/:id/check-in', jsonParser, invalidateCache(['events:.*']), checkIn);
+router.get('/:id/attendance', getAttendance);
+
+// Waitlist routes (owner and co-hosts)
+router.route('/:id/waitlist')
+  .get(getWaitlist)
+  .patch(jsonParser, invalidateCache(['events:.*']), reorderWaitlist);
+
+// Calendar export
+router.get('/:id/ics', getEventIcs);
+
+// Recurring event occurrence routes
+router.get('/:id/occurrences', getEventOccurrences);
+router.route('/:id/occurrences/:occurrenceDate')
+  .patch(jsonParser, invalidateCache(['events:.*', 'user:.*:my-events', 'user:.*:joinedEvents']), updateOccurrence)
+  .delete(invalidateCache(['events:.*', 'user:.*:my-events', 'user:.*:joinedEvents']), cancelOccurrence);
+
 // Album routes
 router.route('/:id/album')
   .get(userCache(300), getAlbumImages) // Cache for 5 minutes
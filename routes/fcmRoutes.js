@@ -21,6 +21,7 @@ router.post('/user/:userId', fcmController.sendUserNotification);
 
 // Host announcement route
 router.post('/event/:eventId/host-announcement', fcmController.sendHostAnnouncement);
+router.get('/event/:eventId/announcements', fcmController.getAnnouncementStats);
 
 // Reminder notification routes
 router.post('/reminder/test', fcmController.testEventReminder);
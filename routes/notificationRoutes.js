@@ -16,6 +16,9 @@ router.get('/stats', notificationController.getNotificationStats);
 // Mark a specific notification as read
 router.patch('/:id/read', notificationController.markAsRead);
 
+// Record that the app received or opened a notification's push
+router.patch('/:id/receipt', notificationController.recordReceipt);
+
 // Mark all notifications as read
 router.patch('/mark-all-read', notificationController.markAllAsRead);
 
@@ -2,15 +2,28 @@ const express = require('express');
 const { protect } = require('../middleware/authMiddleware');
 const { uploadAvatar } = require('../middleware/uploadMiddleware');
 const { userCache, invalidateCache } = require('../middleware/cacheMiddleware');
-const { passwordResetLimiter } = require('../middleware/rateLimitMiddleware');
+const { passwordResetLimiter, emailVerificationLimiter } = require('../middleware/rateLimitMiddleware');
 const {
   register,
   login,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  verifyEmail,
+  resendVerificationEmail,
   getProfile,
   updateProfile,
   updateAvatar,
   updateFCMToken,
+  getDevices,
+  deleteDevice,
   updateNotificationSettings,
+  updateFollowedCategories,
+  exportMyData,
+  deleteMe,
+  createCalendarFeed,
+  revokeCalendarFeed,
   requestOTP,
   resetPassword
 } = require('../controllers/userController');
@@ -115,6 +128,10 @@ router.use(express.json());
  *                 type: string
  *                 description: User's password
  *                 example: "password123"
+ *               deviceName:
+ *                 type: string
+ *                 description: Optional label shown in the sessions list
+ *                 example: "John's iPhone"
  *     responses:
  *       200:
  *         description: Login successful
@@ -128,8 +145,15 @@ router.use(express.json());
  *                   example: "success"
  *                 token:
  *                   type: string
- *                   description: JWT token for authentication
+ *                   description: Short-lived JWT access token
  *                   example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Long-lived refresh token for POST /users/refresh
+ *                 expiresIn:
+ *                   type: string
+ *                   description: Access token lifetime
+ *                   example: "15m"
  *                 data:
  *                   $ref: '#/components/schemas/User'
  *       401:
@@ -277,8 +301,8 @@ router.use(express.json());
  * @swagger
  * /users/fcm-token:
  *   post:
- *     summary: Update FCM token for push notifications
- *     description: Register or update the Firebase Cloud Messaging token for receiving push notifications
+ *     summary: Register a device for push notifications
+ *     description: Register the Firebase Cloud Messaging token of the device the user is signed in on, or refresh its platform, app version and last-seen time when it is already registered. Pushes go to every registered device (up to 10; the device seen longest ago is dropped). A token registered by another account is moved to this one, and tokens Firebase reports as invalid are removed automatically.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -295,9 +319,16 @@ router.use(express.json());
  *                 type: string
  *                 description: Firebase Cloud Messaging registration token
  *                 example: "dGhpcyBpcyBhIGZha2UgZmNtIHRva2Vu"
+ *               platform:
+ *                 type: string
+ *                 enum: [ios, android, web]
+ *                 example: "ios"
+ *               appVersion:
+ *                 type: string
+ *                 example: "2.4.1"
  *     responses:
  *       200:
- *         description: FCM token updated successfully
+ *         description: Device registered successfully
  *         content:
  *           application/json:
  *             schema:
@@ -314,13 +345,53 @@ router.use(express.json());
  *                       example: "FCM token updated successfully"
  *                     fcmToken:
  *                       type: string
- *                       description: The updated FCM token
+ *                       description: The registered FCM token
+ *                     devices:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Device'
  *       400:
- *         description: Invalid request or missing FCM token
+ *         description: Missing FCM token or invalid platform
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authorized
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /users/devices:
+ *   get:
+ *     summary: List devices registered for push notifications
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registered devices, most recently seen first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     devices:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Device'
  *       401:
  *         description: Not authorized
  *         content:
@@ -329,6 +400,38 @@ router.use(express.json());
  *               $ref: '#/components/schemas/Error'
  */
 
+/**
+ * @swagger
+ * /users/devices/{token}:
+ *   delete:
+ *     summary: Stop push notifications to a device
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: FCM token of the device
+ *     responses:
+ *       200:
+ *         description: Device removed successfully
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Device not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
 /**
  * @swagger
  * /users/notification-settings:
@@ -361,6 +464,35 @@ router.use(express.json());
  *                 type: boolean
  *                 description: Enable push notifications
  *                 example: true
+ *               reminderOffsets:
+ *                 type: array
+ *                 nullable: true
+ *                 items:
+ *                   type: string
+ *                 description: Personal reminder schedule used instead of each event's ("30m", "2h", "1d", "1w" or "morning_of"); null or an empty array follows the event's schedule
+ *                 example: ["morning_of"]
+ *               quietHours:
+ *                 type: object
+ *                 description: Daily window (HH:MM, may run past midnight) in which non-urgent pushes are held and sent as one digest when it ends
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                     example: true
+ *                   start:
+ *                     type: string
+ *                     example: "22:00"
+ *                   end:
+ *                     type: string
+ *                     example: "07:00"
+ *               timezone:
+ *                 type: string
+ *                 nullable: true
+ *                 description: IANA time zone for quiet hours and digest emails (UTC when unset)
+ *                 example: Europe/Berlin
+ *               emailDigest:
+ *                 type: string
+ *                 enum: [off, daily, weekly]
+ *                 description: Email a summary of unread notifications at 08:00 every day or every Monday
  *     responses:
  *       200:
  *         description: Notification settings updated successfully
@@ -386,6 +518,16 @@ router.use(express.json());
  *                           type: boolean
  *                         pushNotifications:
  *                           type: boolean
+ *                         reminderOffsets:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         quietHours:
+ *                           type: object
+ *                         timezone:
+ *                           type: string
+ *                         emailDigest:
+ *                           type: string
  *       400:
  *         description: Invalid input data or no valid settings provided
  *         content:
@@ -400,18 +542,458 @@ router.use(express.json());
  *               $ref: '#/components/schemas/Error'
  */
 
+/**
+ * @swagger
+ * /users/refresh:
+ *   post:
+ *     summary: Refresh the access token
+ *     description: Exchanges a refresh token for a new access token and a new refresh token. The presented refresh token stops working; replaying it revokes the session.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: string
+ *                   example: "15m"
+ *       400:
+ *         description: Refresh token missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Refresh token invalid, expired or revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /users/logout:
+ *   post:
+ *     summary: Log out the current device
+ *     description: Revokes the session behind the access token, so neither it nor its refresh token work anymore. Send the device's FCM token to stop pushes to it as well.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fcmToken:
+ *                 type: string
+ *                 description: FCM token of the device signing out
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /users/sessions:
+ *   get:
+ *     summary: List signed-in devices
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           deviceName:
+ *                             type: string
+ *                           userAgent:
+ *                             type: string
+ *                           ipAddress:
+ *                             type: string
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                           lastUsedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           expiresAt:
+ *                             type: string
+ *                             format: date-time
+ *                           isCurrent:
+ *                             type: boolean
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /users/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign out a specific device
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /users/verify-email:
+ *   post:
+ *     summary: Verify email address
+ *     description: Confirms the account's email with the 6-digit code sent on registration (or after an email change). Rate limited to 5 requests per 15 minutes per IP.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - otp
+ *             properties:
+ *               otp:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Email verified successfully; guest RSVPs made with this email are moved to the account (accounts created before email verification existed claim them this way too)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     emailVerified:
+ *                       type: boolean
+ *                     claimedRsvps:
+ *                       type: integer
+ *                       description: Number of guest RSVPs converted to this account
+ *       400:
+ *         description: Missing, invalid or expired code, or email already verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many attempts
+ */
+
+/**
+ * @swagger
+ * /users/resend-verification:
+ *   post:
+ *     summary: Resend the email verification code
+ *     description: Sends a new code and invalidates the previous one. Rate limited to 5 requests per 15 minutes per IP.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification code sent
+ *       400:
+ *         description: Email already verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many attempts
+ *       500:
+ *         description: Failed to send email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /users/me/export:
+ *   get:
+ *     summary: Download a copy of your personal data
+ *     description: Returns a JSON bundle (sent as a file download) with the profile, created events, RSVPs (with your plus-ones and answers), waitlist entries, todo items, album uploads, notification history and sessions. Created events include their details only, not other people's RSVPs, waitlist entries, roles, todos or uploads.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Personal data export
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     exportedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     profile:
+ *                       $ref: '#/components/schemas/User'
+ *                     createdEvents:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Event'
+ *                     rsvps:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     waitlists:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     todoItems:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     albumUploads:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     notifications:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /users/me:
+ *   delete:
+ *     summary: Delete your account
+ *     description: |
+ *       Permanently deletes the account after password confirmation.
+ *       - Created events go to the first co-host; without one they lose their creator and active ones are cancelled
+ *       - The user is removed from participant lists, waitlists and roles, and freed seats go to the waitlist
+ *       - Album uploads and the avatar are deleted from Cloudinary
+ *       - Reminders of cancelled events and the user's personal reminders are cancelled
+ *       - Notifications, held pushes, reminder delivery records, queued digests and sessions are deleted
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         reassignedEvents:
+ *                           type: integer
+ *                         cancelledEvents:
+ *                           type: integer
+ *                         leftEvents:
+ *                           type: integer
+ *                         deletedImages:
+ *                           type: integer
+ *       400:
+ *         description: Password missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Incorrect password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /users/calendar-feed:
+ *   post:
+ *     summary: Create or rotate the user's calendar feed
+ *     description: Returns a secret iCalendar URL combining the user's created and joined events. Calendar apps (Google, Apple, Outlook) can subscribe to it. Calling this again invalidates the previous URL.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Calendar feed created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     message:
+ *                       type: string
+ *                     feedUrl:
+ *                       type: string
+ *                       example: "http://localhost:3000/api/events/calendar/3f9c...e1.ics"
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Revoke the user's calendar feed
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Calendar feed revoked successfully
+ *       401:
+ *         description: Not authorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
 // Public routes
 router.post('/register', register);
 router.post('/login', login);
+router.post('/refresh', refreshToken);
 router.post('/request-otp', passwordResetLimiter, requestOTP);
 router.post('/reset-password', passwordResetLimiter, resetPassword);
 
 // Protected routes
 router.use(protect);
+router.post('/logout', invalidateCache(['user:.*:profile']), logout);
+router.post('/verify-email', emailVerificationLimiter, invalidateCache(['user:.*:profile']), verifyEmail);
+router.post('/resend-verification', emailVerificationLimiter, resendVerificationEmail);
+router.get('/sessions', getSessions);
+router.delete('/sessions/:sessionId', revokeSession);
 router.get('/profile', userCache(600), getProfile); // Cache for 10 minutes
 router.patch('/profile', invalidateCache(['user:.*:profile']), updateProfile);
 router.patch('/avatar', uploadAvatar, invalidateCache(['user:.*:profile']), updateAvatar);
 router.post('/fcm-token', invalidateCache(['user:.*:profile']), updateFCMToken);
+router.get('/devices', getDevices);
+router.delete('/devices/:token', invalidateCache(['user:.*:profile']), deleteDevice);
 router.patch('/notification-settings', invalidateCache(['user:.*:profile']), updateNotificationSettings);
+router.patch('/followed-categories', invalidateCache(['user:.*:profile']), updateFollowedCategories);
+router.get('/me/export', exportMyData);
+router.delete('/me', invalidateCache(['user:.*', 'events:.*']), deleteMe);
+router.route('/calendar-feed')
+  .post(createCalendarFeed)
+  .delete(revokeCalendarFeed);
 
 module.exports = router; 
\ No newline at end of file
@@ -3,10 +3,31 @@ const mongoose = require('mongoose');
 const https = require('https');
 const fs = require('fs');
 const app = require('./app');
+const Event = require('./models/eventModel');
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB'))
+  .then(async () => {
+    console.log('Connected to MongoDB');
+
+    // Events created before geospatial search need their GeoJSON point
+    const backfilled = await Event.backfillGeoPoints();
+    if (backfilled > 0) {
+      console.log(`📍 Added GeoJSON points to ${backfilled} events`);
+    }
+
+    // ...and the ones created before search ranking need their search trigrams
+    const indexed = await Event.backfillSearchTokens();
+    if (indexed > 0) {
+      console.log(`🔎 Added search tokens to ${indexed} events`);
+    }
+
+    // ...and the ones created before startsAt need their start instant for date queries and reminders
+    const dated = await Event.backfillStartsAt();
+    if (dated > 0) {
+      console.log(`🕒 Added start times to ${dated} events`);
+    }
+  })
   .catch((error) => console.error('MongoDB connection error:', error));
 
 // Start server
@@ -12,35 +12,8 @@ const generateOTP = () => {
   return Math.floor(100000 + Math.random() * 900000).toString();
 };
 
-/**
- * Send OTP email using Brevo
- * @param {string} email - Recipient email address
- * @param {string} name - Recipient name
- * @param {string} otp - OTP code
- * @returns {Promise} Brevo API response
- */
-const sendOTPEmail = async (email, name, otp) => {
-  const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
-
-  sendSmtpEmail.sender = {
-    email: process.env.EMAIL_FROM,
-    name: 'Event Management App'
-  };
-
-  sendSmtpEmail.to = [
-    {
-      email: email,
-      name: name
-    }
-  ];
-
-  sendSmtpEmail.subject = 'Reset Your Password - OTP Code';
-
-  sendSmtpEmail.htmlContent = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <style>
+// Shared styles for transactional emails
+const EMAIL_STYLES = `
         body {
           font-family: Arial, sans-serif;
           line-height: 1.6;
@@ -75,6 +48,15 @@ const sendOTPEmail = async (email, name, otp) => {
           margin: 20px 0;
           letter-spacing: 5px;
         }
+        .button {
+          display: inline-block;
+          background-color: #4CAF50;
+          color: white !important;
+          text-decoration: none;
+          padding: 12px 24px;
+          border-radius: 5px;
+          margin: 20px 0;
+        }
         .warning {
           color: #f44336;
           font-size: 14px;
@@ -86,28 +68,39 @@ const sendOTPEmail = async (email, name, otp) => {
           font-size: 12px;
           color: #666;
         }
-      </style>
+`;
+
+/**
+ * Escape user-provided text before placing it in email HTML
+ * @param {string} value - Raw text
+ * @returns {string} HTML-safe text
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Wrap email body content in the shared layout
+ * @param {string} heading - Header text
+ * @param {string} content - Inner HTML of the content block
+ * @returns {string} Full HTML document
+ */
+const renderEmail = (heading, content) => `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>${EMAIL_STYLES}      </style>
     </head>
     <body>
       <div class="container">
         <div class="header">
-          <h1>Password Reset Request</h1>
+          <h1>${heading}</h1>
         </div>
         <div class="content">
-          <p>Hello ${name},</p>
-          <p>We received a request to reset your password. Use the following OTP code to complete the password reset process:</p>
-
-          <div class="otp-code">${otp}</div>
-
-          <p>This code will expire in <strong>10 minutes</strong>.</p>
-
-          <p class="warning">
-            <strong>Security Notice:</strong> If you didn't request this password reset, please ignore this email. Your account is safe.
-          </p>
-
-          <p>For security reasons, never share this code with anyone.</p>
-
-          <p>Best regards,<br>Event Management Team</p>
+${content}
         </div>
         <div class="footer">
           <p>This is an automated message, please do not reply to this email.</p>
@@ -117,6 +110,32 @@ const sendOTPEmail = async (email, name, otp) => {
     </html>
   `;
 
+/**
+ * Send a transactional email through Brevo
+ * @param {string} email - Recipient email address
+ * @param {string} name - Recipient name
+ * @param {string} subject - Email subject
+ * @param {string} htmlContent - Email HTML
+ * @returns {Promise} Brevo API response
+ */
+const sendEmail = async (email, name, subject, htmlContent) => {
+  const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
+
+  sendSmtpEmail.sender = {
+    email: process.env.EMAIL_FROM,
+    name: 'Event Management App'
+  };
+
+  sendSmtpEmail.to = [
+    {
+      email: email,
+      name: name
+    }
+  ];
+
+  sendSmtpEmail.subject = subject;
+  sendSmtpEmail.htmlContent = htmlContent;
+
   try {
     const data = await apiInstance.sendTransacEmail(sendSmtpEmail);
     return data;
@@ -126,7 +145,125 @@ const sendOTPEmail = async (email, name, otp) => {
   }
 };
 
+/**
+ * Send OTP email using Brevo
+ * @param {string} email - Recipient email address
+ * @param {string} name - Recipient name
+ * @param {string} otp - OTP code
+ * @returns {Promise} Brevo API response
+ */
+const sendOTPEmail = async (email, name, otp) => {
+  const htmlContent = renderEmail('Password Reset Request', `
+          <p>Hello ${name},</p>
+          <p>We received a request to reset your password. Use the following OTP code to complete the password reset process:</p>
+
+          <div class="otp-code">${otp}</div>
+
+          <p>This code will expire in <strong>10 minutes</strong>.</p>
+
+          <p class="warning">
+            <strong>Security Notice:</strong> If you didn't request this password reset, please ignore this email. Your account is safe.
+          </p>
+
+          <p>For security reasons, never share this code with anyone.</p>
+
+          <p>Best regards,<br>Event Management Team</p>`);
+
+  return sendEmail(email, name, 'Reset Your Password - OTP Code', htmlContent);
+};
+
+/**
+ * Send email address verification code using Brevo
+ * @param {string} email - Recipient email address
+ * @param {string} name - Recipient name
+ * @param {string} otp - Verification code
+ * @returns {Promise} Brevo API response
+ */
+const sendVerificationEmail = async (email, name, otp) => {
+  const htmlContent = renderEmail('Verify Your Email', `
+          <p>Hello ${name},</p>
+          <p>Welcome! Please confirm your email address by entering the following code in the app:</p>
+
+          <div class="otp-code">${otp}</div>
+
+          <p>This code will expire in <strong>30 minutes</strong>. You can request a new code from the app at any time.</p>
+
+          <p class="warning">
+            <strong>Security Notice:</strong> If you didn't create an account, please ignore this email.
+          </p>
+
+          <p>Best regards,<br>Event Management Team</p>`);
+
+  return sendEmail(email, name, 'Verify Your Email Address', htmlContent);
+};
+
+/**
+ * Send a guest their RSVP confirmation with a magic link to change the answer
+ * @param {string} email - Guest email address
+ * @param {string} name - Guest name
+ * @param {Object} rsvp - RSVP details
+ * @param {string} rsvp.eventTitle - Title of the event
+ * @param {string} rsvp.status - Current answer (yes/no/maybe)
+ * @param {string} rsvp.link - Magic link to view or change the answer
+ * @returns {Promise} Brevo API response
+ */
+const sendGuestRsvpEmail = async (email, name, { eventTitle, status, link }) => {
+  const answers = { yes: 'Going', no: 'Not going', maybe: 'Maybe' };
+  const htmlContent = renderEmail('Your RSVP', `
+          <p>Hello ${escapeHtml(name)},</p>
+          <p>Thanks for answering the invite to <strong>${escapeHtml(eventTitle)}</strong>. Your current answer is: <strong>${answers[status] || status}</strong>.</p>
+
+          <p>You can change your answer at any time using your personal link:</p>
+
+          <p style="text-align: center;"><a class="button" href="${escapeHtml(link)}">View or change my RSVP</a></p>
+
+          <p class="warning">
+            <strong>Security Notice:</strong> Anyone with this link can change your answer, so don't share it.
+          </p>
+
+          <p>Create an account with this email address to keep all your events in one place.</p>
+
+          <p>Best regards,<br>Event Management Team</p>`);
+
+  return sendEmail(email, name, `Your RSVP for ${eventTitle}`, htmlContent);
+};
+
+/**
+ * Send a summary of the user's unread notifications
+ * @param {string} email - Recipient email address
+ * @param {string} name - Recipient name
+ * @param {Object} digest - Digest details
+ * @param {string} digest.frequency - "daily" or "weekly"
+ * @param {Array<Object>} digest.notifications - Unread notifications, newest first
+ * @param {number} digest.total - Number of unread notifications in the period (may exceed the list)
+ * @returns {Promise} Brevo API response
+ */
+const sendNotificationDigestEmail = async (email, name, { frequency, notifications, total }) => {
+  const period = frequency === 'weekly' ? 'this week' : 'today';
+  const items = notifications.map(notification => `
+            <li><strong>${escapeHtml(notification.title)}</strong><br>${escapeHtml(notification.body)}</li>`).join('');
+  const more = total > notifications.length
+    ? `\n          <p>...and ${total - notifications.length} more in the app.</p>`
+    : '';
+
+  const htmlContent = renderEmail('Your Notification Digest', `
+          <p>Hello ${escapeHtml(name)},</p>
+          <p>You have <strong>${total}</strong> unread notification${total === 1 ? '' : 's'} from ${period}:</p>
+
+          <ul>${items}
+          </ul>${more}
+
+          <p>You can change how often you get this email in your notification settings.</p>
+
+          <p>Best regards,<br>Event Management Team</p>`);
+
+  return sendEmail(email, name, `You have ${total} unread notification${total === 1 ? '' : 's'}`, htmlContent);
+};
+
 module.exports = {
   generateOTP,
-  sendOTPEmail
+  sendOTPEmail,
+  sendVerificationEmail,
+  sendGuestRsvpEmail,
+  sendNotificationDigestEmail
 };
@@ -0,0 +1,76 @@
+const Event = require('../models/eventModel');
+const { scheduleJob, cancelJobs } = require('./jobQueue');
+const { lookupTimeZone } = require('../utils/timezone');
+const { invalidateEventCache } = require('../utils/cacheHelpers');
+
+/**
+ * Time zone inference for events
+ * When the client does not pick a time zone, the event is saved without
+ * waiting on the lookup and a queued job resolves the zone from the
+ * coordinates afterwards, so a slow or unavailable lookup service never
+ * holds up a request. A failed lookup is retried by the queue
+ */
+
+/**
+ * Queue the lookup of an event's time zone from its coordinates
+ * @param {Object} event - Event document
+ * @returns {Promise<void>}
+ */
+const scheduleTimeZoneLookup = async (event) => {
+  const { lat, lon } = event.location.coordinates;
+
+  await scheduleJob({
+    type: 'event_timezone',
+    key: `event_timezone:${event._id}`,
+    runAt: new Date(),
+    event: event._id,
+    payload: { lat, lon }
+  });
+};
+
+/**
+ * Drop a queued lookup, e.g. once the host picked a time zone
+ * @param {Object|string} eventId - Event ID
+ * @returns {Promise<void>}
+ */
+const cancelTimeZoneLookup = async (eventId) => {
+  await cancelJobs({ key: `event_timezone:${eventId}` });
+};
+
+/**
+ * Resolve and store an event's time zone (job handler for "event_timezone")
+ * The start instant and reminders move with the new zone
+ * @param {Object} job - Claimed job
+ * @returns {Promise<string>} Outcome
+ */
+const runTimeZoneLookupJob = async (job) => {
+  const { lat, lon } = job.payload;
+  const event = await Event.findById(job.event);
+  if (!event) return 'skipped: event deleted';
+
+  // The event moved again; the lookup for the new place replaces this one
+  const { coordinates } = event.location;
+  if (coordinates.lat !== lat || coordinates.lon !== lon) return 'skipped: location changed';
+
+  const timezone = await lookupTimeZone(lat, lon);
+  if (!timezone) {
+    throw new Error('Time zone lookup failed');
+  }
+  if (timezone === event.timezone) return `unchanged: ${timezone}`;
+
+  event.timezone = timezone;
+  await event.save();
+
+  const notificationScheduler = require('./notificationScheduler');
+  await notificationScheduler.scheduleEventReminders(event);
+  invalidateEventCache(event._id.toString());
+
+  console.log(`🌍 Time zone of "${event.title}" set to ${timezone}`);
+  return `set: ${timezone}`;
+};
+
+module.exports = {
+  scheduleTimeZoneLookup,
+  cancelTimeZoneLookup,
+  runTimeZoneLookupJob
+};
@@ -0,0 +1,294 @@
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/jobModel');
+
+/**
+ * Persistent job queue
+ * Jobs live in MongoDB with the time they are due. Every instance polls for
+ * due jobs and claims one at a time with an atomic update that gives it a
+ * lease, so several instances can run side by side without running a job
+ * twice. The lease is renewed while the job runs, however long it takes,
+ * and a job whose instance died is taken over once its lease expires,
+ * failed attempts are retried with exponential backoff, and jobs that fell
+ * due while no instance was running are picked up on the next poll
+ */
+
+// How long a job stays claimed without a lease renewal before another instance can take it over
+const LEASE_MS = 2 * 60 * 1000;
+
+// How often a running job renews its lease
+const LEASE_RENEW_MS = 30 * 1000;
+
+// Retry delays: 30s, 1m, 2m, 4m... capped at 30 minutes
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 30 * 60 * 1000;
+
+// Most jobs one poll runs, so a backlog cannot hold the poller forever
+const MAX_JOBS_PER_POLL = 100;
+
+const handlers = new Map();
+const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {string} type - Job type
+ * @param {Function} handler - async (job) => result string, or { rescheduleAt } to run the job again later; throwing schedules a retry
+ */
+const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Schedule a job, or move an existing job with the same key to a new time
+ * A job already done for the same time is left alone, so scheduling is idempotent.
+ * A running job is moved once it finishes
+ * @param {Object} options - Job options
+ * @param {string} options.type - Job type
+ * @param {string} options.key - Unique job key
+ * @param {Date} options.runAt - When the job is due
+ * @param {Object|string} options.event - Related event ID (optional)
+ * @param {Object} options.payload - Data for the handler
+ * @returns {Promise<void>}
+ */
+const scheduleJob = async ({ type, key, runAt, event = null, payload = {} }) => {
+  const reset = {
+    type,
+    event,
+    payload,
+    scheduledFor: runAt,
+    runAt,
+    status: 'pending',
+    attempts: 0,
+    lockedBy: null,
+    lockedUntil: null,
+    lastError: null,
+    result: null,
+    finishedAt: null,
+    nextRun: null
+  };
+
+  // The job can change state between these steps (e.g. finish running), so look again until one applies
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { matchedCount } = await Job.updateOne({
+      key,
+      status: { $ne: 'running' },
+      $or: [{ scheduledFor: { $ne: runAt } }, { status: 'cancelled' }]
+    }, { $set: reset });
+    if (matchedCount > 0) return;
+
+    // A running job keeps the latest request and applies it when it finishes (nothing to do for the time it runs for)
+    const { matchedCount: runningCount } = await Job.updateOne({ key, status: 'running' }, [{
+      $set: {
+        nextRun: { $cond: [{ $eq: ['$scheduledFor', runAt] }, null, { $literal: { type, event, payload, runAt } }] }
+      }
+    }]);
+    if (runningCount > 0) return;
+
+    try {
+      await Job.create({ key, ...reset });
+      return;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    // Already scheduled for this time
+    if (await Job.exists({ key, scheduledFor: runAt, status: { $nin: ['running', 'cancelled'] } })) return;
+  }
+
+  throw new Error(`Could not schedule job ${key}`);
+};
+
+/**
+ * Cancel pending jobs
+ * @param {Object} filter - Extra conditions (e.g. { event: eventId })
+ * @returns {Promise<number>} Number of jobs cancelled
+ */
+const cancelJobs = async (filter) => {
+  const { modifiedCount } = await Job.updateMany(
+    { ...filter, status: 'pending' },
+    { $set: { status: 'cancelled', finishedAt: new Date() } }
+  );
+  // Running jobs finish, but a new time requested while they ran is dropped
+  await Job.updateMany({ ...filter, status: 'running', nextRun: { $ne: null } }, { $set: { nextRun: null } });
+  return modifiedCount;
+};
+
+/**
+ * Claim the next due job, or one whose lease expired
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} Claimed job
+ */
+const claimNextJob = async (now) => {
+  return await Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        { status: 'running', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'running',
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + LEASE_MS)
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Get the delay before retrying a job
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+/**
+ * Record the outcome of a job, as long as this instance still holds its lease
+ * A schedule requested while the job ran replaces the outcome: the job is queued again for it
+ * @param {Object} job - Claimed job
+ * @param {Object} update - Fields to set
+ * @returns {Promise<void>}
+ */
+const releaseJob = async (job, update) => {
+  // scheduleJob may record a new time between the two updates, so look again until one applies
+  for (;;) {
+    const { matchedCount: rescheduled } = await Job.updateOne({ _id: job._id, lockedBy: workerId, nextRun: { $ne: null } }, [{
+      $set: {
+        type: '$nextRun.type',
+        event: '$nextRun.event',
+        payload: '$nextRun.payload',
+        scheduledFor: '$nextRun.runAt',
+        runAt: '$nextRun.runAt',
+        status: 'pending',
+        attempts: 0,
+        lastError: null,
+        result: null,
+        finishedAt: null,
+        lockedBy: null,
+        lockedUntil: null,
+        nextRun: null
+      }
+    }]);
+    if (rescheduled > 0) return;
+
+    const { matchedCount: released } = await Job.updateOne(
+      { _id: job._id, lockedBy: workerId, nextRun: null },
+      { $set: { ...update, lockedBy: null, lockedUntil: null } }
+    );
+    if (released > 0) return;
+
+    // Another instance took the job over
+    if (!(await Job.exists({ _id: job._id, lockedBy: workerId }))) return;
+  }
+};
+
+/**
+ * Keep renewing a claimed job's lease until stopped
+ * @param {Object} job - Claimed job
+ * @returns {Function} Stops the renewals
+ */
+const keepLease = (job) => {
+  const timer = setInterval(async () => {
+    try {
+      await Job.updateOne(
+        { _id: job._id, lockedBy: workerId, status: 'running' },
+        { $set: { lockedUntil: new Date(Date.now() + LEASE_MS) } }
+      );
+    } catch (error) {
+      console.error(`❌ Could not renew the lease of job ${job.key}:`, error.message);
+    }
+  }, LEASE_RENEW_MS);
+  // A renewal alone does not keep the process alive
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+/**
+ * Run one claimed job and record the outcome
+ * @param {Object} job - Claimed job
+ * @returns {Promise<boolean>} Whether the job completed
+ */
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+  const stopLease = keepLease(job);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type ${job.type}`);
+    }
+    // Attempts also count takeovers after a lost lease, so a job that keeps crashing its instance gives up too
+    if (job.attempts > job.maxAttempts) {
+      throw new Error(`Gave up after ${job.maxAttempts} attempts`);
+    }
+
+    const result = await handler(job);
+    if (result && result.rescheduleAt) {
+      await releaseJob(job, { status: 'pending', scheduledFor: result.rescheduleAt, runAt: result.rescheduleAt, attempts: 0 });
+      return true;
+    }
+
+    await releaseJob(job, { status: 'completed', result: result || null, lastError: null, finishedAt: new Date() });
+    return true;
+  } catch (error) {
+    const exhausted = !handler || job.attempts >= job.maxAttempts;
+    await releaseJob(job, exhausted
+      ? { status: 'failed', lastError: error.message, finishedAt: new Date() }
+      : { status: 'pending', lastError: error.message, runAt: new Date(Date.now() + getRetryDelay(job.attempts)) });
+
+    console.error(`❌ Job ${job.key} failed (attempt ${job.attempts}/${job.maxAttempts}${exhausted ? ', giving up' : ''}):`, error.message);
+    return false;
+  } finally {
+    stopLease();
+  }
+};
+
+/**
+ * Run the jobs that are due
+ * @returns {Promise<{ completed: number, failed: number }>} Counts of jobs run
+ */
+const processDueJobs = async () => {
+  let completed = 0;
+  let failed = 0;
+
+  while (completed + failed < MAX_JOBS_PER_POLL) {
+    const job = await claimNextJob(new Date());
+    if (!job) break;
+
+    if (await runJob(job)) {
+      completed++;
+    } else {
+      failed++;
+    }
+  }
+
+  return { completed, failed };
+};
+
+/**
+ * Count jobs by status
+ * @returns {Promise<Object>} Job counts keyed by status
+ */
+const getQueueStats = async () => {
+  const counts = await Job.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  return counts.reduce((stats, { _id, count }) => ({ ...stats, [_id]: count }), {
+    pending: 0,
+    running: 0,
+    completed: 0,
+    failed: 0,
+    cancelled: 0
+  });
+};
+
+module.exports = {
+  workerId,
+  registerJobHandler,
+  scheduleJob,
+  cancelJobs,
+  processDueJobs,
+  getQueueStats
+};
@@ -0,0 +1,265 @@
+const User = require('../models/userModel');
+const Notification = require('../models/notificationModel');
+const HeldPush = require('../models/heldPushModel');
+const { scheduleJob, cancelJobs } = require('./jobQueue');
+const { sendNotificationDigestEmail } = require('./emailService');
+const { hasDevices, sendToUsers } = require('./pushService');
+const { isInQuietHours, getQuietHoursEnd, getNextDigestTime } = require('../utils/quietHours');
+
+/**
+ * Quiet hours and notification digests
+ * Non-urgent pushes for a user in quiet hours are stored instead of sent,
+ * and a queued job sends them as one push when the quiet hours end. Users
+ * can also get a daily or weekly email listing their unread notifications,
+ * sent by a queued job that schedules its own next run
+ */
+
+// Titles listed in a digest push before "and N more"
+const MAX_DIGEST_TITLES = 3;
+
+// Notifications listed in a digest email
+const MAX_DIGEST_EMAIL_ITEMS = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Queue the push that releases a user's held notifications at the end of their quiet hours
+ * @param {Object} user - User with notificationSettings
+ * @param {Date} now - Current time
+ * @returns {Promise<void>}
+ */
+const scheduleHeldPushDigest = async (user, now = new Date()) => {
+  const runAt = isInQuietHours(user.notificationSettings, now)
+    ? getQuietHoursEnd(user.notificationSettings, now)
+    : now;
+
+  await scheduleJob({
+    type: 'push_digest',
+    key: `push_digest:${user._id}`,
+    runAt,
+    payload: { userId: user._id.toString() }
+  });
+};
+
+/**
+ * Move the release of a user's held pushes after their quiet hours or time zone change
+ * @param {Object} user - User with notificationSettings
+ * @returns {Promise<void>}
+ */
+const rescheduleHeldPushes = async (user) => {
+  if (await HeldPush.exists({ user: user._id })) {
+    await scheduleHeldPushDigest(user);
+  }
+};
+
+/**
+ * Hold a push for the recipients who are in quiet hours
+ * @param {Array<Object>} users - Recipients with notificationSettings
+ * @param {Object} message - Push to hold
+ * @param {string} message.title - Notification title
+ * @param {string} message.body - Notification body
+ * @param {Object} message.data - FCM data payload
+ * @param {Array<Object>} message.notifications - In-app notifications the push is for, one per user (optional)
+ * @param {Date} now - Current time
+ * @returns {Promise<{ sendNow: Array<Object>, held: Array<Object> }>} Recipients to push now, and the ones held
+ */
+const holdForQuietHours = async (users, { title, body, data = {}, notifications = [] }, now = new Date()) => {
+  const held = users.filter(user => isInQuietHours(user.notificationSettings, now));
+  if (held.length === 0) return { sendNow: users, held };
+
+  const notificationIds = new Map(notifications.map(notification => [notification.userId.toString(), notification._id]));
+  await HeldPush.insertMany(held.map(user => ({
+    user: user._id,
+    title,
+    body,
+    data,
+    notification: notificationIds.get(user._id.toString()) || null
+  })));
+  for (const user of held) {
+    await scheduleHeldPushDigest(user, now);
+  }
+
+  console.log(`🌙 Held "${title}" for ${held.length} user(s) in quiet hours`);
+  return { sendNow: users.filter(user => !held.includes(user)), held };
+};
+
+/**
+ * Build the push for a batch of held notifications
+ * One held push is sent as it was, with its notification ID for receipts; several become a summary
+ * @param {Array<Object>} heldPushes - Held pushes, oldest first
+ * @returns {Object} { title, body, data }
+ */
+const buildDigestPush = (heldPushes) => {
+  // FCM data values must be strings
+  const toData = (data) => Object.fromEntries(
+    Object.entries(data || {}).filter(([, value]) => value != null).map(([key, value]) => [key, String(value)])
+  );
+
+  if (heldPushes.length === 1) {
+    const [push] = heldPushes;
+    return {
+      title: push.title,
+      body: push.body,
+      data: toData({ ...push.data, notificationId: push.notification })
+    };
+  }
+
+  const titles = heldPushes.slice(-MAX_DIGEST_TITLES).reverse().map(push => push.title);
+  const more = heldPushes.length - titles.length;
+  return {
+    title: `${heldPushes.length} updates while you were away`,
+    body: `${titles.join(' · ')}${more > 0 ? ` and ${more} more` : ''}`,
+    data: {
+      notificationType: 'notification_digest',
+      count: String(heldPushes.length),
+      timestamp: new Date().toISOString()
+    }
+  };
+};
+
+/**
+ * Get the in-app notifications behind a batch of held pushes
+ * @param {Array<Object>} heldPushes - Held pushes of one user
+ * @returns {Array<Object>} { _id, userId } of each linked notification
+ */
+const getHeldNotifications = (heldPushes) => heldPushes
+  .filter(push => push.notification)
+  .map(push => ({ _id: push.notification, userId: push.user }));
+
+/**
+ * Send a user's held pushes (job handler for "push_digest")
+ * @param {Object} job - Claimed job
+ * @returns {Promise<string|Object>} Outcome, or { rescheduleAt } while quiet hours still run
+ */
+const runPushDigestJob = async (job) => {
+  const { userId } = job.payload;
+  const heldPushes = await HeldPush.find({ user: userId }).sort('createdAt');
+  if (heldPushes.length === 0) return 'skipped: nothing held';
+
+  const user = await User.findById(userId).select('fcmToken devices notificationSettings');
+  if (!user || !hasDevices(user) || user.notificationSettings?.pushNotifications === false) {
+    await HeldPush.deleteMany({ _id: { $in: heldPushes.map(push => push._id) } });
+    if (user) {
+      const error = hasDevices(user) ? 'push_disabled' : 'no_devices';
+      await Notification.recordPushResults(getHeldNotifications(heldPushes), [{ user, success: false, error }]);
+    }
+    return 'skipped: push turned off';
+  }
+
+  // Quiet hours were extended since the push was held
+  const now = new Date();
+  if (isInQuietHours(user.notificationSettings, now)) {
+    return { rescheduleAt: getQuietHoursEnd(user.notificationSettings, now) };
+  }
+
+  const { title, body, data } = buildDigestPush(heldPushes);
+  const response = await sendToUsers([user], {
+    notification: { title, body },
+    data,
+    android: {
+      priority: 'normal',
+      notification: {
+        sound: 'default',
+        channelId: 'event_notifications'
+      }
+    },
+    apns: {
+      payload: {
+        aps: {
+          sound: 'default',
+          badge: 1
+        }
+      }
+    }
+  });
+
+  // Failures are kept so a successful retry can still mark the notifications sent
+  await Notification.recordPushResults(getHeldNotifications(heldPushes), response.users);
+
+  if (response.successCount === 0) {
+    throw new Error(response.users[0].error || 'Push failed');
+  }
+
+  await HeldPush.deleteMany({ _id: { $in: heldPushes.map(push => push._id) } });
+  console.log(`🌅 Sent ${heldPushes.length} held notification(s) to user ${userId}`);
+
+  // Pushes held while this one was sending go out in another digest
+  if (await HeldPush.exists({ user: userId })) {
+    return { rescheduleAt: new Date() };
+  }
+  return `sent ${heldPushes.length} held notifications`;
+};
+
+/**
+ * Start, move or stop a user's email digest after their settings change
+ * @param {Object} user - User with notificationSettings
+ * @param {Date} now - Current time
+ * @returns {Promise<void>}
+ */
+const scheduleEmailDigest = async (user, now = new Date()) => {
+  const key = `email_digest:${user._id}`;
+  const frequency = user.notificationSettings?.emailDigest || 'off';
+
+  if (frequency === 'off') {
+    await cancelJobs({ key });
+    return;
+  }
+
+  await scheduleJob({
+    type: 'email_digest',
+    key,
+    runAt: getNextDigestTime(frequency, user.notificationSettings, now),
+    payload: { userId: user._id.toString() }
+  });
+};
+
+/**
+ * Email a user their unread notifications (job handler for "email_digest")
+ * The job moves itself to the next digest time after each run
+ * @param {Object} job - Claimed job
+ * @returns {Promise<string|Object>} Outcome, or { rescheduleAt } for the next digest
+ */
+const runEmailDigestJob = async (job) => {
+  const user = await User.findById(job.payload.userId).select('name email notificationSettings emailDigestSentAt');
+  if (!user) return 'skipped: user deleted';
+
+  const frequency = user.notificationSettings?.emailDigest || 'off';
+  if (frequency === 'off') return 'skipped: digest turned off';
+
+  // Only notifications from this period that no earlier digest listed
+  const now = new Date();
+  const periodStart = new Date(now.getTime() - (frequency === 'weekly' ? 7 : 1) * DAY_MS);
+  const since = user.emailDigestSentAt > periodStart ? user.emailDigestSentAt : periodStart;
+  const filter = { userId: user._id, isRead: false, createdAt: { $gt: since } };
+
+  const [notifications, total] = await Promise.all([
+    Notification.find(filter).sort('-createdAt').limit(MAX_DIGEST_EMAIL_ITEMS).lean(),
+    Notification.countDocuments(filter)
+  ]);
+
+  if (notifications.length > 0) {
+    await sendNotificationDigestEmail(user.email, user.name, { frequency, notifications, total });
+    await User.updateOne({ _id: user._id }, { $set: { emailDigestSentAt: now } });
+    console.log(`📧 Sent ${frequency} digest of ${total} notification(s) to user ${user._id}`);
+  }
+
+  return { rescheduleAt: getNextDigestTime(frequency, user.notificationSettings, now) };
+};
+
+/**
+ * Stop a user's queued digests, e.g. when their account is deleted
+ * @param {Object|string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const cancelDigests = async (userId) => {
+  await cancelJobs({ key: { $in: [`push_digest:${userId}`, `email_digest:${userId}`] } });
+};
+
+module.exports = {
+  holdForQuietHours,
+  rescheduleHeldPushes,
+  runPushDigestJob,
+  scheduleEmailDigest,
+  runEmailDigestJob,
+  cancelDigests
+};
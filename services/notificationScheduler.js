@@ -1,11 +1,60 @@
 const cron = require('node-cron');
 const Event = require('../models/eventModel');
-const { sendAutomaticEventNotification } = require('../controllers/fcmController');
+const User = require('../models/userModel');
+const Job = require('../models/jobModel');
+const ReminderDelivery = require('../models/reminderDeliveryModel');
+const { registerJobHandler, scheduleJob, cancelJobs, processDueJobs, getQueueStats, workerId } = require('./jobQueue');
+const { sendAutomaticEventNotification, sendWeatherAlertNotification } = require('../controllers/fcmController');
+const { runPushDigestJob, runEmailDigestJob } = require('./notificationDigest');
+const { runTimeZoneLookupJob } = require('./eventTimeZone');
+const { hasDevices, isRetryablePushError, sendToUsers } = require('./pushService');
+const { startOfDay, parseDateKey, getOccurrenceStatus } = require('../utils/recurrence');
+const {
+  MORNING_OF,
+  DEFAULT_REMINDER_OFFSETS,
+  getOffsetMs,
+  normalizeOffset,
+  getReminderTime,
+  getMaxLateMs,
+  getRecipientOffsets,
+  describeLeadTime
+} = require('../utils/reminders');
+const {
+  FORECAST_HORIZON_DAYS,
+  fetchEventForecast,
+  getStoredForecast,
+  isForecastFresh,
+  buildWeatherSnapshot,
+  compareEventForecasts
+} = require('./weatherService');
+
+// How far ahead outdoor events are watched for forecast changes
+const WEATHER_ALERT_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// How far ahead the planner creates reminder jobs: the longest reminder (4 weeks) plus a margin
+const REMINDER_PLANNING_WINDOW_MS = 28 * DAY_MS + 2 * HOUR_MS;
+
+// A reminder planned slightly after its time (e.g. a slow planner run) is still sent
+const REMINDER_PLANNING_GRACE_MS = 5 * 60 * 1000;
+
+// Reminder jobs whose time no longer matches the event are moved instead of sent
+const REMINDER_TIME_TOLERANCE_MS = 60 * 1000;
 
 class NotificationScheduler {
   constructor() {
     this.isRunning = false;
     this.jobs = new Map();
+    this.isRefreshingWeather = false;
+    this.isProcessingJobs = false;
+    this.isPlanningReminders = false;
+
+    registerJobHandler('event_reminder', job => this.runReminderJob(job));
+    registerJobHandler('push_digest', runPushDigestJob);
+    registerJobHandler('email_digest', runEmailDigestJob);
+    registerJobHandler('event_timezone', runTimeZoneLookupJob);
   }
 
   /**
@@ -19,18 +68,40 @@ class NotificationScheduler {
 
     console.log('🕐 Starting notification scheduler...');
 
-    // Run every minute to check for upcoming events
-    const checkRemindersJob = cron.schedule('* * * * *', async () => {
-      await this.checkAndSendReminders();
+    // Run due jobs from the persistent queue every minute
+    const processJobsJob = cron.schedule('* * * * *', async () => {
+      await this.processJobs();
     }, {
       scheduled: false
     });
 
-    checkRemindersJob.start();
-    this.jobs.set('checkReminders', checkRemindersJob);
+    // Create reminder jobs for upcoming recurring occurrences (and any event still missing them)
+    const planRemindersJob = cron.schedule('*/15 * * * *', async () => {
+      await this.planUpcomingReminders();
+    }, {
+      scheduled: false
+    });
+
+    // Refresh stale forecasts of upcoming events every hour (and alert on outdoor ones)
+    const refreshWeatherJob = cron.schedule('0 * * * *', async () => {
+      await this.refreshEventWeather();
+    }, {
+      scheduled: false
+    });
+
+    processJobsJob.start();
+    planRemindersJob.start();
+    refreshWeatherJob.start();
+    this.jobs.set('processJobs', processJobsJob);
+    this.jobs.set('planReminders', planRemindersJob);
+    this.jobs.set('refreshWeather', refreshWeatherJob);
     this.isRunning = true;
+    this.startTime = Date.now();
 
-    console.log('✅ Notification scheduler started successfully');
+    console.log(`✅ Notification scheduler started successfully (worker ${workerId})`);
+
+    // Catch up on jobs that fell due while no instance was running
+    this.planUpcomingReminders().then(() => this.processJobs());
   }
 
   /**
@@ -56,156 +127,368 @@ class NotificationScheduler {
   }
 
   /**
-   * Check for events that need reminder notifications
+   * Run the due jobs of the persistent queue
    */
-  async checkAndSendReminders() {
-    try {
-      const now = new Date();
-      
-      // Check for 24-hour reminders
-      await this.check24HourReminders(now);
-      
-      // Check for 2-hour reminders
-      await this.check2HourReminders(now);
-      
-      // Check for 30-minute reminders
-      await this.check30MinuteReminders(now);
+  async processJobs() {
+    // A slow push provider must not lead to overlapping runs on this instance
+    if (this.isProcessingJobs) return;
+    this.isProcessingJobs = true;
 
+    try {
+      const { completed, failed } = await processDueJobs();
+      if (completed + failed > 0) {
+        console.log(`📬 Ran ${completed + failed} queued jobs (${completed} completed, ${failed} failed)`);
+      }
     } catch (error) {
-      console.error('❌ Error in notification scheduler:', error.message);
+      console.error('❌ Error processing job queue:', error.message);
+    } finally {
+      this.isProcessingJobs = false;
     }
   }
 
   /**
-   * Check for events that need 24-hour reminders
+   * Get the starts an event needs reminders for
+   * One-off events have one; recurring events have their active occurrences in the planning window
    */
-  async check24HourReminders(now) {
-    const twentyFourHoursFromNow = new Date(now.getTime() + (24 * 60 * 60 * 1000));
-    const twentyFourHoursBuffer = new Date(now.getTime() + (24 * 60 * 60 * 1000) + (60 * 1000)); // 1 minute buffer
+  getReminderStarts(event, now) {
+    if (!event.isRecurring) {
+      return [{ occurrenceDate: null, startDateTime: new Date(event.startsAt || event.startDate) }];
+    }
 
-    try {
-      const events = await Event.find({
-        startDate: {
-          $gte: twentyFourHoursFromNow,
-          $lte: twentyFourHoursBuffer
-        },
-        'reminders.sent24h': { $ne: true }, // Haven't sent 24h reminder yet
-        status: { $ne: 'cancelled' }
-      }).populate('participants', 'fcmToken name notificationSettings');
+    // Occurrence dates are local calendar days, so widen the search by a day either side
+    return event.getOccurrences({
+      from: new Date(startOfDay(now).getTime() - DAY_MS),
+      to: new Date(now.getTime() + REMINDER_PLANNING_WINDOW_MS + DAY_MS)
+    })
+      .filter(occurrence => occurrence.status === 'active')
+      .map(occurrence => ({ occurrenceDate: occurrence.occurrenceDate, startDateTime: new Date(occurrence.startDateTime) }));
+  }
 
-      for (const event of events) {
-        await this.sendEventReminder(event, '24h');
-        
-        // Mark 24h reminder as sent
-        await Event.findByIdAndUpdate(event._id, {
-          $set: { 'reminders.sent24h': true }
+  /**
+   * Get every reminder offset used for an event: the host's schedule plus the
+   * personal schedules of participants who set one
+   */
+  async getEventReminderOffsets(event) {
+    const offsets = new Set(event.reminderOffsets || DEFAULT_REMINDER_OFFSETS);
+
+    const userIds = event.participants
+      .filter(participant => participant.user && participant.status !== 'no')
+      .map(participant => participant.user._id || participant.user);
+    if (userIds.length === 0) return [...offsets];
+
+    const users = await User.find({
+      _id: { $in: userIds },
+      'notificationSettings.reminderOffsets.0': { $exists: true },
+      'notificationSettings.eventReminders': { $ne: false }
+    }).select('notificationSettings.reminderOffsets').lean();
+
+    users.forEach(user => user.notificationSettings.reminderOffsets.forEach(offset => offsets.add(offset)));
+    return [...offsets];
+  }
+
+  /**
+   * Create, move or cancel the reminder jobs of an event
+   * Call after an event is created or its time, status, reminders or occurrences change
+   */
+  async scheduleEventReminders(event, now = new Date()) {
+    if (event.status === 'cancelled') {
+      await this.cancelEventReminders(event._id);
+      return;
+    }
+
+    const offsets = await this.getEventReminderOffsets(event);
+    const existing = new Map(
+      (await Job.find({ type: 'event_reminder', event: event._id }).select('key scheduledFor status').lean())
+        .map(job => [job.key, job])
+    );
+    const wantedKeys = [];
+
+    for (const { occurrenceDate, startDateTime } of this.getReminderStarts(event, now)) {
+      for (const offset of offsets) {
+        const runAt = getReminderTime(offset, startDateTime, event.timezone);
+        // Reminders whose time has passed are not sent late with a wrong "starts in" message
+        if (!runAt || runAt.getTime() < now.getTime() - REMINDER_PLANNING_GRACE_MS) continue;
+
+        const key = `event_reminder:${event._id}:${occurrenceDate || 'once'}:${offset}`;
+        wantedKeys.push(key);
+
+        const job = existing.get(key);
+        if (job && job.status !== 'cancelled' && job.scheduledFor.getTime() === runAt.getTime()) continue;
+
+        await scheduleJob({
+          type: 'event_reminder',
+          key,
+          runAt,
+          event: event._id,
+          payload: { offset, occurrenceDate }
         });
       }
+    }
 
-      if (events.length > 0) {
-        console.log(`📅 Sent 24h reminders for ${events.length} events`);
-      }
+    // Reminders the host or every participant dropped
+    await cancelJobs({ type: 'event_reminder', event: event._id, key: { $nin: wantedKeys }, scheduledFor: { $gt: now } });
+  }
 
-    } catch (error) {
-      console.error('❌ Error checking 24h reminders:', error.message);
-    }
+  /**
+   * Cancel the pending reminder jobs of an event
+   */
+  async cancelEventReminders(eventId) {
+    return await cancelJobs({ type: 'event_reminder', event: eventId });
   }
 
   /**
-   * Check for events that need 2-hour reminders
+   * Create reminder jobs for events starting in the next four weeks
+   * Jobs are keyed by event, occurrence and offset, so planning the same event again does nothing
    */
-  async check2HourReminders(now) {
-    const twoHoursFromNow = new Date(now.getTime() + (2 * 60 * 60 * 1000));
-    const twoHoursBuffer = new Date(now.getTime() + (2 * 60 * 60 * 1000) + (60 * 1000)); // 1 minute buffer
+  async planUpcomingReminders() {
+    if (this.isPlanningReminders) return;
+    this.isPlanningReminders = true;
 
     try {
+      const now = new Date();
+      const windowEnd = new Date(now.getTime() + REMINDER_PLANNING_WINDOW_MS);
       const events = await Event.find({
-        startDate: {
-          $gte: twoHoursFromNow,
-          $lte: twoHoursBuffer
-        },
-        'reminders.sent2h': { $ne: true }, // Haven't sent 2h reminder yet
-        status: { $ne: 'cancelled' }
-      }).populate('participants', 'fcmToken name notificationSettings');
+        status: { $ne: 'cancelled' },
+        $or: [
+          { 'recurrence.frequency': null, startsAt: { $gte: now, $lte: windowEnd } },
+          { 'recurrence.frequency': null, startsAt: null, startDate: { $gte: now, $lte: windowEnd } },
+          {
+            'recurrence.frequency': { $ne: null },
+            startDate: { $lte: new Date(windowEnd.getTime() + DAY_MS) },
+            $or: [
+              { 'recurrence.until': null },
+              { 'recurrence.until': { $gte: new Date(startOfDay(now).getTime() - DAY_MS) } }
+            ]
+          }
+        ]
+      });
 
       for (const event of events) {
-        await this.sendEventReminder(event, '2h');
-        
-        // Mark 2h reminder as sent
-        await Event.findByIdAndUpdate(event._id, {
-          $set: { 'reminders.sent2h': true }
-        });
+        try {
+          await this.scheduleEventReminders(event, now);
+        } catch (error) {
+          console.error(`❌ Error planning reminders for event ${event.title}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error planning reminders:', error.message);
+    } finally {
+      this.isPlanningReminders = false;
+    }
+  }
+
+  /**
+   * Send one queued reminder
+   * The event is read again at send time, so a reminder for an event that was
+   * cancelled, deleted or moved is skipped (or moved) instead of sent.
+   * Throws after recording deliveries when a send failed for a transient reason, so the job is retried
+   * @returns {string|Object} Outcome, or { rescheduleAt } when the event moved
+   */
+  async runReminderJob(job) {
+    const { occurrenceDate } = job.payload;
+    // Jobs queued before reminders became configurable carry a reminderType such as "24h"
+    const offset = normalizeOffset(job.payload.offset || job.payload.reminderType);
+
+    const event = await Event.findById(job.event).populate('participants.user', 'fcmToken devices name notificationSettings');
+    if (!event) return 'skipped: event deleted';
+    if (event.status === 'cancelled') return 'skipped: event cancelled';
+    if (Boolean(occurrenceDate) !== event.isRecurring) return 'skipped: event recurrence changed';
+
+    let occurrence = null;
+    if (occurrenceDate) {
+      const date = parseDateKey(occurrenceDate);
+      [occurrence] = event.getOccurrences({ from: date, to: date, limit: 1 });
+
+      if (!occurrence || occurrence.occurrenceDate !== occurrenceDate || occurrence.status !== 'active') {
+        return 'skipped: occurrence cancelled';
       }
+    }
+
+    const now = new Date();
+    const expectedRunAt = getReminderTime(offset, this.getReminderStartTime(event, occurrence), event.timezone);
+    if (!expectedRunAt) return 'skipped: reminder does not apply';
+    if (Math.abs(expectedRunAt.getTime() - job.scheduledFor.getTime()) > REMINDER_TIME_TOLERANCE_MS && expectedRunAt > now) {
+      return { rescheduleAt: expectedRunAt };
+    }
+
+    // A reminder caught up long after its time (e.g. after an outage) would announce the wrong time
+    if (now.getTime() > expectedRunAt.getTime() + getMaxLateMs(offset)) return 'skipped: too late';
+
+    // Each participant gets the reminders of their own schedule, once
+    const recipients = this.getEligibleParticipants(event, occurrenceDate)
+      .filter(participant => getRecipientOffsets(event, participant.user).includes(offset));
+    const alreadySent = await ReminderDelivery.find({
+      event: event._id,
+      occurrenceDate: occurrenceDate || null,
+      offset,
+      user: { $in: recipients.map(participant => participant.user._id) },
+      status: 'sent'
+    }).distinct('user');
+    const sentIds = new Set(alreadySent.map(String));
+    const pending = recipients.filter(participant => !sentIds.has(participant.user._id.toString()));
+
+    if (pending.length === 0) {
+      return recipients.length === 0 ? 'skipped: no recipients' : 'skipped: already sent';
+    }
 
-      if (events.length > 0) {
-        console.log(`⏰ Sent 2h reminders for ${events.length} events`);
+    const results = await this.sendEventReminder(event, offset, occurrence, pending);
+
+    await ReminderDelivery.bulkWrite(results.map(result => ({
+      updateOne: {
+        filter: { event: event._id, occurrenceDate: occurrenceDate || null, offset, user: result.user },
+        update: {
+          $set: {
+            status: result.success ? 'sent' : 'failed',
+            error: result.error,
+            sentAt: result.success ? now : null
+          }
+        },
+        upsert: true
       }
+    })));
 
-    } catch (error) {
-      console.error('❌ Error checking 2h reminders:', error.message);
+    // Transient failures retry the job; recipients who got the reminder are not sent it again
+    const retryable = results.filter(result => !result.success && isRetryablePushError(result.error));
+    if (retryable.length > 0) {
+      throw new Error(`Reminder failed for ${retryable.length} of ${results.length} recipients (${retryable[0].error})`);
     }
+
+    const sentCount = results.filter(result => result.success).length;
+    return `sent to ${sentCount} of ${results.length} recipients`;
   }
 
   /**
-   * Check for events that need 30-minute reminders
+   * Refresh the stored forecast of upcoming events once it is older than the
+   * freshness policy allows, and alert participants of outdoor events when it
+   * changed significantly
    */
-  async check30MinuteReminders(now) {
-    const thirtyMinutesFromNow = new Date(now.getTime() + (30 * 60 * 1000));
-    const thirtyMinutesBuffer = new Date(now.getTime() + (30 * 60 * 1000) + (60 * 1000)); // 1 minute buffer
+  async refreshEventWeather() {
+    // A slow forecast API must not lead to overlapping runs
+    if (this.isRefreshingWeather) {
+      console.log('⚠️ Weather refresh is already running');
+      return;
+    }
+    this.isRefreshingWeather = true;
 
     try {
+      const now = new Date();
+      const horizon = new Date(now.getTime() + FORECAST_HORIZON_DAYS * 24 * 60 * 60 * 1000);
       const events = await Event.find({
-        startDate: {
-          $gte: thirtyMinutesFromNow,
-          $lte: thirtyMinutesBuffer
-        },
-        'reminders.sent30m': { $ne: true }, // Haven't sent 30m reminder yet
-        status: { $ne: 'cancelled' }
-      }).populate('participants', 'fcmToken name notificationSettings');
-
-      for (const event of events) {
-        await this.sendEventReminder(event, '30m');
-        
-        // Mark 30m reminder as sent
-        await Event.findByIdAndUpdate(event._id, {
-          $set: { 'reminders.sent30m': true }
-        });
+        ...this.getStartWindowFilter(now, horizon),
+        'recurrence.frequency': null, // The stored snapshot only describes one date
+        status: { $ne: 'cancelled' },
+        'location.coordinates.lat': { $ne: null },
+        'location.coordinates.lon': { $ne: null }
+      }).populate('participants.user', 'fcmToken devices name notificationSettings');
+
+      // Freshness depends on how soon each event starts, so it is checked here rather than in the query
+      const staleEvents = events.filter(event => !isForecastFresh(event, now));
+      let alertCount = 0;
+
+      for (const event of staleEvents) {
+        try {
+          const alerted = await this.refreshForecast(event, now);
+          if (alerted) alertCount++;
+        } catch (error) {
+          console.error(`❌ Error refreshing weather for event ${event.title}:`, error.message);
+        }
       }
 
-      if (events.length > 0) {
-        console.log(`🚀 Sent 30m reminders for ${events.length} events`);
+      if (staleEvents.length > 0) {
+        console.log(`🌦️ Refreshed weather for ${staleEvents.length} events, ${alertCount} alerts sent`);
       }
 
     } catch (error) {
-      console.error('❌ Error checking 30m reminders:', error.message);
+      console.error('❌ Error refreshing event weather:', error.message);
+    } finally {
+      this.isRefreshingWeather = false;
+    }
+  }
+
+  /**
+   * Fetch a new forecast for one event, store it and compare it with the previous one
+   * @returns {boolean} Whether a weather alert was sent
+   */
+  async refreshForecast(event, now) {
+    const weatherData = await fetchEventForecast(event);
+    const previous = getStoredForecast(event);
+
+    await Event.updateOne({ _id: event._id }, {
+      $set: { weather: buildWeatherSnapshot(event, weatherData) }
+    });
+
+    const startsAt = event.startsAt || event.startDate;
+    if (!event.isOutdoor || startsAt.getTime() - now.getTime() > WEATHER_ALERT_WINDOW_MS) {
+      return false;
+    }
+
+    const changes = compareEventForecasts(previous, weatherData, event);
+    if (changes.length === 0) {
+      return false;
+    }
+
+    const userIds = event.participants
+      .filter(participant =>
+        participant.user &&
+        participant.status !== 'no' &&
+        participant.user.notificationSettings?.weatherAlerts !== false
+      )
+      .map(participant => participant.user._id);
+
+    if (userIds.length === 0) {
+      console.log(`⚠️ No participants with weather alerts enabled for ${event.title}`);
+      return false;
     }
+
+    await sendWeatherAlertNotification(event._id, userIds, changes);
+    return true;
+  }
+
+  /**
+   * Build the query for one-off events starting inside a reminder window
+   * startsAt carries the event's time zone; older events without it fall back to startDate
+   */
+  getStartWindowFilter(windowStart, windowEnd) {
+    return {
+      $or: [
+        { startsAt: { $gte: windowStart, $lte: windowEnd } },
+        { startsAt: null, startDate: { $gte: windowStart, $lte: windowEnd } }
+      ]
+    };
+  }
+
+  /**
+   * Get participants who should receive reminders (optionally for one occurrence)
+   */
+  getEligibleParticipants(event, occurrenceDate = null) {
+    return event.participants.filter(participant =>
+      participant.user &&
+      hasDevices(participant.user) &&
+      getOccurrenceStatus(participant, occurrenceDate) !== 'no' &&
+      participant.user.notificationSettings?.eventReminders !== false &&
+      participant.user.notificationSettings?.pushNotifications !== false
+    );
   }
 
   /**
    * Send reminder notification for a specific event
+   * Pass an occurrence to remind participants about one date of a recurring event,
+   * and participants to send to a subset of the eligible ones
+   * Throws when the push could not be sent, so a queued reminder is retried
+   * @returns {Array<Object>} One { user, success, error } per participant
    */
-  async sendEventReminder(event, reminderType) {
+  async sendEventReminder(event, reminderType, occurrence = null, participants = null) {
     try {
       // Filter participants who have notifications enabled
-      const eligibleParticipants = event.participants.filter(participant => 
-        participant.fcmToken && 
-        participant.notificationSettings?.eventReminders !== false &&
-        participant.notificationSettings?.pushNotifications !== false
-      );
+      const eligibleParticipants = participants || this.getEligibleParticipants(event, occurrence && occurrence.occurrenceDate);
 
       if (eligibleParticipants.length === 0) {
         console.log(`⚠️ No eligible participants for ${reminderType} reminder: ${event.title}`);
-        return;
+        return [];
       }
 
       // Prepare reminder message based on type
-      const reminderData = this.getReminderMessage(event, reminderType);
-
-      // Send notification to eligible participants
-      const tokens = eligibleParticipants.map(p => p.fcmToken);
-      
-      const { getMessaging } = require('../config/firebase');
-      const messaging = getMessaging();
+      const reminderData = this.getReminderMessage(event, reminderType, occurrence);
 
       const payload = {
         notification: {
@@ -217,7 +500,8 @@ class NotificationScheduler {
           eventTitle: event.title,
           notificationType: `event_reminder_${reminderType}`,
           reminderType: reminderType,
-          eventStartTime: event.startDate.toISOString(),
+          eventStartTime: this.getReminderStartTime(event, occurrence).toISOString(),
+          ...(occurrence && { occurrenceDate: occurrence.occurrenceDate }),
           timestamp: new Date().toISOString()
         },
         android: {
@@ -239,63 +523,89 @@ class NotificationScheduler {
         }
       };
 
-      const response = await messaging.sendMulticast({
-        tokens: tokens,
-        ...payload
-      });
+      // Send notification to every device of the eligible participants; invalid tokens are pruned
+      const response = await sendToUsers(eligibleParticipants.map(p => p.user), payload);
 
       console.log(`📱 ${reminderType} reminder sent for "${event.title}": ${response.successCount} success, ${response.failureCount} failed`);
 
-      // Log failed tokens for cleanup
-      if (response.failureCount > 0) {
-        response.responses.forEach((result, index) => {
-          if (!result.success && result.error?.code === 'messaging/invalid-registration-token') {
-            console.log(`⚠️ Invalid token for participant ${eligibleParticipants[index].name}: ${tokens[index]}`);
-          }
-        });
-      }
-
+      return response.users.map(result => ({
+        user: result.user._id,
+        success: result.success,
+        error: result.success ? null : (result.error || 'unknown')
+      }));
     } catch (error) {
       console.error(`❌ Error sending ${reminderType} reminder for event ${event.title}:`, error.message);
+      throw error;
     }
   }
 
   /**
-   * Get reminder message based on type and event details
+   * Get the start instant a reminder refers to
    */
-  getReminderMessage(event, reminderType) {
-    const eventTime = new Date(event.startDate);
-    const timeString = eventTime.toLocaleTimeString('en-US', { 
-      hour: 'numeric', 
+  getReminderStartTime(event, occurrence = null) {
+    if (occurrence) return new Date(occurrence.startDateTime);
+    return new Date(event.startsAt || event.startDate);
+  }
+
+  /**
+   * Get reminder message based on the offset and event details
+   */
+  getReminderMessage(event, reminderType, occurrence = null) {
+    const eventTime = this.getReminderStartTime(event, occurrence);
+    // Show the time as participants at the venue will see it
+    const timeString = eventTime.toLocaleTimeString('en-US', {
+      hour: 'numeric',
       minute: '2-digit',
-      hour12: true 
+      hour12: true,
+      ...(event.timezone && { timeZone: event.timezone })
     });
 
-    switch (reminderType) {
-      case '24h':
-        return {
-          title: 'Event Tomorrow! 📅',
-          body: `"${event.title}" is tomorrow at ${timeString}. Don't forget to attend!`
-        };
-      
-      case '2h':
-        return {
-          title: 'Event Starting Soon! ⏰',
-          body: `"${event.title}" starts in 2 hours at ${timeString}. Get ready!`
-        };
-      
-      case '30m':
-        return {
-          title: 'Event Starting Very Soon! 🚀',
-          body: `"${event.title}" starts in 30 minutes at ${timeString}. Time to go!`
-        };
-      
-      default:
-        return {
-          title: 'Event Reminder',
-          body: `"${event.title}" is coming up soon!`
-        };
+    if (reminderType === MORNING_OF) {
+      return {
+        title: 'Event Today! ☀️',
+        body: `"${event.title}" is today at ${timeString}. See you there!`
+      };
+    }
+
+    const offsetMs = getOffsetMs(reminderType);
+    if (offsetMs === null) {
+      return {
+        title: 'Event Reminder',
+        body: `"${event.title}" is coming up soon!`
+      };
+    }
+
+    if (offsetMs === DAY_MS) {
+      return {
+        title: 'Event Tomorrow! 📅',
+        body: `"${event.title}" is tomorrow at ${timeString}. Don't forget to attend!`
+      };
+    }
+
+    if (offsetMs > DAY_MS) {
+      const dateString = eventTime.toLocaleDateString('en-US', {
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+        ...(event.timezone && { timeZone: event.timezone })
+      });
+      return {
+        title: 'Event Coming Up! 📅',
+        body: `"${event.title}" is in ${describeLeadTime(offsetMs)}, on ${dateString} at ${timeString}. Save the date!`
+      };
+    }
+
+    if (offsetMs >= HOUR_MS) {
+      return {
+        title: 'Event Starting Soon! ⏰',
+        body: `"${event.title}" starts in ${describeLeadTime(offsetMs)} at ${timeString}. Get ready!`
+      };
     }
+
+    return {
+      title: 'Event Starting Very Soon! 🚀',
+      body: `"${event.title}" starts in ${describeLeadTime(offsetMs)} at ${timeString}. Time to go!`
+    };
   }
 
   /**
@@ -304,10 +614,18 @@ class NotificationScheduler {
   getStatus() {
     return {
       isRunning: this.isRunning,
+      workerId,
       activeJobs: Array.from(this.jobs.keys()),
       uptime: this.isRunning ? Date.now() - this.startTime : 0
     };
   }
+
+  /**
+   * Get the number of queued jobs by status
+   */
+  async getQueueStats() {
+    return await getQueueStats();
+  }
 }
 
 // Create singleton instance
@@ -0,0 +1,234 @@
+const User = require('../models/userModel');
+
+/**
+ * Push delivery to registered devices
+ * A user can be signed in on several devices, each with its own FCM token.
+ * Pushes fan out to every device of every recipient, and tokens Firebase
+ * reports as invalid or no longer registered are removed from their owner
+ * so later sends skip them
+ */
+
+// Firebase accepts at most 500 tokens per multicast
+const MULTICAST_LIMIT = 500;
+
+// Devices kept per user; registering another drops the one seen longest ago
+const MAX_DEVICES = 10;
+
+const DEVICE_PLATFORMS = ['ios', 'android', 'web'];
+
+const INVALID_TOKEN_ERRORS = [
+  'messaging/invalid-registration-token',
+  'messaging/registration-token-not-registered'
+];
+
+/**
+ * Check whether sending to a user again may succeed after a failure
+ * Invalid tokens are pruned and a user without devices has nothing to send to;
+ * other errors (e.g. messaging/unavailable) are transient
+ * @param {string} error - Error code of a failed send
+ * @returns {boolean} True if the send is worth retrying
+ */
+const isRetryablePushError = (error) => error !== 'no_devices' && !INVALID_TOKEN_ERRORS.includes(error);
+
+/**
+ * Get the FCM tokens of a user's devices
+ * @param {Object} user - User with devices (and the legacy fcmToken)
+ * @returns {Array<string>} Tokens
+ */
+const getDeviceTokens = (user) => {
+  if (!user) return [];
+  const tokens = (user.devices || []).map(device => device.token);
+  // Token registered before devices were tracked
+  if (user.fcmToken && !tokens.includes(user.fcmToken)) {
+    tokens.push(user.fcmToken);
+  }
+  return tokens;
+};
+
+/**
+ * Check whether a user can receive pushes
+ * @param {Object} user - User with devices
+ * @returns {boolean} True when at least one device is registered
+ */
+const hasDevices = (user) => getDeviceTokens(user).length > 0;
+
+/**
+ * Register a device for a user, or refresh it when it is already known
+ * A token belongs to the account that signed in on the device last, so it is removed from any other user
+ * @param {Object|string} userId - User ID
+ * @param {Object} device - Device details
+ * @param {string} device.token - FCM registration token
+ * @param {string} device.platform - ios, android or web (optional)
+ * @param {string} device.appVersion - App version (optional)
+ * @returns {Promise<Object>} Updated user
+ */
+const registerDevice = async (userId, { token, platform, appVersion }) => {
+  const now = new Date();
+
+  await Promise.all([
+    User.updateMany({ _id: { $ne: userId }, 'devices.token': token }, { $pull: { devices: { token } } }),
+    // The legacy token of any account, this one included, moves into the device list
+    User.updateMany({ fcmToken: token }, { $set: { fcmToken: null } })
+  ]);
+
+  // Details the app leaves out keep their registered values
+  const refreshed = await User.findOneAndUpdate(
+    { _id: userId, 'devices.token': token },
+    {
+      $set: {
+        ...(platform && { 'devices.$.platform': platform }),
+        ...(appVersion && { 'devices.$.appVersion': appVersion }),
+        'devices.$.lastSeenAt': now
+      }
+    },
+    { new: true, runValidators: true }
+  );
+  if (refreshed) return refreshed;
+
+  // Guarded on the token so two registrations of the same device cannot both add it
+  const added = await User.findOneAndUpdate(
+    { _id: userId, 'devices.token': { $ne: token } },
+    {
+      $push: {
+        devices: {
+          $each: [{ token, platform: platform || 'unknown', appVersion: appVersion || null, lastSeenAt: now, createdAt: now }],
+          $sort: { lastSeenAt: -1 },
+          $slice: MAX_DEVICES
+        }
+      }
+    },
+    { new: true, runValidators: true }
+  );
+  return added || await User.findById(userId);
+};
+
+/**
+ * Remove one of a user's devices (e.g. on sign-out)
+ * @param {Object|string} userId - User ID
+ * @param {string} token - FCM registration token
+ * @returns {Promise<boolean>} Whether a device was removed
+ */
+const removeDevice = async (userId, token) => {
+  const [devices, legacy] = await Promise.all([
+    User.updateOne({ _id: userId, 'devices.token': token }, { $pull: { devices: { token } } }),
+    User.updateOne({ _id: userId, fcmToken: token }, { $set: { fcmToken: null } })
+  ]);
+  return devices.modifiedCount + legacy.modifiedCount > 0;
+};
+
+/**
+ * Remove tokens Firebase no longer accepts from whichever users own them
+ * @param {Array<string>} tokens - Invalid tokens
+ * @returns {Promise<void>}
+ */
+const pruneTokens = async (tokens) => {
+  await Promise.all([
+    User.updateMany({ 'devices.token': { $in: tokens } }, { $pull: { devices: { token: { $in: tokens } } } }),
+    User.updateMany({ fcmToken: { $in: tokens } }, { $set: { fcmToken: null } })
+  ]);
+  console.log(`🧹 Removed ${tokens.length} invalid FCM token(s)`);
+};
+
+/**
+ * Send one message to a list of tokens
+ * @param {Array<string>} tokens - FCM registration tokens
+ * @param {Object} message - notification, data, android and apns parts of the message
+ * @param {Map<string, Object>} dataByToken - Extra data for each token's copy of the message (optional)
+ * @returns {Promise<Object>} { successCount, failureCount, results } with one { token, success, error, messageId } per token
+ */
+const sendToTokens = async (tokens, message, dataByToken = null) => {
+  const { getMessaging } = require('../config/firebase');
+  const messaging = getMessaging();
+  const responses = [];
+
+  for (let index = 0; index < tokens.length; index += MULTICAST_LIMIT) {
+    const batch = tokens.slice(index, index + MULTICAST_LIMIT);
+    let response;
+    if (dataByToken) {
+      // Copies that differ go out as separate messages
+      response = await messaging.sendEach(batch.map(token => ({
+        ...message,
+        token,
+        data: { ...message.data, ...dataByToken.get(token) }
+      })));
+    } else if (typeof messaging.sendEachForMulticast === 'function') {
+      // firebase-admin 13 replaced sendMulticast with sendEachForMulticast
+      response = await messaging.sendEachForMulticast({ ...message, tokens: batch });
+    } else {
+      response = await messaging.sendMulticast({ ...message, tokens: batch });
+    }
+    responses.push(...response.responses);
+  }
+
+  const results = responses.map((result, index) => ({
+    token: tokens[index],
+    success: result.success,
+    error: result.error?.code || null,
+    messageId: result.messageId || null
+  }));
+
+  const invalidTokens = results.filter(result => INVALID_TOKEN_ERRORS.includes(result.error)).map(result => result.token);
+  if (invalidTokens.length > 0) {
+    try {
+      await pruneTokens(invalidTokens);
+    } catch (error) {
+      console.error('❌ Error removing invalid FCM tokens:', error.message);
+    }
+  }
+
+  const successCount = results.filter(result => result.success).length;
+  return { successCount, failureCount: results.length - successCount, results };
+};
+
+/**
+ * Send one message to every device of each user
+ * @param {Array<Object>} users - Recipients with devices
+ * @param {Object} message - notification, data, android and apns parts of the message
+ * @param {Function} getUserData - Returns extra data (string values) for a user's copy of the message (optional)
+ * @returns {Promise<Object>} Device counts and results, plus users: one { user, success, error, messageId } per recipient (success when any device got it)
+ */
+const sendToUsers = async (users, message, getUserData = null) => {
+  const owners = new Map();
+  users.forEach(user => getDeviceTokens(user).forEach(token => {
+    if (!owners.has(token)) owners.set(token, user);
+  }));
+
+  const tokens = [...owners.keys()];
+  const dataByToken = getUserData
+    ? new Map(tokens.map(token => [token, getUserData(owners.get(token))]))
+    : null;
+  const response = tokens.length > 0
+    ? await sendToTokens(tokens, message, dataByToken)
+    : { successCount: 0, failureCount: 0, results: [] };
+
+  const resultsByUser = new Map(users.map(user => [user, []]));
+  response.results.forEach(result => resultsByUser.get(owners.get(result.token)).push(result));
+
+  return {
+    ...response,
+    users: users.map(user => {
+      const deviceResults = resultsByUser.get(user);
+      const delivered = deviceResults.find(result => result.success);
+      // A transient error on one device outweighs an invalid token on another, so the send is retried
+      const failure = deviceResults.find(result => isRetryablePushError(result.error)) || deviceResults[0];
+      return {
+        user,
+        success: !!delivered,
+        error: delivered ? null : (failure?.error || 'no_devices'),
+        messageId: delivered ? delivered.messageId : null
+      };
+    })
+  };
+};
+
+module.exports = {
+  MAX_DEVICES,
+  DEVICE_PLATFORMS,
+  getDeviceTokens,
+  hasDevices,
+  isRetryablePushError,
+  registerDevice,
+  removeDevice,
+  sendToTokens,
+  sendToUsers
+};
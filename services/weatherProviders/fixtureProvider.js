@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const AppError = require('../../utils/appError');
+const { toDateKey, parseDateKey } = require('../../utils/recurrence');
+
+/**
+ * Fixture-backed weather provider for tests and offline development
+ * Reads a list of sample days from a JSON file (WEATHER_FIXTURE_FILE, or the
+ * bundled fixtures/weather.json) and cycles through them by date, so the same
+ * date always gets the same weather. Hourly values follow a daily temperature
+ * curve between the day's minimum (03:00) and maximum (15:00)
+ */
+
+const DEFAULT_FIXTURE_FILE = path.join(__dirname, 'fixtures', 'weather.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let fixture = null;
+
+/**
+ * Load the fixture file once
+ * @returns {Object} Parsed fixture ({ timezone, days })
+ */
+const loadFixture = () => {
+  if (!fixture) {
+    const file = process.env.WEATHER_FIXTURE_FILE || DEFAULT_FIXTURE_FILE;
+    fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(fixture.days) || fixture.days.length === 0) {
+      throw new Error(`Weather fixture ${file} has no days`);
+    }
+  }
+  return fixture;
+};
+
+/**
+ * Validate a request the way the real API would
+ * @param {Object} params - Request parameters
+ * @returns {Array<string>} Date keys from startDate to endDate
+ */
+const getRequestedDates = ({ lat, lon, startDate, endDate }) => {
+  if (!(lat >= -90 && lat <= 90) || !(lon >= -180 && lon <= 180)) {
+    throw new AppError('Invalid coordinates', 400);
+  }
+
+  const start = parseDateKey(startDate);
+  const end = parseDateKey(endDate);
+  if (!start || !end || start > end) {
+    throw new AppError('Invalid date range', 400);
+  }
+
+  const dates = [];
+  for (let day = start.getTime(); day <= end.getTime(); day += DAY_MS) {
+    dates.push(toDateKey(new Date(day)));
+  }
+  return dates;
+};
+
+/**
+ * Pick the sample day used for a date
+ * @param {string} date - Date key
+ * @returns {Object} Fixture day
+ */
+const getFixtureDay = (date) => {
+  const { days } = loadFixture();
+  const dayNumber = Math.floor(parseDateKey(date).getTime() / DAY_MS);
+  return days[dayNumber % days.length];
+};
+
+/**
+ * Get the forecast for a location
+ * @param {Object} params - Request parameters ({ lat, lon, startDate, endDate, timezone })
+ * @returns {Promise<Object>} Normalized forecast ({ timezone, daily, hourly })
+ */
+const getForecast = async (params) => {
+  const dates = getRequestedDates(params);
+  const hourly = [];
+
+  const daily = dates.map(date => {
+    const day = getFixtureDay(date);
+
+    for (let hour = 0; hour < 24; hour++) {
+      const warmth = (1 + Math.cos((2 * Math.PI * (hour - 15)) / 24)) / 2;
+      hourly.push({
+        time: `${date}T${String(hour).padStart(2, '0')}:00`,
+        temperature: Math.round((day.minTemp + (day.maxTemp - day.minTemp) * warmth) * 10) / 10,
+        humidity: day.humidity,
+        precipitationProbability: day.precipitationProbability,
+        weatherCode: day.weatherCode,
+        windSpeed: day.windSpeed
+      });
+    }
+
+    return {
+      date: date,
+      maxTemp: day.maxTemp,
+      minTemp: day.minTemp,
+      precipitationProbability: day.precipitationProbability,
+      weatherCode: day.weatherCode
+    };
+  });
+
+  return {
+    timezone: params.timezone && params.timezone !== 'auto' ? params.timezone : loadFixture().timezone,
+    daily,
+    hourly
+  };
+};
+
+/**
+ * Get the observed daily weather for a past date range
+ * @param {Object} params - Request parameters ({ lat, lon, startDate, endDate, timezone })
+ * @returns {Promise<Object>} Normalized history ({ timezone, daily }) with precipitation in mm
+ */
+const getHistory = async (params) => {
+  const dates = getRequestedDates(params);
+
+  return {
+    timezone: params.timezone && params.timezone !== 'auto' ? params.timezone : loadFixture().timezone,
+    daily: dates.map(date => {
+      const day = getFixtureDay(date);
+      return {
+        date: date,
+        maxTemp: day.maxTemp,
+        minTemp: day.minTemp,
+        precipitation: day.precipitation || 0,
+        weatherCode: day.weatherCode
+      };
+    })
+  };
+};
+
+module.exports = {
+  name: 'fixture',
+  getForecast,
+  getHistory
+};
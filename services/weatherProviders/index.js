@@ -0,0 +1,30 @@
+/**
+ * Weather provider selection
+ * A provider exposes getForecast and getHistory and returns normalized data
+ * (see openMeteoProvider.js); WEATHER_PROVIDER picks one, default open-meteo
+ */
+
+const PROVIDERS = {
+  'open-meteo': () => require('./openMeteoProvider'),
+  fixture: () => require('./fixtureProvider')
+};
+
+const DEFAULT_PROVIDER = 'open-meteo';
+
+/**
+ * Get the configured weather provider
+ * @returns {Object} Provider ({ name, getForecast, getHistory })
+ */
+const getWeatherProvider = () => {
+  const name = process.env.WEATHER_PROVIDER || DEFAULT_PROVIDER;
+  const loadProvider = PROVIDERS[name];
+
+  if (!loadProvider) {
+    throw new Error(`Unknown WEATHER_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return loadProvider();
+};
+
+module.exports = {
+  getWeatherProvider
+};
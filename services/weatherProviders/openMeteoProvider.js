@@ -0,0 +1,91 @@
+const axios = require('axios');
+
+/**
+ * Open-Meteo weather provider
+ * Forecasts come from the forecast API (up to 16 days ahead) and past
+ * weather from the historical archive; neither needs an API key
+ */
+
+const FORECAST_URL = 'https://api.open-meteo.com/v1/forecast';
+const ARCHIVE_URL = 'https://archive-api.open-meteo.com/v1/archive';
+const HOURLY_FIELDS = 'temperature_2m,relative_humidity_2m,precipitation_probability,weather_code,wind_speed_10m';
+const DAILY_FIELDS = 'temperature_2m_max,temperature_2m_min,precipitation_probability_max,weather_code';
+const ARCHIVE_DAILY_FIELDS = 'temperature_2m_max,temperature_2m_min,precipitation_sum,weather_code';
+
+/**
+ * Get the forecast for a location
+ * @param {Object} params - Request parameters
+ * @param {number} params.lat - Latitude
+ * @param {number} params.lon - Longitude
+ * @param {string} params.startDate - First day (YYYY-MM-DD)
+ * @param {string} params.endDate - Last day (YYYY-MM-DD)
+ * @param {string} params.timezone - IANA time zone for the returned times, or 'auto'
+ * @returns {Promise<Object>} Normalized forecast ({ timezone, daily, hourly })
+ */
+const getForecast = async ({ lat, lon, startDate, endDate, timezone = 'auto' }) => {
+  const { data } = await axios.get(FORECAST_URL, {
+    params: {
+      latitude: lat,
+      longitude: lon,
+      start_date: startDate,
+      end_date: endDate,
+      hourly: HOURLY_FIELDS,
+      daily: DAILY_FIELDS,
+      timezone
+    }
+  });
+
+  return {
+    timezone: data.timezone || null,
+    daily: data.daily?.time?.map((date, index) => ({
+      date: date,
+      maxTemp: data.daily.temperature_2m_max[index],
+      minTemp: data.daily.temperature_2m_min[index],
+      precipitationProbability: data.daily.precipitation_probability_max[index],
+      weatherCode: data.daily.weather_code[index]
+    })) || [],
+    hourly: data.hourly?.time?.map((time, index) => ({
+      time: time,
+      temperature: data.hourly.temperature_2m[index],
+      humidity: data.hourly.relative_humidity_2m[index],
+      precipitationProbability: data.hourly.precipitation_probability[index],
+      weatherCode: data.hourly.weather_code[index],
+      windSpeed: data.hourly.wind_speed_10m[index]
+    })) || []
+  };
+};
+
+/**
+ * Get the observed daily weather for a past date range
+ * @param {Object} params - Request parameters (as for getForecast)
+ * @returns {Promise<Object>} Normalized history ({ timezone, daily }) with precipitation in mm
+ */
+const getHistory = async ({ lat, lon, startDate, endDate, timezone = 'auto' }) => {
+  const { data } = await axios.get(ARCHIVE_URL, {
+    params: {
+      latitude: lat,
+      longitude: lon,
+      start_date: startDate,
+      end_date: endDate,
+      daily: ARCHIVE_DAILY_FIELDS,
+      timezone
+    }
+  });
+
+  return {
+    timezone: data.timezone || null,
+    daily: data.daily?.time?.map((date, index) => ({
+      date: date,
+      maxTemp: data.daily.temperature_2m_max[index],
+      minTemp: data.daily.temperature_2m_min[index],
+      precipitation: data.daily.precipitation_sum[index],
+      weatherCode: data.daily.weather_code[index]
+    })) || []
+  };
+};
+
+module.exports = {
+  name: 'open-meteo',
+  getForecast,
+  getHistory
+};
@@ -0,0 +1,484 @@
+const { toDateKey } = require('../utils/recurrence');
+const { getWeatherProvider } = require('./weatherProviders');
+
+// Hours of forecast that describe an event without an end time
+const DEFAULT_EVENT_HOURS = 3;
+
+// Forecasts are only requested for events this close
+const FORECAST_HORIZON_DAYS = 10;
+
+// Climatology ("typical weather") for dates beyond the forecast horizon
+const CLIMATOLOGY_YEARS = 10;
+const CLIMATOLOGY_WINDOW_DAYS = 3; // days either side of each date that count as the same time of year
+const CLIMATOLOGY_MAX_DAYS = 31;
+const WET_DAY_PRECIPITATION_MM = 1; // a day with at least this much precipitation counts as a rainy day
+const ARCHIVE_DELAY_DAYS = 7; // the archive lags a few days behind today
+
+// How old a stored forecast may get, by how soon the event starts
+const HOUR_MS = 60 * 60 * 1000;
+const FRESHNESS_POLICY = [
+  { startsWithin: 24 * HOUR_MS, maxAge: 1 * HOUR_MS },
+  { startsWithin: 3 * 24 * HOUR_MS, maxAge: 3 * HOUR_MS },
+  { startsWithin: Infinity, maxAge: 12 * HOUR_MS }
+];
+
+// What counts as a significant change between two forecasts
+const ALERT_THRESHOLDS = {
+  precipitationProbability: 30, // percentage points
+  temperature: 5 // °C
+};
+
+// Weather code groups, from calm to severe; changes between the calm ones are not worth an alert
+const CONDITION_GROUPS = [
+  { name: 'clear', codes: [0, 1] },
+  { name: 'cloudy', codes: [2, 3] },
+  { name: 'fog', codes: [45, 48] },
+  { name: 'drizzle', codes: [51, 53, 55, 56, 57] },
+  { name: 'rain', codes: [61, 63, 65, 66, 67, 80, 81, 82] },
+  { name: 'snow', codes: [71, 73, 75, 77, 85, 86] },
+  { name: 'thunderstorm', codes: [95, 96, 99] }
+];
+const CALM_CONDITIONS = ['clear', 'cloudy', 'fog'];
+
+const WEATHER_CODES = {
+  0: 'Clear sky',
+  1: 'Mainly clear',
+  2: 'Partly cloudy',
+  3: 'Overcast',
+  45: 'Foggy',
+  48: 'Depositing rime fog',
+  51: 'Light drizzle',
+  53: 'Moderate drizzle',
+  55: 'Dense drizzle',
+  56: 'Light freezing drizzle',
+  57: 'Dense freezing drizzle',
+  61: 'Slight rain',
+  63: 'Moderate rain',
+  65: 'Heavy rain',
+  66: 'Light freezing rain',
+  67: 'Heavy freezing rain',
+  71: 'Slight snow fall',
+  73: 'Moderate snow fall',
+  75: 'Heavy snow fall',
+  77: 'Snow grains',
+  80: 'Slight rain showers',
+  81: 'Moderate rain showers',
+  82: 'Violent rain showers',
+  85: 'Slight snow showers',
+  86: 'Heavy snow showers',
+  95: 'Thunderstorm',
+  96: 'Thunderstorm with slight hail',
+  99: 'Thunderstorm with heavy hail'
+};
+
+/**
+ * Convert a WMO weather code to a description
+ * @param {number} code - Weather code
+ * @returns {string} Description
+ */
+const getWeatherDescription = (code) => WEATHER_CODES[code] || 'Unknown';
+
+/**
+ * Add weather descriptions to normalized daily or hourly entries
+ * @param {Array<Object>} entries - Entries with a weatherCode
+ * @returns {Array<Object>} Entries with weatherDescription
+ */
+const describeWeather = (entries) => entries.map(entry => ({
+  ...entry,
+  weatherDescription: getWeatherDescription(entry.weatherCode)
+}));
+
+/**
+ * Fetch the forecast for a location from the configured provider
+ * @param {Object} params - Request parameters
+ * @param {number} params.lat - Latitude
+ * @param {number} params.lon - Longitude
+ * @param {string} params.startDate - First day (YYYY-MM-DD)
+ * @param {string} params.endDate - Last day (YYYY-MM-DD)
+ * @param {string} params.timezone - IANA time zone for the returned times, or 'auto'
+ * @returns {Promise<Object>} Weather data labelled with source 'forecast'
+ */
+const fetchForecast = async ({ lat, lon, startDate, endDate, timezone = 'auto' }) => {
+  const provider = getWeatherProvider();
+  const forecast = await provider.getForecast({ lat, lon, startDate, endDate, timezone });
+
+  return {
+    source: 'forecast',
+    provider: provider.name,
+    timezone: forecast.timezone || null,
+    location: {
+      lat: lat,
+      lon: lon
+    },
+    dateRange: {
+      start: startDate,
+      end: endDate
+    },
+    daily: describeWeather(forecast.daily),
+    hourly: describeWeather(forecast.hourly)
+  };
+};
+
+/**
+ * Fetch the forecast for an event (or one occurrence of it)
+ * Hourly times are returned in the event's time zone
+ * @param {Object} event - Event document
+ * @param {Object} options - Fetch options
+ * @param {Object} options.dates - { startDate, endDate } to forecast (defaults to the event's)
+ * @param {string} options.occurrenceDate - Occurrence key, recorded in the result
+ * @returns {Promise<Object>} Weather data as returned by GET /weather/event/:eventId
+ */
+const fetchEventForecast = async (event, options = {}) => {
+  const dates = options.dates || { startDate: event.startDate, endDate: event.endDate };
+  const startDate = toDateKey(dates.startDate);
+  const endDate = dates.endDate ? toDateKey(dates.endDate) : startDate;
+
+  const weatherData = await fetchForecast({
+    lat: event.location.coordinates.lat,
+    lon: event.location.coordinates.lon,
+    startDate,
+    endDate,
+    timezone: event.timezone || 'auto'
+  });
+
+  return {
+    ...weatherData,
+    eventId: event._id,
+    eventTitle: event.title,
+    occurrenceDate: options.occurrenceDate || null,
+    timezone: weatherData.timezone || event.timezone || null,
+    location: {
+      name: event.location.name,
+      ...weatherData.location
+    }
+  };
+};
+
+/**
+ * Shift a date key by whole years and days
+ * @param {string} key - Date key (YYYY-MM-DD)
+ * @param {number} years - Years to add (negative to go back)
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Shifted date key
+ */
+const shiftDateKey = (key, years, days = 0) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return toDateKey(new Date(Date.UTC(year + years, month - 1, day + days)));
+};
+
+/**
+ * Average a list of numbers to one decimal
+ * @param {Array<number>} values - Numbers to average
+ * @returns {number|null} Average, or null for an empty list
+ */
+const average = (values) => {
+  if (values.length === 0) return null;
+  return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10;
+};
+
+/**
+ * Summarize past days into the typical weather for one date
+ * @param {string} date - Date key the summary describes
+ * @param {Array<Object>} samples - Historical days around that date
+ * @returns {Object} Daily entry shaped like a forecast day
+ */
+const summarizeClimatologyDay = (date, samples) => {
+  const codeCounts = new Map();
+  samples.forEach(sample => {
+    if (sample.weatherCode != null) {
+      codeCounts.set(sample.weatherCode, (codeCounts.get(sample.weatherCode) || 0) + 1);
+    }
+  });
+  const [weatherCode = null] = [...codeCounts.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+  const wetDays = samples.filter(sample => sample.precipitation >= WET_DAY_PRECIPITATION_MM).length;
+
+  return {
+    date: date,
+    maxTemp: average(samples.map(sample => sample.maxTemp)),
+    minTemp: average(samples.map(sample => sample.minTemp)),
+    precipitationProbability: samples.length ? Math.round((wetDays / samples.length) * 100) : null,
+    precipitationSum: average(samples.map(sample => sample.precipitation || 0)),
+    weatherCode: weatherCode,
+    weatherDescription: weatherCode === null ? 'Unknown' : getWeatherDescription(weatherCode),
+    sampleDays: samples.length
+  };
+};
+
+/**
+ * Estimate the typical weather for dates beyond the forecast horizon
+ * Each day averages the same time of year (± a few days) over the last
+ * CLIMATOLOGY_YEARS years that are fully in the archive
+ * @param {Object} params - Request parameters
+ * @param {number} params.lat - Latitude
+ * @param {number} params.lon - Longitude
+ * @param {string} params.startDate - First day (YYYY-MM-DD)
+ * @param {string} params.endDate - Last day (YYYY-MM-DD), at most CLIMATOLOGY_MAX_DAYS after startDate
+ * @param {string} params.timezone - IANA time zone the days are counted in, or 'auto'
+ * @returns {Promise<Object>} Weather data labelled with source 'climatology'; hourly is always empty
+ */
+const fetchClimatology = async ({ lat, lon, startDate, endDate, timezone = 'auto' }) => {
+  const dates = [];
+  for (let date = startDate; date <= endDate; date = shiftDateKey(date, 0, 1)) {
+    dates.push(date);
+  }
+
+  // Use the most recent years whose window has already reached the archive
+  const archiveEnd = toDateKey(new Date(Date.now() - ARCHIVE_DELAY_DAYS * 24 * HOUR_MS));
+  let firstYearBack = 1;
+  while (shiftDateKey(endDate, -firstYearBack, CLIMATOLOGY_WINDOW_DAYS) > archiveEnd) {
+    firstYearBack++;
+  }
+  const lastYearBack = firstYearBack + CLIMATOLOGY_YEARS - 1;
+
+  const provider = getWeatherProvider();
+  const data = await provider.getHistory({
+    lat,
+    lon,
+    startDate: shiftDateKey(startDate, -lastYearBack, -CLIMATOLOGY_WINDOW_DAYS),
+    endDate: shiftDateKey(endDate, -firstYearBack, CLIMATOLOGY_WINDOW_DAYS),
+    timezone
+  });
+
+  const history = new Map(data.daily.map(day => [day.date, day]));
+
+  const daily = dates.map(date => {
+    const samples = [];
+    for (let yearsBack = firstYearBack; yearsBack <= lastYearBack; yearsBack++) {
+      for (let offset = -CLIMATOLOGY_WINDOW_DAYS; offset <= CLIMATOLOGY_WINDOW_DAYS; offset++) {
+        const sample = history.get(shiftDateKey(date, -yearsBack, offset));
+        if (sample && sample.maxTemp != null && sample.minTemp != null) {
+          samples.push(sample);
+        }
+      }
+    }
+    return summarizeClimatologyDay(date, samples);
+  });
+
+  return {
+    source: 'climatology',
+    provider: provider.name,
+    timezone: data.timezone || null,
+    location: {
+      lat: lat,
+      lon: lon
+    },
+    dateRange: {
+      start: startDate,
+      end: endDate
+    },
+    climatology: {
+      fromYear: Number(shiftDateKey(startDate, -lastYearBack).slice(0, 4)),
+      toYear: Number(shiftDateKey(endDate, -firstYearBack).slice(0, 4)),
+      windowDays: CLIMATOLOGY_WINDOW_DAYS,
+      note: 'Typical weather for this time of year based on historical averages, not a forecast'
+    },
+    daily,
+    hourly: []
+  };
+};
+
+/**
+ * Estimate the typical weather for an event (or one occurrence of it) beyond the forecast horizon
+ * @param {Object} event - Event document
+ * @param {Object} options - Fetch options
+ * @param {Object} options.dates - { startDate, endDate } to estimate (defaults to the event's)
+ * @param {string} options.occurrenceDate - Occurrence key, recorded in the result
+ * @returns {Promise<Object>} Climatology weather data with the event fields of fetchEventForecast
+ */
+const fetchEventClimatology = async (event, options = {}) => {
+  const dates = options.dates || { startDate: event.startDate, endDate: event.endDate };
+  const startDate = toDateKey(dates.startDate);
+  // Long events are capped to their first CLIMATOLOGY_MAX_DAYS days
+  const lastDate = shiftDateKey(startDate, 0, CLIMATOLOGY_MAX_DAYS - 1);
+  const endDate = dates.endDate ? toDateKey(dates.endDate) : startDate;
+
+  const weatherData = await fetchClimatology({
+    lat: event.location.coordinates.lat,
+    lon: event.location.coordinates.lon,
+    startDate,
+    endDate: endDate < lastDate ? endDate : lastDate,
+    timezone: event.timezone || 'auto'
+  });
+
+  return {
+    ...weatherData,
+    eventId: event._id,
+    eventTitle: event.title,
+    occurrenceDate: options.occurrenceDate || null,
+    location: {
+      name: event.location.name,
+      ...weatherData.location
+    }
+  };
+};
+
+/**
+ * Get the forecast stored on an event
+ * The schema types weather.forecast as an array, so a saved snapshot comes back wrapped in one
+ * @param {Object} event - Event document
+ * @returns {Object|null} Stored weather data, or null when there is none
+ */
+const getStoredForecast = (event) => {
+  const forecast = event.weather && event.weather.forecast;
+  const snapshot = Array.isArray(forecast) ? forecast[0] : forecast;
+  return snapshot && snapshot.dateRange ? snapshot : null;
+};
+
+/**
+ * Get how old the stored forecast of an event may be before it is refreshed
+ * @param {Object} event - Event document
+ * @param {Date} now - Current time
+ * @returns {number} Maximum age in milliseconds
+ */
+const getForecastMaxAge = (event, now = new Date()) => {
+  const startsIn = (event.startsAt || event.startDate).getTime() - now.getTime();
+  return FRESHNESS_POLICY.find(rule => startsIn <= rule.startsWithin).maxAge;
+};
+
+/**
+ * Check whether the stored forecast of an event can be served as is
+ * It must describe the event's current start date and coordinates and be
+ * younger than the freshness policy allows
+ * @param {Object} event - Event document
+ * @param {Date} now - Current time
+ * @returns {boolean} Whether the stored forecast is fresh
+ */
+const isForecastFresh = (event, now = new Date()) => {
+  const snapshot = getStoredForecast(event);
+  const { lastUpdated, location } = event.weather || {};
+  if (!snapshot || !lastUpdated || !location) return false;
+
+  const { lat, lon } = event.location.coordinates;
+  if (location.lat !== lat || location.lon !== lon) return false;
+  if (snapshot.dateRange.start !== toDateKey(event.startDate)) return false;
+
+  return now.getTime() - lastUpdated.getTime() <= getForecastMaxAge(event, now);
+};
+
+/**
+ * Build the weather snapshot stored on an event
+ * @param {Object} event - Event document
+ * @param {Object} weatherData - Weather data from fetchEventForecast
+ * @returns {Object} Value for event.weather
+ */
+const buildWeatherSnapshot = (event, weatherData) => ({
+  forecast: weatherData,
+  lastUpdated: new Date(),
+  location: {
+    lat: event.location.coordinates.lat,
+    lon: event.location.coordinates.lon
+  }
+});
+
+/**
+ * Get the condition group of a weather code
+ * @param {number} code - Weather code
+ * @returns {Object} Condition group with its severity index
+ */
+const getConditionGroup = (code) => {
+  const index = CONDITION_GROUPS.findIndex(group => group.codes.includes(code));
+  return { name: index === -1 ? 'unknown' : CONDITION_GROUPS[index].name, severity: index };
+};
+
+/**
+ * Summarize the forecast for the hours the event takes place
+ * @param {Object} weatherData - Stored or fetched event weather data
+ * @param {Object} event - Event document
+ * @returns {Object|null} Rain chance, temperature range and worst conditions, or null without data
+ */
+const summarizeEventWeather = (weatherData, event) => {
+  if (!weatherData || !Array.isArray(weatherData.hourly)) return null;
+
+  // Hourly times are local "YYYY-MM-DDTHH:MM" strings, so they compare as text
+  const startKey = `${toDateKey(event.startDate)}T${event.startTime.padStart(5, '0').slice(0, 2)}:00`;
+  const endKey = event.endTime
+    ? `${toDateKey(event.endDate || event.startDate)}T${event.endTime.padStart(5, '0')}`
+    : null;
+
+  let hours = weatherData.hourly.filter(hour => hour.time >= startKey && (!endKey || hour.time <= endKey));
+  if (!endKey) {
+    hours = hours.slice(0, DEFAULT_EVENT_HOURS);
+  }
+  hours = hours.filter(hour => hour.temperature != null);
+  if (hours.length === 0) return null;
+
+  const temperatures = hours.map(hour => hour.temperature);
+  const worst = hours.reduce((current, hour) =>
+    getConditionGroup(hour.weatherCode).severity > getConditionGroup(current.weatherCode).severity ? hour : current
+  );
+
+  return {
+    precipitationProbability: Math.max(...hours.map(hour => hour.precipitationProbability || 0)),
+    minTemp: Math.min(...temperatures),
+    maxTemp: Math.max(...temperatures),
+    weatherCode: worst.weatherCode,
+    weatherDescription: getWeatherDescription(worst.weatherCode)
+  };
+};
+
+/**
+ * Compare two forecasts for an event and describe the significant changes
+ * @param {Object} previous - Previously stored weather data
+ * @param {Object} next - Freshly fetched weather data
+ * @param {Object} event - Event document
+ * @returns {Array<Object>} Changes ({ type, message }); empty when nothing changed significantly
+ */
+const compareEventForecasts = (previous, next, event) => {
+  // A forecast for other dates or another place can't be compared
+  if (!previous || !previous.dateRange || previous.dateRange.start !== next.dateRange.start ||
+      !previous.location || previous.location.lat !== next.location.lat || previous.location.lon !== next.location.lon) {
+    return [];
+  }
+
+  const before = summarizeEventWeather(previous, event);
+  const after = summarizeEventWeather(next, event);
+  if (!before || !after) return [];
+
+  const changes = [];
+
+  const rainDelta = after.precipitationProbability - before.precipitationProbability;
+  if (Math.abs(rainDelta) >= ALERT_THRESHOLDS.precipitationProbability) {
+    changes.push({
+      type: 'precipitation',
+      message: `Chance of rain ${rainDelta > 0 ? 'up' : 'down'} to ${after.precipitationProbability}% (was ${before.precipitationProbability}%)`
+    });
+  }
+
+  const beforeAverage = (before.minTemp + before.maxTemp) / 2;
+  const afterAverage = (after.minTemp + after.maxTemp) / 2;
+  if (Math.abs(afterAverage - beforeAverage) >= ALERT_THRESHOLDS.temperature) {
+    changes.push({
+      type: 'temperature',
+      message: `${afterAverage > beforeAverage ? 'Warmer' : 'Colder'} than expected: ${Math.round(after.minTemp)}–${Math.round(after.maxTemp)}°C (was ${Math.round(before.minTemp)}–${Math.round(before.maxTemp)}°C)`
+    });
+  }
+
+  const beforeCondition = getConditionGroup(before.weatherCode);
+  const afterCondition = getConditionGroup(after.weatherCode);
+  if (beforeCondition.name !== afterCondition.name &&
+      !(CALM_CONDITIONS.includes(beforeCondition.name) && CALM_CONDITIONS.includes(afterCondition.name))) {
+    changes.push({
+      type: 'conditions',
+      message: `Now expecting ${after.weatherDescription.toLowerCase()} (was ${before.weatherDescription.toLowerCase()})`
+    });
+  }
+
+  return changes;
+};
+
+module.exports = {
+  ALERT_THRESHOLDS,
+  FORECAST_HORIZON_DAYS,
+  CLIMATOLOGY_MAX_DAYS,
+  getWeatherDescription,
+  fetchForecast,
+  fetchEventForecast,
+  fetchClimatology,
+  fetchEventClimatology,
+  getStoredForecast,
+  getForecastMaxAge,
+  isForecastFresh,
+  buildWeatherSnapshot,
+  summarizeEventWeather,
+  compareEventForecasts
+};
@@ -47,6 +47,10 @@ const options = {
               format: 'email',
               description: 'User email address'
             },
+            emailVerified: {
+              type: 'boolean',
+              description: 'Whether the email address has been confirmed (false blocks public events and announcements)'
+            },
             avatar: {
               type: 'object',
               properties: {
@@ -90,7 +94,14 @@ const options = {
             },
             fcmToken: {
               type: 'string',
-              description: 'Firebase Cloud Messaging token for push notifications'
+              description: 'Legacy single FCM token, from before devices were tracked'
+            },
+            devices: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/Device'
+              },
+              description: 'Devices registered for push notifications'
             },
             notificationSettings: {
               type: 'object',
@@ -114,10 +125,58 @@ const options = {
                   type: 'boolean',
                   description: 'Enable push notifications',
                   default: true
+                },
+                reminderOffsets: {
+                  type: 'array',
+                  items: {
+                    type: 'string'
+                  },
+                  description: 'Personal reminder schedule used instead of each event\'s; unset follows the host',
+                  example: ['morning_of']
+                },
+                quietHours: {
+                  type: 'object',
+                  properties: {
+                    enabled: {
+                      type: 'boolean',
+                      default: false
+                    },
+                    start: {
+                      type: 'string',
+                      description: 'Start time (HH:MM)',
+                      default: '22:00'
+                    },
+                    end: {
+                      type: 'string',
+                      description: 'End time (HH:MM)',
+                      default: '07:00'
+                    }
+                  },
+                  description: 'Non-urgent pushes in this window are held and sent as one digest when it ends'
+                },
+                timezone: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'IANA time zone for quiet hours and digest emails (UTC when unset)',
+                  example: 'Europe/Berlin'
+                },
+                emailDigest: {
+                  type: 'string',
+                  enum: ['off', 'daily', 'weekly'],
+                  description: 'Email summary of unread notifications',
+                  default: 'off'
                 }
               },
               description: 'User notification preferences'
             },
+            followedCategories: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Event category IDs the user follows; they rank higher in the for-you feed',
+              example: ['music', 'outdoors']
+            },
             createdAt: {
               type: 'string',
               format: 'date-time'
@@ -220,13 +279,31 @@ const options = {
                 display_name: {
                   type: 'string',
                   description: 'Display name from LocationIQ'
+                },
+                geo: {
+                  type: 'object',
+                  description: 'GeoJSON point derived from the coordinates (read-only)',
+                  properties: {
+                    type: { type: 'string', example: 'Point' },
+                    coordinates: {
+                      type: 'array',
+                      items: { type: 'number' },
+                      description: '[lon, lat]',
+                      example: [-74.006, 40.7128]
+                    }
+                  }
                 }
               },
               description: 'Event location with detailed information'
             },
             maxParticipants: {
               type: 'number',
-              description: 'Maximum number of participants allowed'
+              description: 'Maximum confirmed headcount allowed (participants plus their plus-ones)'
+            },
+            plusOneLimit: {
+              type: 'integer',
+              description: 'How many plus-ones each participant may bring (0 disables plus-ones)',
+              default: 0
             },
             participants: {
               type: 'array',
@@ -235,6 +312,28 @@ const options = {
               },
               description: 'Array of participants with RSVP status'
             },
+            roles: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  user: { type: 'string' },
+                  role: { type: 'string', enum: ['co-host', 'moderator'] }
+                }
+              },
+              description: 'Granted event roles; the creator is the owner and other participants are guests'
+            },
+            waitlist: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  user: { type: 'string' },
+                  joinedAt: { type: 'string', format: 'date-time' }
+                }
+              },
+              description: 'Users waiting for a seat once maxParticipants confirmed, in promotion order'
+            },
             imageAlbum: {
               type: 'array',
               items: {
@@ -242,31 +341,13 @@ const options = {
               },
               description: 'Event photo album'
             },
-            reminders: {
-              type: 'object',
-              properties: {
-                sent24h: {
-                  type: 'boolean',
-                  description: 'Whether 24-hour reminder was sent',
-                  default: false
-                },
-                sent2h: {
-                  type: 'boolean',
-                  description: 'Whether 2-hour reminder was sent',
-                  default: false
-                },
-                sent30m: {
-                  type: 'boolean',
-                  description: 'Whether 30-minute reminder was sent',
-                  default: false
-                },
-                lastChecked: {
-                  type: 'string',
-                  format: 'date-time',
-                  description: 'Last time reminders were checked'
-                }
+            reminderOffsets: {
+              type: 'array',
+              items: {
+                type: 'string'
               },
-              description: 'Event reminder tracking'
+              description: 'When participants are reminded: lead times such as 30m, 2h, 1d, 1w, or morning_of (08:00 on the day, event time zone). Empty turns reminders off for participants without a personal schedule',
+              example: ['1d', '2h', '30m']
             },
             status: {
               type: 'string',
@@ -276,7 +357,8 @@ const options = {
             },
             creator: {
               type: 'string',
-              description: 'User ID of the event creator'
+              nullable: true,
+              description: 'User ID of the event creator; null once the creator deleted their account and no co-host took the event over'
             },
             inviteLink: {
               type: 'string',
@@ -292,6 +374,18 @@ const options = {
               description: 'Whether RSVP status is required to join',
               default: false
             },
+            isOutdoor: {
+              type: 'boolean',
+              description: 'Whether the event takes place outdoors; participants get weather-change alerts before it starts',
+              default: false
+            },
+            rsvpQuestions: {
+              type: 'array',
+              description: 'Questions participants answer when joining or updating their RSVP',
+              items: {
+                $ref: '#/components/schemas/RsvpQuestion'
+              }
+            },
             isAlbumImageEnable: {
               type: 'boolean',
               description: 'Whether album image feature is enabled for this event',
@@ -312,6 +406,40 @@ const options = {
               type: 'string',
               description: 'Optional dress code for the event'
             },
+            category: {
+              type: 'string',
+              nullable: true,
+              description: 'Category ID from GET /events/categories',
+              example: 'music'
+            },
+            tags: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              maxItems: 10,
+              description: 'Free-form tags, stored lowercase',
+              example: ['jazz', 'rooftop']
+            },
+            timezone: {
+              type: 'string',
+              nullable: true,
+              description: 'IANA time zone the start/end times are expressed in (inferred from coordinates when omitted)',
+              example: 'Europe/Berlin'
+            },
+            startsAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Start instant computed from startDate, startTime and timezone'
+            },
+            recurrence: {
+              $ref: '#/components/schemas/Recurrence',
+              description: 'Optional repeat rule; startDate/startTime describe the first occurrence'
+            },
+            isRecurring: {
+              type: 'boolean',
+              description: 'Whether the event repeats (virtual field)'
+            },
             poster: {
               type: 'object',
               properties: {
@@ -478,9 +606,11 @@ const options = {
             date: { type: 'string', description: 'Date (YYYY-MM-DD)' },
             maxTemp: { type: 'number', description: 'Max temperature (°C)' },
             minTemp: { type: 'number', description: 'Min temperature (°C)' },
-            precipitationProbability: { type: 'number', description: 'Max precipitation probability (%)' },
-            weatherCode: { type: 'integer', description: 'Weather code' },
-            weatherDescription: { type: 'string', description: 'Weather description' }
+            precipitationProbability: { type: 'number', description: 'Max precipitation probability (%); for climatology, the share of past days with rain' },
+            precipitationSum: { type: 'number', description: 'Climatology only: average precipitation (mm)' },
+            weatherCode: { type: 'integer', description: 'Weather code (for climatology, the most common one)' },
+            weatherDescription: { type: 'string', description: 'Weather description' },
+            sampleDays: { type: 'integer', description: 'Climatology only: number of past days averaged' }
           }
         },
         WeatherHourly: {
@@ -495,9 +625,49 @@ const options = {
             weatherDescription: { type: 'string', description: 'Weather description' }
           }
         },
+        SearchMatch: {
+          type: 'object',
+          description: 'Added to events returned by a search',
+          properties: {
+            score: {
+              type: 'number',
+              description: 'Relevance score; title matches count most, then location, dress code and description',
+              example: 8.85
+            },
+            highlights: {
+              type: 'object',
+              description: 'HTML snippets of the fields that matched, keyed by field path, with matched words wrapped in <mark>',
+              additionalProperties: { type: 'string' },
+              example: {
+                title: 'Summer <mark>Jazz</mark> Night',
+                description: '…an evening of live <mark>jazz</mark> music in the park…'
+              }
+            }
+          }
+        },
         Weather: {
           type: 'object',
           properties: {
+            provider: {
+              type: 'string',
+              enum: ['open-meteo', 'fixture'],
+              description: 'Weather provider that answered (WEATHER_PROVIDER)'
+            },
+            source: {
+              type: 'string',
+              enum: ['forecast', 'climatology'],
+              description: 'Whether this is a forecast or typical weather from historical averages (for dates more than 10 days away)'
+            },
+            climatology: {
+              type: 'object',
+              description: 'Present when source is climatology',
+              properties: {
+                fromYear: { type: 'integer', example: 2016 },
+                toYear: { type: 'integer', example: 2025 },
+                windowDays: { type: 'integer', description: 'Days either side of each date included in the averages', example: 3 },
+                note: { type: 'string' }
+              }
+            },
             location: {
               type: 'object',
               properties: {
@@ -562,6 +732,10 @@ const options = {
                   type: 'string',
                   description: 'Event host name'
                 },
+                announcementId: {
+                  type: 'string',
+                  description: 'Host announcement the notification belongs to'
+                },
                 actionUrl: {
                   type: 'string',
                   description: 'URL for notification action'
@@ -597,6 +771,26 @@ const options = {
               enum: ['pending', 'sent', 'delivered', 'failed'],
               description: 'Notification delivery status'
             },
+            deliveryError: {
+              type: 'string',
+              nullable: true,
+              description: 'Why the push failed'
+            },
+            sentAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When FCM accepted the push'
+            },
+            deliveredAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the app reported receiving the push'
+            },
+            openedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the user opened the push'
+            },
             createdAt: {
               type: 'string',
               format: 'date-time'
@@ -674,22 +868,421 @@ const options = {
             }
           }
         },
+        GuestRsvp: {
+          type: 'object',
+          properties: {
+            event: {
+              type: 'object',
+              description: 'Event summary (title, description, location, dates, status and capacity)'
+            },
+            rsvp: {
+              type: 'object',
+              properties: {
+                name: {
+                  type: 'string'
+                },
+                email: {
+                  type: 'string',
+                  format: 'email'
+                },
+                status: {
+                  type: 'string',
+                  enum: ['yes', 'no', 'maybe']
+                },
+                joinedAt: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                ticketCode: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'Check-in ticket code (confirmed guests of one-off events only)'
+                },
+                checkedInAt: {
+                  type: 'string',
+                  format: 'date-time',
+                  nullable: true
+                }
+              }
+            }
+          }
+        },
         Participant: {
           type: 'object',
           properties: {
             user: {
               type: 'string',
-              description: 'User ID of participant'
+              nullable: true,
+              description: 'User ID of participant (null for guests without an account)'
+            },
+            guest: {
+              type: 'object',
+              nullable: true,
+              description: 'Name and email of a guest who answered through the invite link without an account',
+              properties: {
+                name: {
+                  type: 'string'
+                },
+                email: {
+                  type: 'string',
+                  format: 'email'
+                }
+              }
             },
             status: {
               type: 'string',
               enum: ['yes', 'no', 'maybe'],
               description: 'RSVP status'
             },
+            plusOnes: {
+              type: 'integer',
+              description: 'Extra people coming along; a "yes" counts as 1 + plusOnes toward maxParticipants',
+              default: 0
+            },
+            plusOneNames: {
+              type: 'array',
+              description: 'Optional names of the plus-ones',
+              items: {
+                type: 'string'
+              }
+            },
+            answers: {
+              type: 'array',
+              description: 'Answers to the event RSVP questions',
+              items: {
+                $ref: '#/components/schemas/RsvpAnswer'
+              }
+            },
             joinedAt: {
               type: 'string',
               format: 'date-time',
               description: 'When user joined the event'
+            },
+            checkedInAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the ticket was scanned at the door'
+            },
+            occurrenceRsvps: {
+              type: 'array',
+              description: 'Per-occurrence RSVP answers for recurring events (status is the series default)',
+              items: {
+                type: 'object',
+                properties: {
+                  occurrenceDate: {
+                    type: 'string',
+                    format: 'date'
+                  },
+                  status: {
+                    type: 'string',
+                    enum: ['yes', 'no', 'maybe']
+                  }
+                }
+              }
+            }
+          }
+        },
+        Recurrence: {
+          type: 'object',
+          description: 'Repeat rule (subset of iCalendar RRULE). May also be sent as an RRULE string, e.g. "FREQ=WEEKLY;BYDAY=TU;COUNT=10"',
+          properties: {
+            frequency: {
+              type: 'string',
+              enum: ['daily', 'weekly', 'monthly']
+            },
+            interval: {
+              type: 'integer',
+              default: 1,
+              description: 'Repeat every N days/weeks/months'
+            },
+            byWeekday: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+              },
+              description: 'Weekdays for weekly recurrence (defaults to the weekday of startDate)'
+            },
+            until: {
+              type: 'string',
+              format: 'date',
+              description: 'Last possible occurrence date (cannot be combined with count)'
+            },
+            count: {
+              type: 'integer',
+              description: 'Total number of occurrences (cannot be combined with until)'
+            }
+          }
+        },
+        Occurrence: {
+          type: 'object',
+          properties: {
+            occurrenceDate: {
+              type: 'string',
+              format: 'date',
+              description: 'Original date of the occurrence, used as its identifier'
+            },
+            startDate: {
+              type: 'string',
+              format: 'date-time'
+            },
+            startTime: {
+              type: 'string'
+            },
+            endDate: {
+              type: 'string',
+              format: 'date-time'
+            },
+            endTime: {
+              type: 'string'
+            },
+            startDateTime: {
+              type: 'string',
+              format: 'date-time'
+            },
+            endDateTime: {
+              type: 'string',
+              format: 'date-time'
+            },
+            title: {
+              type: 'string'
+            },
+            description: {
+              type: 'string'
+            },
+            status: {
+              type: 'string',
+              enum: ['active', 'cancelled']
+            },
+            isOverridden: {
+              type: 'boolean',
+              description: 'Whether this occurrence was edited or cancelled individually'
+            },
+            confirmedParticipantsCount: {
+              type: 'number'
+            },
+            userParticipantStatus: {
+              type: 'string',
+              enum: ['yes', 'no', 'maybe']
+            }
+          }
+        },
+        EventRole: {
+          type: 'object',
+          properties: {
+            user: {
+              $ref: '#/components/schemas/User'
+            },
+            role: {
+              type: 'string',
+              enum: ['co-host', 'moderator']
+            },
+            grantedBy: {
+              type: 'string'
+            },
+            grantedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        RsvpQuestion: {
+          type: 'object',
+          required: ['label', 'type'],
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Question ID, used as RsvpAnswer.question'
+            },
+            label: {
+              type: 'string',
+              example: 'Any dietary restrictions?'
+            },
+            type: {
+              type: 'string',
+              enum: ['text', 'single_choice', 'multi_choice', 'number', 'boolean']
+            },
+            options: {
+              type: 'array',
+              description: 'Choices for single_choice and multi_choice questions (at least two)',
+              items: {
+                type: 'string'
+              }
+            },
+            required: {
+              type: 'boolean',
+              description: 'Whether participants who answer yes or maybe must answer this question',
+              default: false
+            }
+          }
+        },
+        RsvpAnswer: {
+          type: 'object',
+          required: ['question'],
+          properties: {
+            question: {
+              type: 'string',
+              description: 'RsvpQuestion ID'
+            },
+            value: {
+              description: 'String (text/single_choice), array of strings (multi_choice), number or boolean; null clears the answer'
+            }
+          }
+        },
+        RsvpAnswerSummary: {
+          type: 'object',
+          properties: {
+            questionId: {
+              type: 'string'
+            },
+            label: {
+              type: 'string'
+            },
+            type: {
+              type: 'string'
+            },
+            required: {
+              type: 'boolean'
+            },
+            answeredCount: {
+              type: 'integer'
+            },
+            options: {
+              type: 'array',
+              description: 'Per-option counts (choice and boolean questions)',
+              items: {
+                type: 'object',
+                properties: {
+                  option: {},
+                  count: {
+                    type: 'integer'
+                  }
+                }
+              }
+            },
+            min: {
+              type: 'number',
+              description: 'Number questions only'
+            },
+            max: {
+              type: 'number',
+              description: 'Number questions only'
+            },
+            average: {
+              type: 'number',
+              description: 'Number questions only'
+            },
+            sum: {
+              type: 'number',
+              description: 'Number questions only'
+            },
+            responses: {
+              type: 'array',
+              description: 'Individual answers (text questions only)',
+              items: {
+                type: 'object',
+                properties: {
+                  name: {
+                    type: 'string'
+                  },
+                  value: {
+                    type: 'string'
+                  }
+                }
+              }
+            }
+          }
+        },
+        Attendee: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Participant entry ID'
+            },
+            user: {
+              $ref: '#/components/schemas/User'
+            },
+            guest: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                name: {
+                  type: 'string'
+                },
+                email: {
+                  type: 'string'
+                }
+              }
+            },
+            status: {
+              type: 'string',
+              enum: ['yes', 'no', 'maybe']
+            },
+            plusOnes: {
+              type: 'integer'
+            },
+            plusOneNames: {
+              type: 'array',
+              items: {
+                type: 'string'
+              }
+            },
+            partySize: {
+              type: 'integer',
+              description: '1 + plusOnes'
+            },
+            answers: {
+              type: 'array',
+              description: 'Answers to the event RSVP questions',
+              items: {
+                $ref: '#/components/schemas/RsvpAnswer'
+              }
+            },
+            joinedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            checkedInAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            }
+          }
+        },
+        WaitlistEntry: {
+          type: 'object',
+          properties: {
+            position: {
+              type: 'integer',
+              description: 'Promotion order (1 is promoted next)'
+            },
+            user: {
+              $ref: '#/components/schemas/User'
+            },
+            occurrenceDate: {
+              type: 'string',
+              format: 'date',
+              nullable: true,
+              description: 'Occurrence the user waits for (YYYY-MM-DD), null for the whole series'
+            },
+            plusOnes: {
+              type: 'integer'
+            },
+            plusOneNames: {
+              type: 'array',
+              items: {
+                type: 'string'
+              }
+            },
+            partySize: {
+              type: 'integer',
+              description: 'Seats needed to promote this entry (1 + plusOnes)'
+            },
+            joinedAt: {
+              type: 'string',
+              format: 'date-time'
             }
           }
         },
@@ -756,6 +1349,32 @@ const options = {
             }
           }
         },
+        Device: {
+          type: 'object',
+          properties: {
+            token: {
+              type: 'string',
+              description: 'FCM registration token'
+            },
+            platform: {
+              type: 'string',
+              enum: ['ios', 'android', 'web', 'unknown']
+            },
+            appVersion: {
+              type: 'string',
+              nullable: true
+            },
+            lastSeenAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the device last registered its token'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
         FCMNotification: {
           type: 'object',
           properties: {
@@ -2,6 +2,8 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const Event = require('./models/eventModel');
 const User = require('./models/userModel');
+const Job = require('./models/jobModel');
+const ReminderDelivery = require('./models/reminderDeliveryModel');
 const notificationScheduler = require('./services/notificationScheduler');
 
 async function testReminders() {
@@ -25,10 +27,10 @@ async function testReminders() {
     
     const now = new Date();
     
-    // Event 1: 25 hours from now (should trigger 24h reminder)
+    // Event 1: 25 hours from now (should trigger 1d reminder)
     const event1Start = new Date(now.getTime() + (25 * 60 * 60 * 1000));
     const testEvent1 = await Event.create({
-      title: 'Test Event - 24h Reminder',
+      title: 'Test Event - 1d Reminder',
       description: 'This event will trigger a 24-hour reminder',
       location: {
         name: 'Test Location',
@@ -46,11 +48,6 @@ async function testReminders() {
         mimeType: 'image/jpeg',
         fileSize: 1024000,
         originalName: 'test-poster.jpg'
-      },
-      reminders: {
-        sent24h: false,
-        sent2h: false,
-        sent30m: false
       }
     });
 
@@ -75,11 +72,6 @@ async function testReminders() {
         mimeType: 'image/jpeg',
         fileSize: 1024000,
         originalName: 'test-poster2.jpg'
-      },
-      reminders: {
-        sent24h: false,
-        sent2h: false,
-        sent30m: false
       }
     });
 
@@ -104,11 +96,6 @@ async function testReminders() {
         mimeType: 'image/jpeg',
         fileSize: 1024000,
         originalName: 'test-poster3.jpg'
-      },
-      reminders: {
-        sent24h: false,
-        sent2h: false,
-        sent30m: false
       }
     });
 
@@ -121,9 +108,12 @@ async function testReminders() {
     console.log('\n4. Testing reminder message generation...');
     
     const reminderMessages = {
-      '24h': notificationScheduler.getReminderMessage(testEvent1, '24h'),
+      '1d': notificationScheduler.getReminderMessage(testEvent1, '1d'),
       '2h': notificationScheduler.getReminderMessage(testEvent2, '2h'),
-      '30m': notificationScheduler.getReminderMessage(testEvent3, '30m')
+      '30m': notificationScheduler.getReminderMessage(testEvent3, '30m'),
+      // Custom offsets hosts and users can pick
+      '1w': notificationScheduler.getReminderMessage(testEvent1, '1w'),
+      'morning_of': notificationScheduler.getReminderMessage(testEvent2, 'morning_of')
     };
 
     console.log('📱 Reminder Messages:');
@@ -131,46 +121,35 @@ async function testReminders() {
       console.log(`   ${type}: "${message.title}" - "${message.body}"`);
     });
 
-    // Test 4: Test reminder checking functions
-    console.log('\n5. Testing reminder checking functions...');
-    
-    // Mock the current time to test different scenarios
-    const originalNow = Date.now;
-    
-    // Test 24h reminder check
-    Date.now = () => new Date(now.getTime() + (24 * 60 * 60 * 1000) + (30 * 60 * 1000)).getTime();
-    await notificationScheduler.check24HourReminders(new Date());
-    console.log('✅ 24h reminder check completed');
-
-    // Test 2h reminder check
-    Date.now = () => new Date(now.getTime() + (2 * 60 * 60 * 1000) + (30 * 60 * 1000)).getTime();
-    await notificationScheduler.check2HourReminders(new Date());
-    console.log('✅ 2h reminder check completed');
-
-    // Test 30m reminder check
-    Date.now = () => new Date(now.getTime() + (30 * 60 * 1000) + (5 * 60 * 1000)).getTime();
-    await notificationScheduler.check30MinuteReminders(new Date());
-    console.log('✅ 30m reminder check completed');
-
-    // Restore original Date.now
-    Date.now = originalNow;
-
-    // Test 5: Check reminder status in database
-    console.log('\n6. Checking reminder status in database...');
-    
-    const updatedEvent1 = await Event.findById(testEvent1._id);
-    const updatedEvent2 = await Event.findById(testEvent2._id);
-    const updatedEvent3 = await Event.findById(testEvent3._id);
+    // Test 4: Queue reminder jobs for the test events
+    console.log('\n5. Queueing reminder jobs...');
+
+    const testEventIds = [testEvent1._id, testEvent2._id, testEvent3._id];
+    for (const testEvent of [testEvent1, testEvent2, testEvent3]) {
+      await notificationScheduler.scheduleEventReminders(testEvent);
+    }
+    // Scheduling twice must not create duplicate jobs
+    await notificationScheduler.scheduleEventReminders(testEvent1);
+    console.log('✅ Reminder jobs queued');
+
+    // Test 5: Check the queued jobs
+    console.log('\n6. Checking queued reminder jobs...');
+
+    const jobs = await Job.find({ event: { $in: testEventIds } }).sort('runAt');
+    console.log(`📊 ${jobs.length} reminder jobs:`);
+    jobs.forEach(job => {
+      console.log(`   ${job.key}: ${job.status}, due ${job.runAt.toLocaleString()}`);
+    });
 
-    console.log('📊 Reminder Status:');
-    console.log(`   Event 1 (24h): sent24h=${updatedEvent1.reminders.sent24h}`);
-    console.log(`   Event 2 (2h): sent2h=${updatedEvent2.reminders.sent2h}`);
-    console.log(`   Event 3 (30m): sent30m=${updatedEvent3.reminders.sent30m}`);
+    // Due jobs run through the same path the scheduler uses every minute
+    await notificationScheduler.processJobs();
+    const queueStats = await notificationScheduler.getQueueStats();
+    console.log(`📬 Queue: ${JSON.stringify(queueStats)}`);
 
     // Test 6: Test with participants (if any exist)
     console.log('\n7. Testing with user participants...');
     
-    const testUsers = await User.find({ fcmToken: { $exists: true } }).limit(2);
+    const testUsers = await User.find({ 'devices.0': { $exists: true } }).limit(2);
     
     if (testUsers.length > 0) {
       console.log(`📱 Found ${testUsers.length} users with FCM tokens`);
@@ -180,13 +159,13 @@ async function testReminders() {
       await testEvent1.save();
       
       // Populate participants for testing
-      const eventWithParticipants = await Event.findById(testEvent1._id).populate('participants', 'fcmToken name notificationSettings');
+      const eventWithParticipants = await Event.findById(testEvent1._id).populate('participants', 'fcmToken devices name notificationSettings');
       
       console.log(`👥 Added ${testUsers.length} participants to test event`);
       
       // Test sending reminder (this will only log since we don't have real tokens)
       try {
-        await notificationScheduler.sendEventReminder(eventWithParticipants, '24h');
+        await notificationScheduler.sendEventReminder(eventWithParticipants, '1d');
         console.log('✅ Reminder sending function executed successfully');
       } catch (error) {
         console.log('⚠️ Reminder sending failed (expected with test tokens):', error.message);
@@ -198,8 +177,10 @@ async function testReminders() {
     // Cleanup: Remove test events
     console.log('\n8. Cleaning up test events...');
     await Event.deleteMany({
-      _id: { $in: [testEvent1._id, testEvent2._id, testEvent3._id] }
+      _id: { $in: testEventIds }
     });
+    await Job.deleteMany({ event: { $in: testEventIds } });
+    await ReminderDelivery.deleteMany({ event: { $in: testEventIds } });
     console.log('✅ Test events cleaned up');
 
     console.log('\n🎉 Reminder system test completed successfully!');
@@ -207,8 +188,7 @@ async function testReminders() {
     console.log('   ✅ Notification scheduler initialized');
     console.log('   ✅ Test events created with proper timing');
     console.log('   ✅ Reminder message generation working');
-    console.log('   ✅ Reminder checking functions working');
-    console.log('   ✅ Database reminder tracking working');
+    console.log('   ✅ Reminder jobs queued without duplicates');
     console.log('   ✅ Participant handling working');
     console.log('   ✅ Cleanup completed');
 
@@ -1,5 +1,6 @@
 require('dotenv').config();
 const axios = require('axios');
+const { fetchClimatology } = require('./services/weatherService');
 
 async function fetchLatLonFromLocationIQ(query) {
   const apiKey = process.env.LOCATIONIQ_API_KEY;
@@ -92,11 +93,17 @@ async function testWeather() {
         }
       });
       console.log('✅ Open-Meteo allows forecasts beyond 10 days');
-      console.log('   Note: Our API enforces 10-day limit for better accuracy');
+      console.log('   Note: Our API returns typical weather (climatology) beyond 10 days instead');
     } catch (error) {
       console.log('⚠️  Open-Meteo API error for far future date:', error.message);
     }
 
+    // Typical weather for the far future date from the historical archive
+    const climatology = await fetchClimatology({ lat, lon, startDate: farFutureDate, endDate: farFutureDate });
+    const typicalDay = climatology.daily[0];
+    console.log(`✅ Climatology for ${farFutureDate} (${climatology.climatology.fromYear}-${climatology.climatology.toYear}):`);
+    console.log(`   ${typicalDay.minTemp}°C - ${typicalDay.maxTemp}°C, ${typicalDay.precipitationProbability}% rainy days, mostly ${typicalDay.weatherDescription} (${typicalDay.sampleDays} days averaged)`);
+
     // Test 3: Test coordinate validation
     console.log('\n4. Testing coordinate validation...');
     try {
@@ -154,6 +161,7 @@ async function testWeather() {
     console.log('\n🎉 All weather tests completed successfully!');
     console.log('\nThe Open-Meteo integration is working correctly.');
     console.log('Weather forecasts will be automatically fetched for events within 10 days.');
+    console.log('Events further away get typical weather from historical averages.');
 
   } catch (error) {
     console.log('❌ Test failed:', error.response?.data?.error || error.message);
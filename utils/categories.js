@@ -0,0 +1,84 @@
+/**
+ * Event categories and tags
+ * Every event can have one category from a fixed taxonomy, which users can
+ * follow, plus free-form tags chosen by the host
+ */
+
+const EVENT_CATEGORIES = [
+  { id: 'music', name: 'Music' },
+  { id: 'sports', name: 'Sports & Fitness' },
+  { id: 'food_drink', name: 'Food & Drink' },
+  { id: 'arts', name: 'Arts & Culture' },
+  { id: 'tech', name: 'Technology' },
+  { id: 'outdoors', name: 'Outdoors & Adventure' },
+  { id: 'social', name: 'Social & Parties' },
+  { id: 'education', name: 'Learning & Workshops' },
+  { id: 'wellness', name: 'Health & Wellness' },
+  { id: 'family', name: 'Family & Kids' },
+  { id: 'networking', name: 'Business & Networking' },
+  { id: 'community', name: 'Community & Causes' },
+  { id: 'other', name: 'Other' }
+];
+
+const CATEGORY_IDS = EVENT_CATEGORIES.map(category => category.id);
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Parse a list that may arrive as an array, a JSON array string or a comma-separated string
+ * @param {Array|string} input - Raw list
+ * @returns {Array<string>} Trimmed, non-empty strings
+ */
+const parseList = (input) => {
+  let values = input;
+  if (typeof values === 'string') {
+    values = values.trim().startsWith('[') ? JSON.parse(values) : values.split(',');
+  }
+  if (!Array.isArray(values)) {
+    throw new Error('Expected a list of values');
+  }
+  return values.map(value => String(value).trim()).filter(Boolean);
+};
+
+/**
+ * Normalize event tags: lowercase, single spaces, no duplicates
+ * @param {Array|string} input - Raw tags
+ * @returns {Array<string>} Tags to store
+ * @throws {Error} When there are too many tags or one is too long
+ */
+const normalizeTags = (input) => {
+  const tags = [...new Set(parseList(input).map(tag => tag.toLowerCase().replace(/^#/, '').replace(/\s+/g, ' ')))];
+
+  if (tags.length > MAX_TAGS) {
+    throw new Error(`An event can have at most ${MAX_TAGS} tags`);
+  }
+  const longTag = tags.find(tag => tag.length > MAX_TAG_LENGTH);
+  if (longTag) {
+    throw new Error(`Tags cannot be longer than ${MAX_TAG_LENGTH} characters`);
+  }
+  return tags;
+};
+
+/**
+ * Validate a list of category IDs
+ * @param {Array|string} input - Raw category IDs
+ * @returns {Array<string>} Unique category IDs
+ * @throws {Error} When a category is unknown
+ */
+const normalizeCategories = (input) => {
+  const categories = [...new Set(parseList(input))];
+  const unknown = categories.find(category => !CATEGORY_IDS.includes(category));
+  if (unknown) {
+    throw new Error(`Unknown category "${unknown}". Use one of: ${CATEGORY_IDS.join(', ')}`);
+  }
+  return categories;
+};
+
+module.exports = {
+  EVENT_CATEGORIES,
+  CATEGORY_IDS,
+  MAX_TAGS,
+  normalizeTags,
+  normalizeCategories
+};
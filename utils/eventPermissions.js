@@ -0,0 +1,88 @@
+/**
+ * Event-level roles and permission checks
+ * The creator is always the owner, explicit grants live in event.roles and
+ * every other participant is a guest
+ */
+
+const EVENT_ROLES = ['owner', 'co-host', 'moderator', 'guest'];
+
+// Roles that can be granted through the roles endpoints (owner is fixed to the creator)
+const ASSIGNABLE_ROLES = ['co-host', 'moderator'];
+
+// Which roles may perform each action
+const PERMISSIONS = {
+  'event:view': ['owner', 'co-host', 'moderator', 'guest'],
+  'event:update': ['owner', 'co-host'],
+  'event:delete': ['owner'],
+  'event:announce': ['owner', 'co-host'],
+  'roles:manage': ['owner'],
+  'attendees:manage': ['owner', 'co-host'],
+  'album:upload': ['owner', 'co-host', 'moderator', 'guest'],
+  'album:moderate': ['owner', 'co-host', 'moderator'],
+  'todos:edit': ['owner', 'co-host', 'moderator', 'guest'],
+  'todos:moderate': ['owner', 'co-host', 'moderator']
+};
+
+/**
+ * Get the ID string of a possibly populated reference
+ * @param {Object|string|null} ref - ObjectId, ID string or populated document
+ * @returns {string|null} ID string
+ */
+const toIdString = (ref) => {
+  if (!ref) return null;
+  return (ref._id || ref).toString();
+};
+
+/**
+ * Find a user's participant entry on an event
+ * @param {Object} event - Event document
+ * @param {Object|string} userId - User to look up
+ * @returns {Object|undefined} Participant subdocument
+ */
+const findParticipant = (event, userId) => {
+  const id = toIdString(userId);
+  return (event.participants || []).find(participant => toIdString(participant.user) === id);
+};
+
+/**
+ * Resolve a user's role on an event
+ * @param {Object} event - Event document
+ * @param {Object|string} userId - User to look up
+ * @returns {string|null} Role name, or null if the user has no relationship with the event
+ */
+const getEventRole = (event, userId) => {
+  const id = toIdString(userId);
+  if (!id) return null;
+  if (toIdString(event.creator) === id) return 'owner';
+
+  const grant = (event.roles || []).find(entry => toIdString(entry.user) === id);
+  if (grant) return grant.role;
+
+  return findParticipant(event, id) ? 'guest' : null;
+};
+
+/**
+ * Check whether a user may perform an action on an event
+ * @param {Object} event - Event document
+ * @param {Object|string} userId - User performing the action
+ * @param {string} permission - Permission key (see PERMISSIONS)
+ * @returns {boolean} True if the user's role grants the permission
+ */
+const hasEventPermission = (event, userId, permission) => {
+  const allowedRoles = PERMISSIONS[permission];
+  if (!allowedRoles) {
+    throw new Error(`Unknown event permission: ${permission}`);
+  }
+  const role = getEventRole(event, userId);
+  return role !== null && allowedRoles.includes(role);
+};
+
+module.exports = {
+  EVENT_ROLES,
+  ASSIGNABLE_ROLES,
+  PERMISSIONS,
+  toIdString,
+  findParticipant,
+  getEventRole,
+  hasEventPermission
+};
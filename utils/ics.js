@@ -0,0 +1,218 @@
+/**
+ * iCalendar (RFC 5545) builder for event export and calendar feeds
+ * Events with a time zone are written as local wall-clock times with a TZID;
+ * events without one are written as UTC instants
+ */
+
+const { toDateKey, parseDateKey, combineDateAndTime, toRRule } = require('./recurrence');
+
+const PRODUCT_ID = '-//Planzaa//Events//EN';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a value for use in an iCalendar TEXT property
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Fold a content line to at most 75 octets per physical line
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (CRLF + space continuation)
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char, 'utf8');
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      chunks.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Format an instant as an iCalendar UTC date-time (YYYYMMDDTHHMMSSZ)
+ * @param {Date} date - Instant to format
+ * @returns {string} UTC date-time
+ */
+const formatUtcDateTime = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * Build a DTSTART/DTEND/RECURRENCE-ID property for a calendar date and HH:MM time
+ * @param {string} name - Property name
+ * @param {Date} date - Calendar date (UTC midnight)
+ * @param {string|null} time - Time in HH:MM format
+ * @param {string|null} timeZone - IANA time zone of the event
+ * @returns {string} Content line
+ */
+const formatDateProperty = (name, date, time, timeZone) => {
+  if (timeZone) {
+    const localDate = toDateKey(date).replace(/-/g, '');
+    const localTime = (time || '00:00').replace(':', '');
+    return `${name};TZID=${timeZone}:${localDate}T${localTime}00`;
+  }
+  return `${name}:${formatUtcDateTime(combineDateAndTime(date, time))}`;
+};
+
+/**
+ * Build the stable UID of an event
+ * @param {Object} event - Event document
+ * @returns {string} UID
+ */
+const getEventUid = (event) => `${event._id}@planzaa`;
+
+/**
+ * Build the common lines of a VEVENT (details, location and status)
+ * @param {Object} event - Event document
+ * @param {Object} details - Title/description/dressCode/status to render
+ * @returns {Array<string>} Content lines
+ */
+const buildDetailLines = (event, details) => {
+  const lines = [`SUMMARY:${escapeText(details.title)}`];
+
+  const description = [details.description, details.dressCode && `Dress code: ${details.dressCode}`]
+    .filter(Boolean)
+    .join('\n\n');
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+
+  if (event.location) {
+    const place = [event.location.name, event.location.address].filter(Boolean).join(', ');
+    if (place) {
+      lines.push(`LOCATION:${escapeText(place)}`);
+    }
+    if (event.location.coordinates && event.location.coordinates.lat != null && event.location.coordinates.lon != null) {
+      lines.push(`GEO:${event.location.coordinates.lat};${event.location.coordinates.lon}`);
+    }
+  }
+
+  lines.push(`STATUS:${details.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+  return lines;
+};
+
+/**
+ * Build the VEVENT components for an event
+ * Recurring events become one master VEVENT with an RRULE, EXDATEs for cancelled
+ * occurrences and an extra VEVENT (RECURRENCE-ID) for each edited occurrence
+ * @param {Object} event - Event document
+ * @param {Object} options - Build options
+ * @param {Date} options.stamp - DTSTAMP to use (defaults to now)
+ * @returns {Array<string>} Unfolded content lines
+ */
+const buildEventComponents = (event, options = {}) => {
+  const stamp = formatUtcDateTime(options.stamp || new Date());
+  const timeZone = event.timezone || null;
+  const uid = getEventUid(event);
+  const lastModified = event.updatedAt ? `LAST-MODIFIED:${formatUtcDateTime(event.updatedAt)}` : null;
+
+  const buildTimeLines = (details) => {
+    const lines = [formatDateProperty('DTSTART', details.startDate, details.startTime, timeZone)];
+    if (details.endDate || details.endTime) {
+      lines.push(formatDateProperty('DTEND', details.endDate || details.startDate, details.endTime, timeZone));
+    }
+    return lines;
+  };
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    ...(lastModified ? [lastModified] : []),
+    ...buildTimeLines(event)
+  ];
+
+  const rrule = toRRule(event.recurrence);
+  const overrides = rrule ? (event.occurrenceOverrides || []) : [];
+
+  if (rrule) {
+    lines.push(`RRULE:${rrule}`);
+    overrides
+      .filter(override => override.status === 'cancelled')
+      .forEach(override => {
+        lines.push(formatDateProperty('EXDATE', parseDateKey(override.occurrenceDate), event.startTime, timeZone));
+      });
+  }
+
+  lines.push(...buildDetailLines(event, event), 'END:VEVENT');
+
+  // Edited (but still active) occurrences are published as overriding instances
+  overrides
+    .filter(override => override.status !== 'cancelled')
+    .forEach(override => {
+      const key = override.occurrenceDate;
+      const occurrence = event.getOccurrences({ from: parseDateKey(key), to: parseDateKey(key) })
+        .find(item => item.occurrenceDate === key);
+      if (!occurrence) return;
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${stamp}`,
+        formatDateProperty('RECURRENCE-ID', parseDateKey(key), event.startTime, timeZone),
+        ...buildTimeLines(occurrence),
+        ...buildDetailLines(event, occurrence),
+        'END:VEVENT'
+      );
+    });
+
+  return lines;
+};
+
+/**
+ * Build a complete VCALENDAR document
+ * @param {Array<Object>} events - Event documents to include
+ * @param {Object} options - Calendar options
+ * @param {string} options.name - Calendar display name (optional)
+ * @param {Date} options.stamp - DTSTAMP to use (defaults to now)
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+const buildCalendar = (events, options = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (options.name) {
+    lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+  }
+
+  events.forEach(event => {
+    lines.push(...buildEventComponents(event, options));
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatUtcDateTime,
+  buildEventComponents,
+  buildCalendar
+};
@@ -0,0 +1,183 @@
+/**
+ * Cursor pagination
+ * A cursor is an opaque base64url string holding the sort values and _id of
+ * the last item of a page. The next page starts strictly after that item,
+ * so items created or removed while a client scrolls do not shift the
+ * pages it still has to load. _id is always the last sort key, which keeps
+ * the order stable when sort values tie
+ */
+
+const { EJSON } = require('mongoose').mongo.BSON;
+const AppError = require('./appError');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+/**
+ * Parse a sort parameter ("-startDate,title" or "-startDate title")
+ * @param {string} sortParam - Raw sort parameter
+ * @param {string} defaultSort - Sort used when the parameter is empty
+ * @returns {Array<{ field: string, direction: number }>} Sort keys, ending with _id
+ */
+const parseSort = (sortParam, defaultSort = '-createdAt') => {
+  const keys = String(sortParam || defaultSort)
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(key => (key.startsWith('-')
+      ? { field: key.slice(1), direction: -1 }
+      : { field: key.replace(/^\+/, ''), direction: 1 }))
+    .filter(({ field }) => field && field !== '_id');
+
+  // Ties are broken by _id in the direction of the main sort key
+  keys.push({ field: '_id', direction: keys.length > 0 ? keys[0].direction : -1 });
+  return keys;
+};
+
+/**
+ * Turn sort keys into a Mongo sort object
+ * @param {Array<{ field: string, direction: number }>} sort - Sort keys
+ * @returns {Object} Sort object
+ */
+const toSortObject = (sort) => Object.fromEntries(sort.map(({ field, direction }) => [field, direction]));
+
+/**
+ * Describe a sort, so a cursor cannot be reused with another order
+ * @param {Array<{ field: string, direction: number }>} sort - Sort keys
+ * @returns {string} Sort signature
+ */
+const getSortSignature = (sort) => sort.map(({ field, direction }) => `${direction < 0 ? '-' : ''}${field}`).join(',');
+
+/**
+ * Get a value by dotted path from a document or plain object
+ * @param {Object} item - Document or plain object
+ * @param {string} path - Dotted path
+ * @returns {*} Value, or null when missing
+ */
+const getSortValue = (item, path) => {
+  const value = typeof item.get === 'function'
+    ? item.get(path)
+    : path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), item);
+  return value === undefined ? null : value;
+};
+
+/**
+ * Build the cursor pointing after an item
+ * @param {Object} item - Last item of the page
+ * @param {Array<{ field: string, direction: number }>} sort - Sort keys
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (item, sort) => {
+  const payload = {
+    s: getSortSignature(sort),
+    v: sort.map(({ field }) => getSortValue(item, field))
+  };
+  return Buffer.from(EJSON.stringify(payload, { relaxed: false })).toString('base64url');
+};
+
+/**
+ * Read a cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @param {Array<{ field: string, direction: number }>} sort - Sort keys of the current request
+ * @returns {Array} Sort values of the item the cursor points after
+ * @throws {AppError} 400 when the cursor is malformed or was made for another sort
+ */
+const decodeCursor = (cursor, sort) => {
+  let payload;
+  try {
+    payload = EJSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'), { relaxed: false });
+  } catch (error) {
+    throw new AppError('Invalid cursor', 400);
+  }
+
+  if (!payload || !Array.isArray(payload.v)) {
+    throw new AppError('Invalid cursor', 400);
+  }
+  if (payload.s !== getSortSignature(sort) || payload.v.length !== sort.length) {
+    throw new AppError('Cursor does not match the sort order; start again without a cursor', 400);
+  }
+  return payload.v;
+};
+
+/**
+ * Filter for one sort key strictly after a value
+ * Missing values sort before everything else, as in MongoDB (_id is never missing)
+ * @param {string} field - Sort field
+ * @param {number} direction - 1 or -1
+ * @param {*} value - Value of the cursor item
+ * @returns {Object|null} Filter, or null when nothing can come after
+ */
+const buildAfterCondition = (field, direction, value) => {
+  if (value === null) {
+    return direction > 0 ? { [field]: { $ne: null } } : null;
+  }
+  if (direction > 0) {
+    return { [field]: { $gt: value } };
+  }
+  return field === '_id'
+    ? { [field]: { $lt: value } }
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+/**
+ * Build the filter selecting the items after a cursor
+ * @param {string} cursor - Cursor from a previous page (optional)
+ * @param {Array<{ field: string, direction: number }>} sort - Sort keys
+ * @returns {Object|null} Filter to combine with the query, or null without a cursor
+ * @throws {AppError} 400 when the cursor is invalid
+ */
+const buildCursorFilter = (cursor, sort) => {
+  if (!cursor) return null;
+
+  const values = decodeCursor(cursor, sort);
+  const branches = [];
+  sort.forEach(({ field, direction }, index) => {
+    const after = buildAfterCondition(field, direction, values[index]);
+    if (!after) return;
+
+    const ties = sort.slice(0, index).map((key, tieIndex) => ({ [key.field]: values[tieIndex] }));
+    branches.push(ties.length > 0 ? { $and: [...ties, after] } : after);
+  });
+
+  // Nothing sorts after the cursor item
+  return branches.length > 0 ? { $or: branches } : { _id: { $exists: false } };
+};
+
+/**
+ * Read the page size from the query
+ * @param {string} limitParam - Raw limit parameter
+ * @param {number} defaultLimit - Page size when none is given
+ * @returns {number} Page size between 1 and MAX_LIMIT
+ */
+const parseLimit = (limitParam, defaultLimit = DEFAULT_LIMIT) => {
+  const limit = parseInt(limitParam, 10);
+  if (isNaN(limit) || limit < 1) return defaultLimit;
+  return Math.min(limit, MAX_LIMIT);
+};
+
+/**
+ * Trim the extra item fetched to detect a next page and build its cursor
+ * Queries fetch limit + 1 items
+ * @param {Array} items - Items returned by the query
+ * @param {number} limit - Page size
+ * @param {Array<{ field: string, direction: number }>} sort - Sort keys
+ * @returns {{ items: Array, hasMore: boolean, nextCursor: string|null }} Page
+ */
+const buildPage = (items, limit, sort) => {
+  const hasMore = items.length > limit;
+  const pageItems = hasMore ? items.slice(0, limit) : items;
+  return {
+    items: pageItems,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(pageItems[pageItems.length - 1], sort) : null
+  };
+};
+
+module.exports = {
+  parseSort,
+  toSortObject,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  buildPage
+};
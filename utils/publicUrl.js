@@ -0,0 +1,33 @@
+/**
+ * Public URLs of the API
+ * Links that leave the server (emails, calendar subscriptions) are built
+ * from the configured PUBLIC_BASE_URL, never from the request's Host header,
+ * which the client controls
+ */
+
+/**
+ * Get the base URL the API is reachable at, without a trailing slash
+ * Falls back to localhost outside production
+ * @returns {string} Base URL, e.g. "https://api.example.com"
+ */
+const getPublicBaseUrl = () => {
+  const baseUrl = process.env.PUBLIC_BASE_URL;
+  if (baseUrl) return baseUrl.replace(/\/+$/, '');
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('PUBLIC_BASE_URL is not configured');
+  }
+  return `http://localhost:${process.env.PORT || 3000}`;
+};
+
+/**
+ * Build a public URL for an API path
+ * @param {string} path - Path starting with "/", e.g. "/api/events/calendar/<token>.ics"
+ * @returns {string} Absolute URL
+ */
+const buildPublicUrl = (path) => `${getPublicBaseUrl()}${path}`;
+
+module.exports = {
+  getPublicBaseUrl,
+  buildPublicUrl
+};
@@ -0,0 +1,27 @@
+/**
+ * QR code images for ticket codes, encoded and rendered by the qrcode package
+ */
+
+const QRCode = require('qrcode');
+
+/**
+ * Render text as a QR code PNG
+ * @param {string} text - Text to encode
+ * @param {Object} options - Render options
+ * @param {number} options.scale - Pixels per module (default 8)
+ * @param {number} options.margin - Quiet zone in modules (default 4)
+ * @param {string} options.level - Error correction level (default M)
+ * @returns {Promise<Buffer>} PNG image
+ */
+const renderQrCodePng = (text, options = {}) => {
+  return QRCode.toBuffer(text, {
+    type: 'png',
+    scale: options.scale || 8,
+    margin: options.margin === undefined ? 4 : options.margin,
+    errorCorrectionLevel: options.level || 'M'
+  });
+};
+
+module.exports = {
+  renderQrCodePng
+};
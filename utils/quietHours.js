@@ -0,0 +1,101 @@
+/**
+ * Quiet hours and digest timing
+ * Quiet hours are a daily HH:MM window in the user's time zone (UTC when
+ * none is set) and may run past midnight (e.g. 22:00-07:00). Email digests
+ * go out at 08:00 in the same time zone, daily or on Mondays
+ */
+
+const { getTimeZoneOffset, zonedTimeToUtc, getDateKeyInTimeZone } = require('./timezone');
+const { parseDateKey } = require('./recurrence');
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+const DIGEST_TIME = '08:00';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the time zone a user's notification times are in
+ * @param {Object} settings - User notificationSettings
+ * @returns {string} IANA time zone name
+ */
+const getSettingsTimeZone = (settings) => (settings && settings.timezone) || 'UTC';
+
+/**
+ * Turn HH:MM into minutes after midnight
+ * @param {string} time - Time in HH:MM format
+ * @returns {number} Minutes
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(part => parseInt(part, 10));
+  return hours * 60 + minutes;
+};
+
+/**
+ * Check whether quiet hours are in effect for a user
+ * @param {Object} settings - User notificationSettings
+ * @param {Date} now - Instant to check
+ * @returns {boolean} True while non-urgent pushes should be held back
+ */
+const isInQuietHours = (settings, now = new Date()) => {
+  const quietHours = settings && settings.quietHours;
+  if (!quietHours || !quietHours.enabled || quietHours.start === quietHours.end) return false;
+
+  const local = new Date(now.getTime() + getTimeZoneOffset(now, getSettingsTimeZone(settings)));
+  const minutes = local.getUTCHours() * 60 + local.getUTCMinutes();
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  // A window past midnight covers the evening and the next morning
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+/**
+ * Get the next instant a wall-clock time occurs in a time zone
+ * @param {string} time - Time in HH:MM format
+ * @param {string} timeZone - IANA time zone name
+ * @param {Date} now - Instant to start from
+ * @param {Function} acceptDay - Optional filter on the calendar day (UTC midnight Date)
+ * @returns {Date} First matching instant after now
+ */
+const getNextWallClockTime = (time, timeZone, now, acceptDay = () => true) => {
+  const today = parseDateKey(getDateKeyInTimeZone(now, timeZone));
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = new Date(today.getTime() + offset * DAY_MS);
+    const instant = zonedTimeToUtc(day, time, timeZone);
+    if (instant > now && acceptDay(day)) return instant;
+  }
+  return null;
+};
+
+/**
+ * Get when the current quiet hours end
+ * @param {Object} settings - User notificationSettings
+ * @param {Date} now - Instant within quiet hours
+ * @returns {Date} End of quiet hours
+ */
+const getQuietHoursEnd = (settings, now = new Date()) => {
+  return getNextWallClockTime(settings.quietHours.end, getSettingsTimeZone(settings), now);
+};
+
+/**
+ * Get when the next email digest is due
+ * @param {string} frequency - "daily" or "weekly"
+ * @param {Object} settings - User notificationSettings
+ * @param {Date} now - Instant to start from
+ * @returns {Date} 08:00 tomorrow or today (daily), or next Monday (weekly)
+ */
+const getNextDigestTime = (frequency, settings, now = new Date()) => {
+  const acceptDay = frequency === 'weekly' ? day => day.getUTCDay() === 1 : undefined;
+  return getNextWallClockTime(DIGEST_TIME, getSettingsTimeZone(settings), now, acceptDay);
+};
+
+module.exports = {
+  TIME_REGEX,
+  DIGEST_FREQUENCIES,
+  isInQuietHours,
+  getQuietHoursEnd,
+  getNextDigestTime
+};
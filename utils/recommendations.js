@@ -0,0 +1,111 @@
+/**
+ * "For you" feed ranking
+ * Upcoming public events are scored by the categories a user follows, how
+ * close they are and how much they resemble the events the user attended
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+// How much each signal can add to an event's score
+const FEED_WEIGHTS = {
+  followedCategory: 3,
+  attendedCategory: 2,
+  attendedTags: 1.5,
+  proximity: 2,
+  soon: 0.5
+};
+
+// Events further away than this get no proximity boost
+const PROXIMITY_RANGE_KM = 50;
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} from - { lat, lon }
+ * @param {Object} to - { lat, lon }
+ * @returns {number} Distance in km
+ */
+const getDistanceKm = (from, to) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLon = toRadians(to.lon - from.lon);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Summarize the events a user attended into category and tag shares
+ * @param {Array<Object>} attendedEvents - Past events with category and tags
+ * @returns {{ categories: Map<string, number>, tags: Map<string, number> }} Share (0-1) of attended events per category and tag
+ */
+const buildInterestProfile = (attendedEvents) => {
+  const categories = new Map();
+  const tags = new Map();
+
+  attendedEvents.forEach(event => {
+    if (event.category) {
+      categories.set(event.category, (categories.get(event.category) || 0) + 1);
+    }
+    (event.tags || []).forEach(tag => tags.set(tag, (tags.get(tag) || 0) + 1));
+  });
+
+  const total = attendedEvents.length || 1;
+  categories.forEach((count, category) => categories.set(category, count / total));
+  tags.forEach((count, tag) => tags.set(tag, count / total));
+
+  return { categories, tags };
+};
+
+/**
+ * Score an event for a user's feed
+ * @param {Object} event - Candidate event
+ * @param {Object} context - Ranking context
+ * @param {Array<string>} context.followedCategories - Categories the user follows
+ * @param {Object} context.profile - Result of buildInterestProfile
+ * @param {Object} context.origin - { lat, lon } to measure distance from, or null
+ * @param {Date} context.now - Current time
+ * @param {number} context.windowDays - How far ahead the feed looks
+ * @returns {{ score: number, reasons: Array<string>, distance: number|null }} Score, why the event was suggested and its distance in km
+ */
+const scoreFeedEvent = (event, { followedCategories, profile, origin, now, windowDays }) => {
+  const reasons = [];
+  let score = 0;
+
+  if (event.category && followedCategories.includes(event.category)) {
+    score += FEED_WEIGHTS.followedCategory;
+    reasons.push('followed_category');
+  }
+
+  const categoryShare = (event.category && profile.categories.get(event.category)) || 0;
+  const tagShare = Math.max(0, ...(event.tags || []).map(tag => profile.tags.get(tag) || 0));
+  if (categoryShare > 0 || tagShare > 0) {
+    score += FEED_WEIGHTS.attendedCategory * categoryShare + FEED_WEIGHTS.attendedTags * tagShare;
+    reasons.push('similar_to_attended');
+  }
+
+  let distance = null;
+  const { lat, lon } = event.location.coordinates;
+  if (origin && lat != null && lon != null) {
+    distance = getDistanceKm(origin, { lat, lon });
+    if (distance < PROXIMITY_RANGE_KM) {
+      score += FEED_WEIGHTS.proximity * (1 - distance / PROXIMITY_RANGE_KM);
+      reasons.push('nearby');
+    }
+  }
+
+  // Sooner events win ties
+  const daysUntil = ((event.startsAt || event.startDate).getTime() - now.getTime()) / (24 * 60 * 60 * 1000);
+  score += FEED_WEIGHTS.soon * Math.min(1, Math.max(0, 1 - daysUntil / windowDays));
+
+  return {
+    score: Math.round(score * 100) / 100,
+    reasons,
+    distance: distance === null ? null : Math.round(distance * 1000) / 1000
+  };
+};
+
+module.exports = {
+  getDistanceKm,
+  buildInterestProfile,
+  scoreFeedEvent
+};
@@ -0,0 +1,370 @@
+/**
+ * Recurrence utilities for repeating events
+ * Supports a subset of iCalendar RRULE: FREQ (daily/weekly/monthly), INTERVAL,
+ * BYDAY (weekly only), UNTIL and COUNT
+ */
+
+const { zonedTimeToUtc } = require('./timezone');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hard limits so an open-ended series can never be expanded forever
+const MAX_OCCURRENCES = 500;
+const MAX_ITERATIONS = 5000;
+
+/**
+ * Convert a date to its occurrence key (YYYY-MM-DD, UTC calendar day)
+ * @param {Date|string} date - Date to convert
+ * @returns {string} Occurrence key
+ */
+const toDateKey = (date) => {
+  return new Date(date).toISOString().split('T')[0];
+};
+
+/**
+ * Parse an occurrence key back to a Date at UTC midnight
+ * @param {string} key - Occurrence key (YYYY-MM-DD)
+ * @returns {Date|null} Parsed date or null if the key is invalid
+ */
+const parseDateKey = (key) => {
+  if (typeof key !== 'string' || !DATE_KEY_REGEX.test(key)) return null;
+  const date = new Date(`${key}T00:00:00.000Z`);
+  if (isNaN(date.getTime()) || toDateKey(date) !== key) return null;
+  return date;
+};
+
+/**
+ * Truncate a date to UTC midnight
+ * @param {Date|string} date - Date to truncate
+ * @returns {Date} Date at UTC midnight
+ */
+const startOfDay = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+/**
+ * Combine a date and an HH:MM time string into a single Date
+ * Used by the formattedStartDateTime/formattedEndDateTime virtuals on the Event model
+ * @param {Date|string} date - Calendar date
+ * @param {string} time - Time in HH:MM format
+ * @param {string|null} timeZone - IANA time zone of the wall-clock time; server local time if omitted
+ * @returns {Date|null} Combined date and time
+ */
+const combineDateAndTime = (date, time, timeZone = null) => {
+  if (!date) return null;
+  if (timeZone) return zonedTimeToUtc(date, time, timeZone);
+
+  const combined = new Date(date);
+  if (time) {
+    const [hours, minutes] = time.split(':');
+    combined.setHours(parseInt(hours), parseInt(minutes), 0, 0);
+  }
+  return combined;
+};
+
+/**
+ * Parse an RRULE string (e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10")
+ * @param {string} rule - RRULE string, with or without the "RRULE:" prefix
+ * @returns {Object} Raw recurrence object (not yet validated)
+ */
+const parseRRule = (rule) => {
+  const recurrence = {};
+  const body = rule.trim().replace(/^RRULE:/i, '');
+
+  body.split(';').filter(Boolean).forEach(part => {
+    const [rawKey, rawValue = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const value = rawValue.trim();
+
+    switch (key) {
+      case 'FREQ':
+        recurrence.frequency = value.toLowerCase();
+        break;
+      case 'INTERVAL':
+        recurrence.interval = Number(value);
+        break;
+      case 'BYDAY':
+        recurrence.byWeekday = value.split(',').filter(Boolean);
+        break;
+      case 'COUNT':
+        recurrence.count = Number(value);
+        break;
+      case 'UNTIL': {
+        // Accept both YYYYMMDD and YYYYMMDDTHHMMSSZ forms
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+        recurrence.until = match ? `${match[1]}-${match[2]}-${match[3]}` : value;
+        break;
+      }
+      default:
+        throw new Error(`Unsupported recurrence rule part: ${key}`);
+    }
+  });
+
+  return recurrence;
+};
+
+/**
+ * Validate and normalize a recurrence definition from a request body
+ * @param {Object|string|null} input - Recurrence object, RRULE string, or null to clear
+ * @returns {Object|null} Normalized recurrence or null for non-recurring events
+ * @throws {Error} If the recurrence definition is invalid
+ */
+const normalizeRecurrence = (input) => {
+  if (input === null || input === undefined || input === '') return null;
+
+  const raw = typeof input === 'string' ? parseRRule(input) : { ...input };
+
+  if (raw.rrule) {
+    Object.assign(raw, parseRRule(raw.rrule));
+  }
+
+  const frequency = raw.frequency ? String(raw.frequency).toLowerCase() : null;
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new Error(`Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  const interval = raw.interval === undefined || raw.interval === null ? 1 : Number(raw.interval);
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error('Recurrence interval must be a positive integer');
+  }
+
+  let byWeekday = [];
+  if (raw.byWeekday && raw.byWeekday.length > 0) {
+    if (frequency !== 'weekly') {
+      throw new Error('byWeekday is only supported for weekly recurrence');
+    }
+    byWeekday = [...new Set(raw.byWeekday.map(day => {
+      const code = typeof day === 'number' ? WEEKDAY_CODES[day] : String(day).toUpperCase();
+      if (!WEEKDAY_CODES.includes(code)) {
+        throw new Error(`Invalid weekday: ${day}. Use one of: ${WEEKDAY_CODES.join(', ')}`);
+      }
+      return code;
+    }))].sort((a, b) => WEEKDAY_CODES.indexOf(a) - WEEKDAY_CODES.indexOf(b));
+  }
+
+  let until = null;
+  if (raw.until) {
+    until = new Date(raw.until);
+    if (isNaN(until.getTime())) {
+      throw new Error('Recurrence until must be a valid date');
+    }
+  }
+
+  let count = null;
+  if (raw.count !== undefined && raw.count !== null) {
+    count = Number(raw.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES) {
+      throw new Error(`Recurrence count must be an integer between 1 and ${MAX_OCCURRENCES}`);
+    }
+  }
+
+  if (until && count) {
+    throw new Error('Recurrence cannot define both until and count');
+  }
+
+  return { frequency, interval, byWeekday, until, count };
+};
+
+/**
+ * Serialize a recurrence definition to an RRULE string
+ * @param {Object} recurrence - Normalized recurrence
+ * @returns {string|null} RRULE value (without the "RRULE:" prefix)
+ */
+const toRRule = (recurrence) => {
+  if (!recurrence || !recurrence.frequency) return null;
+
+  const parts = [`FREQ=${recurrence.frequency.toUpperCase()}`];
+  if (recurrence.interval && recurrence.interval > 1) {
+    parts.push(`INTERVAL=${recurrence.interval}`);
+  }
+  if (recurrence.byWeekday && recurrence.byWeekday.length > 0) {
+    parts.push(`BYDAY=${recurrence.byWeekday.join(',')}`);
+  }
+  if (recurrence.count) {
+    parts.push(`COUNT=${recurrence.count}`);
+  }
+  if (recurrence.until) {
+    parts.push(`UNTIL=${toDateKey(recurrence.until).replace(/-/g, '')}T235959Z`);
+  }
+  return parts.join(';');
+};
+
+/**
+ * Generate the occurrence keys of a series in chronological order
+ * @param {Date} startDate - Date of the first occurrence
+ * @param {Object} recurrence - Normalized recurrence
+ * @param {Object} options - Expansion window
+ * @param {Date} options.from - Only return occurrences on or after this day (optional)
+ * @param {Date} options.to - Only return occurrences on or before this day (optional)
+ * @param {number} options.limit - Maximum number of keys to return (optional)
+ * @returns {Array<string>} Occurrence keys (YYYY-MM-DD)
+ */
+const generateOccurrenceDates = (startDate, recurrence, options = {}) => {
+  const start = startOfDay(startDate);
+  const from = options.from ? startOfDay(options.from) : start;
+  const to = options.to ? startOfDay(options.to) : null;
+  const until = recurrence.until ? startOfDay(recurrence.until) : null;
+  const limit = Math.min(options.limit || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const interval = recurrence.interval || 1;
+
+  const keys = [];
+  let generated = 0;
+
+  // Returns false once the series (or the requested window) is exhausted
+  const visit = (date) => {
+    if (date < start) return true;
+    if (until && date > until) return false;
+    if (to && date > to) return false;
+    if (recurrence.count && generated >= recurrence.count) return false;
+
+    generated++;
+    if (date >= from) {
+      keys.push(toDateKey(date));
+      if (keys.length >= limit) return false;
+    }
+    return true;
+  };
+
+  for (let step = 0; step < MAX_ITERATIONS; step++) {
+    if (recurrence.frequency === 'daily') {
+      if (!visit(new Date(start.getTime() + step * interval * DAY_MS))) break;
+    } else if (recurrence.frequency === 'weekly') {
+      const weekdays = recurrence.byWeekday && recurrence.byWeekday.length > 0
+        ? recurrence.byWeekday.map(code => WEEKDAY_CODES.indexOf(code))
+        : [start.getUTCDay()];
+      const weekStart = start.getTime() - start.getUTCDay() * DAY_MS + step * interval * 7 * DAY_MS;
+
+      let keepGoing = true;
+      for (const weekday of weekdays) {
+        if (!visit(new Date(weekStart + weekday * DAY_MS))) {
+          keepGoing = false;
+          break;
+        }
+      }
+      if (!keepGoing) break;
+    } else if (recurrence.frequency === 'monthly') {
+      const monthIndex = start.getUTCMonth() + step * interval;
+      const date = new Date(Date.UTC(start.getUTCFullYear(), monthIndex, start.getUTCDate()));
+      // Months without that day (e.g. the 31st) are skipped, as in RRULE
+      if (date.getUTCDate() !== start.getUTCDate()) continue;
+      if (!visit(date)) break;
+    } else {
+      break;
+    }
+  }
+
+  return keys;
+};
+
+/**
+ * Check whether a key is a generated occurrence of the event's series
+ * @param {Object} event - Event document
+ * @param {string} occurrenceDate - Occurrence key (YYYY-MM-DD)
+ * @returns {boolean} True if the key belongs to the series
+ */
+const isOccurrenceOf = (event, occurrenceDate) => {
+  const date = parseDateKey(occurrenceDate);
+  if (!date) return false;
+
+  if (!event.recurrence || !event.recurrence.frequency) {
+    return toDateKey(event.startDate) === occurrenceDate;
+  }
+
+  return generateOccurrenceDates(event.startDate, event.recurrence, { from: date, to: date, limit: 1 })
+    .includes(occurrenceDate);
+};
+
+/**
+ * Expand an event into concrete occurrences, applying per-occurrence overrides
+ * @param {Object} event - Event document
+ * @param {Object} options - Expansion window ({ from, to, limit }), see generateOccurrenceDates
+ * @returns {Array<Object>} Occurrences in chronological order
+ */
+const expandOccurrences = (event, options = {}) => {
+  const isRecurring = event.recurrence && event.recurrence.frequency;
+  const keys = isRecurring
+    ? generateOccurrenceDates(event.startDate, event.recurrence, options)
+    : generateOccurrenceDates(event.startDate, { frequency: 'daily', count: 1 }, options);
+
+  // Preserve multi-day spans by shifting the end date along with the start date
+  const spanDays = event.endDate
+    ? Math.round((startOfDay(event.endDate) - startOfDay(event.startDate)) / DAY_MS)
+    : null;
+
+  const overrides = new Map(
+    (event.occurrenceOverrides || []).map(override => [override.occurrenceDate, override])
+  );
+
+  return keys.map(key => {
+    const startDate = parseDateKey(key);
+    const occurrence = {
+      occurrenceDate: key,
+      startDate,
+      startTime: event.startTime,
+      endDate: spanDays !== null ? new Date(startDate.getTime() + spanDays * DAY_MS) : null,
+      endTime: event.endTime || null,
+      title: event.title,
+      description: event.description,
+      dressCode: event.dressCode || null,
+      timezone: event.timezone || null,
+      status: event.status === 'cancelled' ? 'cancelled' : 'active',
+      isOverridden: false
+    };
+
+    const override = overrides.get(key);
+    if (override) {
+      ['startDate', 'startTime', 'endDate', 'endTime', 'title', 'description', 'dressCode'].forEach(field => {
+        if (override[field] !== null && override[field] !== undefined) {
+          occurrence[field] = override[field];
+        }
+      });
+      if (override.status === 'cancelled') {
+        occurrence.status = 'cancelled';
+      }
+      occurrence.isOverridden = true;
+    }
+
+    occurrence.startDateTime = combineDateAndTime(occurrence.startDate, occurrence.startTime, event.timezone);
+    occurrence.endDateTime = occurrence.endDate || occurrence.endTime
+      ? combineDateAndTime(occurrence.endDate || occurrence.startDate, occurrence.endTime, event.timezone)
+      : null;
+
+    return occurrence;
+  });
+};
+
+/**
+ * Resolve a participant's RSVP status for one occurrence
+ * Falls back to the series-level status when no per-occurrence answer exists
+ * @param {Object} participant - Participant subdocument
+ * @param {string|null} occurrenceDate - Occurrence key, or null for the series
+ * @returns {string} RSVP status (yes/no/maybe)
+ */
+const getOccurrenceStatus = (participant, occurrenceDate) => {
+  if (occurrenceDate && participant.occurrenceRsvps) {
+    const answer = participant.occurrenceRsvps.find(rsvp => rsvp.occurrenceDate === occurrenceDate);
+    if (answer) return answer.status;
+  }
+  return participant.status;
+};
+
+module.exports = {
+  FREQUENCIES,
+  WEEKDAY_CODES,
+  DATE_KEY_REGEX,
+  toDateKey,
+  parseDateKey,
+  startOfDay,
+  combineDateAndTime,
+  parseRRule,
+  normalizeRecurrence,
+  toRRule,
+  generateOccurrenceDates,
+  isOccurrenceOf,
+  expandOccurrences,
+  getOccurrenceStatus
+};
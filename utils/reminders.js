@@ -0,0 +1,157 @@
+/**
+ * Reminder offsets
+ * A reminder is either a lead time before the start ("30m", "2h", "1d", "1w")
+ * or "morning_of", sent at 08:00 on the day of the event in the event's time
+ * zone. Lead times are stored in their largest whole unit, so "24h" and "1d"
+ * are the same reminder
+ */
+
+const { getDateKeyInTimeZone } = require('./timezone');
+const { parseDateKey, combineDateAndTime } = require('./recurrence');
+
+const UNIT_MS = {
+  w: 7 * 24 * 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  h: 60 * 60 * 1000,
+  m: 60 * 1000
+};
+
+const MORNING_OF = 'morning_of';
+const MORNING_OF_TIME = '08:00';
+
+const DEFAULT_REMINDER_OFFSETS = ['1d', '2h', '30m'];
+const MAX_REMINDER_OFFSETS = 5;
+const MIN_OFFSET_MS = 5 * UNIT_MS.m;
+const MAX_OFFSET_MS = 4 * UNIT_MS.w;
+
+const OFFSET_REGEX = /^(\d+)\s*([mhdw])$/;
+
+/**
+ * Get the lead time of an offset
+ * @param {string} offset - Lead-time offset (e.g. "2h")
+ * @returns {number|null} Milliseconds, or null for morning_of and invalid offsets
+ */
+const getOffsetMs = (offset) => {
+  const match = OFFSET_REGEX.exec(String(offset).trim().toLowerCase());
+  return match ? parseInt(match[1], 10) * UNIT_MS[match[2]] : null;
+};
+
+/**
+ * Write a lead time in its largest whole unit
+ * @param {number} ms - Lead time in milliseconds
+ * @returns {string} Offset (e.g. 86400000 -> "1d")
+ */
+const formatOffset = (ms) => {
+  const unit = ['w', 'd', 'h', 'm'].find(candidate => ms % UNIT_MS[candidate] === 0);
+  return `${ms / UNIT_MS[unit]}${unit}`;
+};
+
+/**
+ * Validate and normalize one offset
+ * @param {string} offset - Raw offset
+ * @returns {string} Normalized offset
+ * @throws {Error} When the offset is malformed or out of range
+ */
+const normalizeOffset = (offset) => {
+  const value = String(offset).trim().toLowerCase();
+  if (value === MORNING_OF) return MORNING_OF;
+
+  const ms = getOffsetMs(value);
+  if (ms === null) {
+    throw new Error(`Invalid reminder "${offset}". Use a number with m, h, d or w (e.g. 30m, 2h, 1d, 1w) or "${MORNING_OF}"`);
+  }
+  if (ms < MIN_OFFSET_MS || ms > MAX_OFFSET_MS) {
+    throw new Error('Reminders must be between 5 minutes and 4 weeks before the event');
+  }
+  return formatOffset(ms);
+};
+
+/**
+ * Validate a list of offsets
+ * @param {Array|string} input - Offsets as an array, JSON array string or comma-separated string
+ * @returns {Array<string>} Unique normalized offsets, earliest reminder first
+ * @throws {Error} When an offset is invalid or there are too many
+ */
+const normalizeOffsets = (input) => {
+  let values = input;
+  if (typeof values === 'string') {
+    values = values.trim().startsWith('[') ? JSON.parse(values) : values.split(',');
+  }
+  if (!Array.isArray(values)) {
+    throw new Error('Reminders must be a list');
+  }
+
+  const offsets = [...new Set(values.filter(value => String(value).trim()).map(normalizeOffset))];
+  if (offsets.length > MAX_REMINDER_OFFSETS) {
+    throw new Error(`At most ${MAX_REMINDER_OFFSETS} reminders can be set`);
+  }
+  // Longest lead time first; morning_of sits between day and hour reminders
+  return offsets.sort((a, b) => (getOffsetMs(b) ?? 12 * UNIT_MS.h) - (getOffsetMs(a) ?? 12 * UNIT_MS.h));
+};
+
+/**
+ * Get when a reminder is due
+ * @param {string} offset - Normalized offset
+ * @param {Date} startTime - Start of the event or occurrence
+ * @param {string|null} timeZone - Event time zone
+ * @returns {Date|null} Due time, or null when the reminder does not apply (morning_of for an event starting before 08:00)
+ */
+const getReminderTime = (offset, startTime, timeZone = null) => {
+  if (offset === MORNING_OF) {
+    const day = parseDateKey(getDateKeyInTimeZone(startTime, timeZone));
+    const morning = combineDateAndTime(day, MORNING_OF_TIME, timeZone);
+    return morning < startTime ? morning : null;
+  }
+
+  const ms = getOffsetMs(offset);
+  return ms === null ? null : new Date(startTime.getTime() - ms);
+};
+
+/**
+ * How late a reminder may still be sent before its wording is misleading
+ * @param {string} offset - Normalized offset
+ * @returns {number} Milliseconds
+ */
+const getMaxLateMs = (offset) => {
+  if (offset === MORNING_OF) return 2 * UNIT_MS.h;
+  return Math.min(Math.max(getOffsetMs(offset) / 4, 5 * UNIT_MS.m), 6 * UNIT_MS.h);
+};
+
+/**
+ * Get the reminders a participant receives for an event
+ * Personal defaults from notificationSettings replace the host's schedule
+ * @param {Object} event - Event document
+ * @param {Object} user - Participant's user (populated)
+ * @returns {Array<string>} Normalized offsets
+ */
+const getRecipientOffsets = (event, user) => {
+  const personal = user && user.notificationSettings && user.notificationSettings.reminderOffsets;
+  if (personal && personal.length > 0) return personal;
+  // An empty host schedule turns reminders off for everyone without their own
+  return event.reminderOffsets || DEFAULT_REMINDER_OFFSETS;
+};
+
+/**
+ * Describe how long before the start a reminder goes out
+ * @param {number} ms - Lead time in milliseconds
+ * @returns {string} e.g. "2 hours", "1 week"
+ */
+const describeLeadTime = (ms) => {
+  const names = { w: 'week', d: 'day', h: 'hour', m: 'minute' };
+  const unit = ['w', 'd', 'h', 'm'].find(candidate => ms % UNIT_MS[candidate] === 0);
+  const count = ms / UNIT_MS[unit];
+  return `${count} ${names[unit]}${count === 1 ? '' : 's'}`;
+};
+
+module.exports = {
+  MORNING_OF,
+  DEFAULT_REMINDER_OFFSETS,
+  MAX_REMINDER_OFFSETS,
+  getOffsetMs,
+  normalizeOffset,
+  normalizeOffsets,
+  getReminderTime,
+  getMaxLateMs,
+  getRecipientOffsets,
+  describeLeadTime
+};
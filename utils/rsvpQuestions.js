@@ -0,0 +1,185 @@
+/**
+ * RSVP questionnaire utilities
+ * Hosts attach questions to an event; participants answer them when joining
+ * or updating their RSVP. Answers are stored as { question, value } pairs
+ */
+
+const QUESTION_TYPES = ['text', 'single_choice', 'multi_choice', 'number', 'boolean'];
+const CHOICE_TYPES = ['single_choice', 'multi_choice'];
+
+const MAX_TEXT_ANSWER_LENGTH = 1000;
+
+/**
+ * Normalize a single answer value for its question
+ * @param {Object} question - Question subdocument
+ * @param {*} value - Raw answer value
+ * @returns {{ value: *, error: string }} Normalized value (undefined when left empty) or an error
+ */
+const normalizeAnswerValue = (question, value) => {
+  if (value === undefined || value === null || value === '') {
+    return { value: undefined };
+  }
+
+  switch (question.type) {
+    case 'text': {
+      if (typeof value !== 'string') {
+        return { error: `"${question.label}" must be text` };
+      }
+      const text = value.trim();
+      if (text.length > MAX_TEXT_ANSWER_LENGTH) {
+        return { error: `"${question.label}" cannot be more than ${MAX_TEXT_ANSWER_LENGTH} characters` };
+      }
+      return { value: text || undefined };
+    }
+    case 'single_choice':
+      if (!question.options.includes(value)) {
+        return { error: `"${question.label}" must be one of: ${question.options.join(', ')}` };
+      }
+      return { value };
+    case 'multi_choice': {
+      const choices = Array.isArray(value) ? [...new Set(value)] : null;
+      if (!choices || !choices.every(choice => question.options.includes(choice))) {
+        return { error: `"${question.label}" must be a list of: ${question.options.join(', ')}` };
+      }
+      return { value: choices.length > 0 ? choices : undefined };
+    }
+    case 'number': {
+      const number = typeof value === 'string' ? Number(value.trim()) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { error: `"${question.label}" must be a number` };
+      }
+      return { value: number };
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return { value: true };
+      if (value === false || value === 'false') return { value: false };
+      return { error: `"${question.label}" must be true or false` };
+    default:
+      return { error: `Unsupported question type: ${question.type}` };
+  }
+};
+
+/**
+ * Validate submitted answers against an event's questions
+ * New answers are merged over the participant's existing ones; answers to
+ * questions that no longer exist are dropped
+ * @param {Array<Object>} questions - Event rsvpQuestions
+ * @param {Array<Object>|undefined} input - Submitted answers as [{ question, value }]
+ * @param {Object} options - Validation options
+ * @param {Array<Object>} options.existing - Answers already stored on the participant
+ * @param {boolean} options.requireAll - Whether required questions must be answered
+ * @returns {{ answers: Array<Object>, error: string }} Answers to store or an error
+ */
+const validateAnswers = (questions = [], input, options = {}) => {
+  const { existing = [], requireAll = true } = options;
+
+  if (input !== undefined && !Array.isArray(input)) {
+    return { error: 'answers must be an array of { question, value } objects' };
+  }
+
+  const questionsById = new Map(questions.map(question => [question._id.toString(), question]));
+  const values = new Map();
+
+  existing.forEach(answer => {
+    const id = answer.question.toString();
+    if (questionsById.has(id)) {
+      values.set(id, answer.value);
+    }
+  });
+
+  for (const answer of input || []) {
+    const id = answer && answer.question ? String(answer.question) : null;
+    const question = id && questionsById.get(id);
+    if (!question) {
+      return { error: `Unknown question: ${id}` };
+    }
+
+    const { value, error } = normalizeAnswerValue(question, answer.value);
+    if (error) {
+      return { error };
+    }
+    if (value === undefined) {
+      values.delete(id);
+    } else {
+      values.set(id, value);
+    }
+  }
+
+  if (requireAll) {
+    const missing = questions.find(question => question.required && !values.has(question._id.toString()));
+    if (missing) {
+      return { error: `Please answer the required question "${missing.label}"` };
+    }
+  }
+
+  return {
+    answers: questions
+      .filter(question => values.has(question._id.toString()))
+      .map(question => ({ question: question._id, value: values.get(question._id.toString()) }))
+  };
+};
+
+/**
+ * Aggregate participants' answers per question
+ * Choice and boolean questions get per-option counts, number questions get
+ * min/max/average and text questions list the individual responses
+ * @param {Array<Object>} questions - Event rsvpQuestions
+ * @param {Array<Object>} participants - Participants to include (user populated for text responses)
+ * @returns {Array<Object>} One summary per question
+ */
+const aggregateAnswers = (questions = [], participants = []) => {
+  return questions.map(question => {
+    const id = question._id.toString();
+    const values = [];
+    const responses = [];
+
+    participants.forEach(participant => {
+      const answer = (participant.answers || []).find(entry => entry.question.toString() === id);
+      if (!answer) return;
+      values.push(answer.value);
+      responses.push({
+        name: participant.user ? participant.user.name : participant.guest && participant.guest.name,
+        value: answer.value
+      });
+    });
+
+    const summary = {
+      questionId: question._id,
+      label: question.label,
+      type: question.type,
+      required: question.required,
+      answeredCount: values.length
+    };
+
+    if (CHOICE_TYPES.includes(question.type)) {
+      summary.options = question.options.map(option => ({
+        option,
+        count: values.filter(value => (Array.isArray(value) ? value.includes(option) : value === option)).length
+      }));
+    } else if (question.type === 'boolean') {
+      summary.options = [true, false].map(option => ({
+        option,
+        count: values.filter(value => value === option).length
+      }));
+    } else if (question.type === 'number') {
+      // Answers given before the question's type was changed are skipped
+      const numbers = values.filter(value => typeof value === 'number');
+      const total = numbers.reduce((sum, value) => sum + value, 0);
+      summary.min = numbers.length ? Math.min(...numbers) : null;
+      summary.max = numbers.length ? Math.max(...numbers) : null;
+      summary.average = numbers.length ? total / numbers.length : null;
+      summary.sum = total;
+    } else {
+      summary.responses = responses;
+    }
+
+    return summary;
+  });
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  CHOICE_TYPES,
+  validateAnswers,
+  aggregateAnswers
+};
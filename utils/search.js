@@ -0,0 +1,267 @@
+/**
+ * Event search utilities
+ * Each event stores the trigrams of the words in its searchable fields
+ * (searchTokens, indexed), which lets the database narrow a search down to
+ * candidates sharing enough trigrams with the query. Candidates are then
+ * scored here word by word, with prefix and typo tolerance, and matched
+ * words are highlighted
+ */
+
+// Searchable fields and how much a match in each one counts
+const SEARCH_FIELDS = [
+  { path: 'title', weight: 5 },
+  { path: 'location.name', weight: 3 },
+  { path: 'location.address', weight: 2 },
+  { path: 'dressCode', weight: 2 },
+  { path: 'description', weight: 1 }
+];
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'at', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+// Quality of a match between a query term and a word
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.75,
+  typo: 0.5,
+  typoPrefix: 0.4
+};
+
+// Share of a query's trigrams a candidate must contain before it is scored
+const MIN_TRIGRAM_OVERLAP = 0.4;
+
+const SNIPPET_WORDS = 20;
+const SNIPPET_WORDS_BEFORE_MATCH = 6;
+
+const WORD_REGEX = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Lowercase a word and strip accents
+ * @param {string} word - Word to normalize
+ * @returns {string} Normalized word
+ */
+const normalizeWord = (word) => word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * Split text into words with their positions
+ * @param {string} text - Text to split
+ * @returns {Array<Object>} Words as { word, start, end }, word normalized
+ */
+const splitWords = (text) => {
+  return Array.from(String(text || '').matchAll(WORD_REGEX), match => ({
+    word: normalizeWord(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+};
+
+/**
+ * Get a value by dotted path
+ * @param {Object} object - Object to read
+ * @param {string} path - Dotted path (e.g. location.name)
+ * @returns {*} Value, or undefined
+ */
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+/**
+ * Get the trigrams of a word
+ * Document words are padded on both sides; query terms only at the start,
+ * so a partly typed word still shares all its trigrams with the full word
+ * @param {string} word - Normalized word
+ * @param {boolean} isPrefix - Whether the word may continue (query terms)
+ * @returns {Array<string>} Trigrams
+ */
+const getTrigrams = (word, isPrefix = false) => {
+  const padded = `^${word}${isPrefix ? '' : '$'}`;
+  const trigrams = [];
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    trigrams.push(padded.slice(i, i + 3));
+  }
+  return trigrams;
+};
+
+/**
+ * Build the searchTokens stored on an event
+ * @param {Object} event - Event document or plain object
+ * @returns {Array<string>} Unique trigrams of all searchable words
+ */
+const buildSearchTokens = (event) => {
+  const tokens = new Set();
+  SEARCH_FIELDS.forEach(({ path }) => {
+    splitWords(getPath(event, path)).forEach(({ word }) => {
+      getTrigrams(word).forEach(trigram => tokens.add(trigram));
+    });
+  });
+  return [...tokens];
+};
+
+/**
+ * Parse a search string into query terms
+ * Stop words and single characters are dropped unless the query has nothing else
+ * @param {string} search - Raw search string
+ * @returns {Array<string>} Normalized terms
+ */
+const parseSearchTerms = (search) => {
+  const words = [...new Set(splitWords(search).map(({ word }) => word))];
+  const terms = words.filter(word => word.length > 1 && !STOP_WORDS.has(word));
+  return terms.length > 0 ? terms : words;
+};
+
+/**
+ * Build the database filter that narrows a search down to candidates
+ * @param {Array<string>} terms - Query terms
+ * @returns {{ filter: Object, trigrams: Array<string>, minOverlap: number }} Filter on searchTokens
+ *   and the number of query trigrams a candidate must share
+ */
+const buildSearchCandidateFilter = (terms) => {
+  const trigrams = [...new Set(terms.flatMap(term => getTrigrams(term, true)))];
+  return {
+    filter: { searchTokens: { $in: trigrams } },
+    trigrams,
+    minOverlap: Math.max(1, Math.floor(trigrams.length * MIN_TRIGRAM_OVERLAP))
+  };
+};
+
+/**
+ * Levenshtein distance between two words, giving up above a maximum
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Distance, or max + 1 when it is larger than max
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Number of typos tolerated in a query term
+ * @param {string} term - Query term
+ * @returns {number} Allowed edit distance
+ */
+const getAllowedTypos = (term) => {
+  if (term.length < 4) return 0;
+  if (term.length < 8) return 1;
+  return 2;
+};
+
+/**
+ * Compare a query term with a word
+ * @param {string} term - Normalized query term
+ * @param {string} word - Normalized word from the event
+ * @returns {number} Match quality (0 when it does not match)
+ */
+const matchWord = (term, word) => {
+  if (word === term) return MATCH_QUALITY.exact;
+  if (term.length >= 2 && word.startsWith(term)) return MATCH_QUALITY.prefix;
+
+  const allowed = getAllowedTypos(term);
+  if (allowed === 0) return 0;
+  if (editDistance(term, word, allowed) <= allowed) return MATCH_QUALITY.typo;
+  if (word.length > term.length && editDistance(term, word.slice(0, term.length), allowed) <= allowed) {
+    return MATCH_QUALITY.typoPrefix;
+  }
+  return 0;
+};
+
+/**
+ * Score an event against query terms
+ * Every term must match a word in some field; a term counts for its best
+ * weighted match, plus a little for each other field it appears in
+ * @param {Object} event - Event document or plain object
+ * @param {Array<string>} terms - Query terms
+ * @returns {number} Relevance score (0 when the event does not match)
+ */
+const scoreEvent = (event, terms) => {
+  const fieldWords = SEARCH_FIELDS.map(({ path, weight }) => ({
+    weight,
+    words: splitWords(getPath(event, path)).map(({ word }) => word)
+  }));
+
+  let score = 0;
+  for (const term of terms) {
+    const fieldScores = fieldWords
+      .map(({ weight, words }) => weight * Math.max(0, ...words.map(word => matchWord(term, word))))
+      .filter(fieldScore => fieldScore > 0)
+      .sort((a, b) => b - a);
+
+    if (fieldScores.length === 0) return 0;
+    score += fieldScores[0] + 0.1 * (fieldScores.length - 1);
+  }
+  return Math.round(score * 100) / 100;
+};
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Highlight the words matching the query in each searchable field
+ * Long fields are cut to a snippet around the first match
+ * @param {Object} event - Event document or plain object
+ * @param {Array<string>} terms - Query terms
+ * @returns {Object} HTML snippets by field path, matches wrapped in <mark>; fields without matches are left out
+ */
+const buildHighlights = (event, terms) => {
+  const highlights = {};
+
+  SEARCH_FIELDS.forEach(({ path }) => {
+    const text = String(getPath(event, path) || '');
+    const words = splitWords(text);
+    const matches = words.map(({ word }) => terms.some(term => matchWord(term, word) > 0));
+    const firstMatch = matches.indexOf(true);
+    if (firstMatch === -1) return;
+
+    let from = 0;
+    let to = words.length;
+    if (words.length > SNIPPET_WORDS) {
+      from = Math.max(0, Math.min(firstMatch - SNIPPET_WORDS_BEFORE_MATCH, words.length - SNIPPET_WORDS));
+      to = from + SNIPPET_WORDS;
+    }
+
+    let snippet = from > 0 ? '…' : '';
+    let position = from > 0 ? words[from].start : 0;
+    for (let i = from; i < to; i++) {
+      const { start, end } = words[i];
+      snippet += escapeHtml(text.slice(position, start));
+      snippet += matches[i] ? `<mark>${escapeHtml(text.slice(start, end))}</mark>` : escapeHtml(text.slice(start, end));
+      position = end;
+    }
+    snippet += to < words.length ? '…' : escapeHtml(text.slice(position));
+
+    highlights[path] = snippet;
+  });
+
+  return highlights;
+};
+
+module.exports = {
+  SEARCH_FIELDS,
+  buildSearchTokens,
+  parseSearchTerms,
+  buildSearchCandidateFilter,
+  scoreEvent,
+  buildHighlights
+};
@@ -0,0 +1,64 @@
+/**
+ * Signed event tickets for door check-in
+ * A ticket code is "<participantId>.<signature>", where the signature is an
+ * HMAC over the event and participant IDs, so codes cannot be forged or
+ * moved to another event
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_LENGTH = 22; // 16 bytes of base64url
+
+/**
+ * Get the key tickets are signed with
+ * @returns {string} Signing secret
+ */
+const getTicketSecret = () => process.env.TICKET_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Compute the signature of a participant's ticket
+ * @param {Object|string} eventId - Event ID
+ * @param {Object|string} participantId - Participant entry ID
+ * @returns {string} base64url signature
+ */
+const signTicket = (eventId, participantId) => {
+  return crypto
+    .createHmac('sha256', getTicketSecret())
+    .update(`ticket:${eventId}:${participantId}`)
+    .digest('base64url')
+    .slice(0, SIGNATURE_LENGTH);
+};
+
+/**
+ * Build the ticket code of a participant
+ * @param {Object} event - Event document
+ * @param {Object} participant - Participant subdocument
+ * @returns {string} Ticket code
+ */
+const createTicketCode = (event, participant) => {
+  return `${participant._id}.${signTicket(event._id, participant._id)}`;
+};
+
+/**
+ * Find the participant a ticket code belongs to
+ * @param {Object} event - Event document
+ * @param {string} code - Scanned ticket code
+ * @returns {Object|null} Participant subdocument, or null if the code is invalid for this event
+ */
+const findTicketParticipant = (event, code) => {
+  const [participantId, signature] = String(code || '').trim().split('.');
+  if (!participantId || !signature || !/^[a-f0-9]{24}$/i.test(participantId)) return null;
+
+  const expected = Buffer.from(signTicket(event._id, participantId));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  return event.participants.id(participantId) || null;
+};
+
+module.exports = {
+  createTicketCode,
+  findTicketParticipant
+};
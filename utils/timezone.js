@@ -0,0 +1,143 @@
+const axios = require('axios');
+
+/**
+ * Time zone utilities for event scheduling
+ * Events store calendar dates (UTC midnight) plus HH:MM wall-clock times;
+ * these helpers turn them into real instants for a given IANA time zone
+ */
+
+const formatterCache = new Map();
+
+/**
+ * Get a cached Intl formatter for a time zone
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Intl.DateTimeFormat} Formatter producing numeric date parts
+ */
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+/**
+ * Check whether a string is a valid IANA time zone name
+ * @param {string} timeZone - Time zone to check (e.g. "Europe/Berlin")
+ * @returns {boolean} True if the runtime recognizes the zone
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the wall-clock parts of an instant in a time zone
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+  return parts;
+};
+
+/**
+ * Get the UTC offset of a time zone at a given instant
+ * @param {Date} date - Instant to check (offsets change with DST)
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUTC - (Math.floor(date.getTime() / 1000) * 1000);
+};
+
+/**
+ * Convert a calendar date and wall-clock time in a time zone to a UTC instant
+ * @param {Date|string} date - Calendar date (its UTC day is used)
+ * @param {string} time - Time in HH:MM format (defaults to midnight)
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} Matching instant
+ */
+const zonedTimeToUtc = (date, time, timeZone) => {
+  const day = new Date(date);
+  const [hours, minutes] = (time || '00:00').split(':').map(part => parseInt(part, 10));
+  const wallClock = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes);
+
+  // Two passes settle the offset around DST transitions
+  let instant = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+  instant = wallClock - getTimeZoneOffset(new Date(instant), timeZone);
+  return new Date(instant);
+};
+
+/**
+ * Get the calendar day (YYYY-MM-DD) of an instant in a time zone
+ * @param {Date} date - Instant to convert
+ * @param {string|null} timeZone - IANA time zone name; falls back to server local time
+ * @returns {string} Calendar day
+ */
+const getDateKeyInTimeZone = (date, timeZone) => {
+  if (!timeZone) {
+    const local = new Date(date);
+    return [
+      local.getFullYear(),
+      String(local.getMonth() + 1).padStart(2, '0'),
+      String(local.getDate()).padStart(2, '0')
+    ].join('-');
+  }
+  const parts = getZonedParts(new Date(date), timeZone);
+  return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+};
+
+/**
+ * Look up the IANA time zone for a coordinate pair
+ * Uses Open-Meteo's automatic time zone resolution (no API key required)
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<string|null>} Time zone name, or null if it could not be resolved
+ */
+const lookupTimeZone = async (lat, lon) => {
+  try {
+    const response = await axios.get('https://api.open-meteo.com/v1/forecast', {
+      params: {
+        latitude: lat,
+        longitude: lon,
+        timezone: 'auto',
+        forecast_days: 1
+      },
+      timeout: 5000
+    });
+
+    const timeZone = response.data && response.data.timezone;
+    return isValidTimeZone(timeZone) ? timeZone : null;
+  } catch (error) {
+    console.log('Time zone lookup failed:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  isValidTimeZone,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  getDateKeyInTimeZone,
+  lookupTimeZone
+};